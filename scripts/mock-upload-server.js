@@ -0,0 +1,90 @@
+// Local mock upload server for exercising the uploader.
+// Usage: npm run mock-server  (PORT=3001, FAIL_RATE=0.3 to simulate flaky 503s)
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const PORT = Number(process.env.PORT) || 3001;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const UPLOAD_DIR = path.join(os.tmpdir(), 'vite-audio-recorder-uploads');
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// uploadId -> bytes received so far
+const sessions = new Map();
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, PUT, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Content-Range, X-Upload-Id, X-File-Name, X-Upload-Metadata, Authorization',
+  'Access-Control-Expose-Headers': 'X-Upload-Offset',
+};
+
+const send = (res, status, body = null, headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+  res.end(body ? JSON.stringify(body) : undefined);
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const handleChunk = async (req, res, uploadId) => {
+  const match = /bytes (\d+)-(\d+)\/(\d+)/.exec(req.headers['content-range'] || '');
+  if (!match) return send(res, 400, { error: 'Invalid Content-Range' });
+
+  const [start, , total] = match.slice(1).map(Number);
+  const offset = sessions.get(uploadId) || 0;
+  const body = await readBody(req);
+
+  // Out-of-order chunk: tell the client where to resume from
+  if (start !== offset) {
+    return send(res, 200, { uploadId, received: offset }, { 'X-Upload-Offset': offset });
+  }
+
+  const filePath = path.join(UPLOAD_DIR, uploadId.replace(/[^\w-]/g, '_'));
+  fs.appendFileSync(filePath, body);
+  const received = offset + body.length;
+  sessions.set(uploadId, received);
+
+  if (received >= total) {
+    sessions.delete(uploadId);
+    const fileName = decodeURIComponent(req.headers['x-file-name'] || uploadId);
+    console.log(`Completed chunked upload ${fileName} (${total} bytes) -> ${filePath}`);
+    return send(res, 201, { uploadId, size: total, path: filePath }, { 'X-Upload-Offset': received });
+  }
+
+  return send(res, 200, { uploadId, received }, { 'X-Upload-Offset': received });
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const uploadId = req.headers['x-upload-id'];
+
+  if (req.method === 'HEAD') {
+    return send(res, 200, null, { 'X-Upload-Offset': sessions.get(uploadId) || 0 });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'PUT') return send(res, 405);
+
+  if (Math.random() < FAIL_RATE) {
+    req.resume();
+    return send(res, 503, { error: 'Simulated failure' });
+  }
+
+  if (uploadId && req.headers['content-range']) return handleChunk(req, res, uploadId);
+
+  // Plain multipart upload: just record the size
+  const body = await readBody(req);
+  console.log(`Received multipart upload (${body.length} bytes)`);
+  return send(res, 201, { size: body.length });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock upload server listening on http://localhost:${PORT} (fail rate ${FAIL_RATE})`);
+});
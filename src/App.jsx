@@ -1,4 +1,3 @@
-import { useState } from 'react'
 import './App.scss'
 import Recorder from './components/Recorder'
 import AudioRecorderApp from './components/AudioRecorderApp'
@@ -6,7 +5,7 @@ import AudioRecorderApp from './components/AudioRecorderApp'
 function App() {
   return (
     <>
-      <AudioRecorderApp />
+      <AudioRecorderApp uploadOptions={{ endpoint: '/api/upload' }} />
     </>
   )
 }
@@ -0,0 +1,1128 @@
+import React, { useEffect, useImperativeHandle, useRef, useState } from 'react';
+import {
+  Mic, Play, Pause, Trash2, Upload, X, RotateCcw, Check,
+  Crop, Scissors, Headphones, Undo2, Redo2, MicOff, AlertTriangle, AudioLines, SlidersHorizontal,
+  BookmarkPlus, Plus, ListPlus, Replace, Download, Share2,
+} from 'lucide-react';
+import AudioSettingsPanel from './AudioSettingsPanel';
+import MarkerList from './MarkerList';
+import PlaybackControls from './PlaybackControls';
+import SourceSelector from './SourceSelector';
+import TakeStack from './TakeStack';
+import Transcript from './Transcript';
+import useAudioDevices from '../hooks/useAudioDevices';
+import useAnnouncements from '../hooks/useAnnouncements';
+import useAudioRecorder, { SCROLLING_WINDOW } from '../hooks/useAudioRecorder';
+import useInputLevel from '../hooks/useInputLevel';
+import useKeyboardControls from '../hooks/useKeyboardControls';
+import useLeaveWarning from '../hooks/useLeaveWarning';
+import useLevelMeter from '../hooks/useLevelMeter';
+import useLocale from '../hooks/useLocale';
+import useLoudness from '../hooks/useLoudness';
+import useMarkers from '../hooks/useMarkers';
+import usePlaybackControls from '../hooks/usePlaybackControls';
+import useRecordingFile from '../hooks/useRecordingFile';
+import useRecordingPersistence from '../hooks/useRecordingPersistence';
+import useTakes from '../hooks/useTakes';
+import useTheme from '../hooks/useTheme';
+import useTranscription from '../hooks/useTranscription';
+import useUploader from '../hooks/useUploader';
+import useVoiceActivity from '../hooks/useVoiceActivity';
+import useWakeLock from '../hooks/useWakeLock';
+import useWaveformEditor from '../hooks/useWaveformEditor';
+import formatSize from '../utils/formatSize';
+import { playBeep } from '../utils/beep';
+import { downloadBlob, recordingFileName } from '../utils/download';
+import { markersToCue, markersToJson, remapMarkers } from '../utils/markers';
+import { EXPORT_FORMATS } from '../utils/audioExport';
+import { AUDIO_SOURCES, isDisplayAudioSupported, usesDisplayAudio } from '../utils/audioSources';
+import { SILENCE_FLOOR } from '../utils/loudness';
+import { RECORDER_ERRORS } from '../utils/recorderErrors';
+import { translateError, translateUploadError } from '../utils/i18n';
+import { fadeColor } from '../utils/theme';
+import { createWebSpeechTranscriber } from '../utils/transcription';
+import { trimSilence } from '../utils/voiceActivity';
+import { MODES } from '../constants';
+import '../styles/Recorder.scss';
+
+const AudioRecorder = ({
+  ref,
+  mode = MODES.LIMITED,
+  maxDuration = 30, // Seconds, only used in 'limited' mode
+  minDuration = 0, // Seconds before stop and upload are enabled
+  warningTime = 5, // Seconds before maxDuration to warn, 0 to disable
+  warningSound = false, // Beep on the countdown and each second of the warning
+  countdown = 0, // Seconds of 3-2-1 before recording starts
+  maxSize = null, // Bytes, only used in 'unlimited' mode; recording auto-stops at it
+  waveformHistory = SCROLLING_WINDOW, // Seconds of live waveform in 'unlimited' mode, up to MAX_WAVEFORM_HISTORY
+  theme = 'auto', // 'dark', 'light', 'auto' or { base, ...colors }, see src/utils/theme.js
+  primaryColor, // Shortcuts for theme.primary / .progress / .playback
+  progressColor,
+  playbackColor,
+  locale = 'en', // BCP 47 tag; picks the message catalog, number digits and text direction
+  messages = null, // Overrides for single catalog keys, see src/locales/en.js
+  waveHeight = 50,
+  normalizeWaveform = true, // Stretch the waveform to its loudest peak; false draws actual levels, so clipping shows
+  splitChannels = false, // One waveform per channel for the finished take; needs a stereo recording, see README
+  levelMeter = false, // Live peak/RMS meter with a clip light while recording
+  loudness: loudnessEnabled = false, // Integrated LUFS, peak and clipped samples of the finished take
+  mimeType = null, // Auto-detected when not set
+  exportFormat = EXPORT_FORMATS.ORIGINAL, // 'original', 'wav' or 'mp3'
+  exportOptions = {}, // { sampleRate, mono, bitRate }
+  editable = true, // Trim/cut editor on the finished waveform
+  playbackControls = true, // Skip, speed, volume and loop for the finished take
+  title = null, // Name of the recording, used for the download file name and embedded metadata
+  download = true, // Download button for the finished take
+  share = true, // Web Share button, copying shareUrl where files can't be shared
+  shareUrl = null, // Link to copy; the upload response's `url` when not set
+  overdub = true, // Append to the finished take, or punch in over the selection
+  persist = false, // Save takes (and in-progress chunks) to IndexedDB
+  flushInterval = 1000, // ms between chunks written to IndexedDB while recording with persist
+  wakeLock = true, // Keep the screen on while recording
+  warnBeforeLeave = true, // Ask before the page is closed with a recording that isn't uploaded or saved
+  showDeviceSelector = true, // Mic picker and level test while idle
+  deviceId: controlledDeviceId, // Pin the input device; otherwise the user's last choice
+  audioConstraints = {}, // Initial { echoCancellation, noiseSuppression, autoGainControl, channelCount, sampleRate }
+  processing = {}, // Initial { gain, highPass, gate, limiter }
+  showSettings = true, // Settings panel to tweak the two above while idle
+  source = AUDIO_SOURCES.MIC, // Initial capture source: 'mic', 'system' (tab/screen audio) or 'mixed'
+  sourceGains = {}, // Initial { mic, system } gains in dB when shared audio is recorded
+  showSourceSelector = true, // Source picker while idle and gain sliders while recording, where tab audio can be captured
+  transcribe = false, // Live captions and a clickable transcript
+  transcriber = null, // Transcription adapter, Web Speech when not set; keep it stable across renders
+  markers: markersEnabled = true, // Mark button and shortcut while recording
+  markerShortcut = 'm',
+  keyboardShortcuts = true, // Space, P, arrows, Home / End and Escape while focus is in the recorder
+  announceInterval = 30, // Seconds between elapsed-time announcements to screen readers, 0 to disable
+  multiTake = false, // Keep every take in a stack and upload the selected one
+  maxTakes = 10,
+  vad = false, // Voice-activity mode: true or { threshold, autoStart, pauseAfter, stopAfter, trimSilence, ... }
+  uploadOptions = {},
+  className = '',
+  onRecordingComplete,
+  onStateChange,
+  onError,
+  onUpload,
+  onSaved,
+  onDeviceChange,
+  onSettingsChange,
+  onSourceChange,
+  onTranscript,
+  onClose,
+}) => {
+  // --- Theme ---
+  const { colors, style: themeStyle } = useTheme(theme, {
+    primary: primaryColor,
+    progress: progressColor,
+    playback: playbackColor,
+  });
+
+  // --- Language ---
+  const { t, dir, formatTime, formatSpokenTime, formatNumber } = useLocale(locale, messages);
+
+  // --- Upload ---
+  const uploader = useUploader(onUpload ? { ...uploadOptions, onUpload } : uploadOptions);
+
+  // --- Takes ---
+  const takes = useTakes({ maxTakes });
+
+  // --- Persistence ---
+  const persistence = useRecordingPersistence({ enabled: persist, onSaved, onError });
+
+  // --- Input device ---
+  const audioDevices = useAudioDevices({ enabled: showDeviceSelector, t, locale });
+  const deviceId = controlledDeviceId ?? audioDevices.deviceId;
+
+  // --- Audio settings (seeded from props, then edited in the panel) ---
+  const [settings, setSettings] = useState({ audioConstraints, processing });
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const settingsKey = JSON.stringify({ audioConstraints, processing });
+  const [prevSettingsKey, setPrevSettingsKey] = useState(settingsKey);
+  if (settingsKey !== prevSettingsKey) {
+    setPrevSettingsKey(settingsKey);
+    setSettings({ audioConstraints, processing });
+  }
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    // Constraints only apply when the mic is opened, so restart a running test
+    if (patch.audioConstraints && inputLevel.isActive) {
+      inputLevel.start({ audioConstraints: patch.audioConstraints });
+    }
+    onSettingsChange?.(next);
+  };
+
+  const inputLevel = useInputLevel({ deviceId, ...settings });
+
+  // --- Capture source (seeded from props, then picked in the selector) ---
+  const [capture, setCapture] = useState({ source, sourceGains });
+  const captureKey = JSON.stringify({ source, sourceGains });
+  const [prevCaptureKey, setPrevCaptureKey] = useState(captureKey);
+  if (captureKey !== prevCaptureKey) {
+    setPrevCaptureKey(captureKey);
+    setCapture({ source, sourceGains });
+  }
+
+  const updateCapture = (patch) => {
+    const next = { ...capture, ...patch };
+    setCapture(next);
+    onSourceChange?.(next);
+  };
+
+  const selectDevice = (id) => {
+    audioDevices.setDeviceId(id);
+    if (inputLevel.isActive) inputLevel.start({ deviceId: id });
+    onDeviceChange?.(id);
+  };
+
+  // --- Recorder ---
+  const vadOptions = vad === true ? {} : vad || {};
+  const recorder = useAudioRecorder({
+    deviceId,
+    audioConstraints: settings.audioConstraints,
+    processing: settings.processing,
+    source: capture.source,
+    sourceGains: capture.sourceGains,
+    maxDuration: mode === MODES.LIMITED ? maxDuration : null,
+    minDuration,
+    warningTime,
+    countdown,
+    maxSize: mode === MODES.UNLIMITED ? maxSize : null,
+    scrollingWaveform: mode === MODES.UNLIMITED,
+    waveformHistory,
+    mimeType,
+    exportFormat,
+    exportOptions,
+    // Flush chunks regularly so a crash loses at most flushInterval of audio
+    timeslice: persist ? flushInterval : null,
+    transformRecording: vad && vadOptions.trimSilence ? (blob) => trimSilence(blob, vadOptions) : null,
+    waveSurferOptions: {
+      height: waveHeight,
+      barWidth: 2,
+      barGap: 3,
+      barRadius: 2,
+      cursorWidth: 0,
+      normalize: normalizeWaveform,
+      // For unlimited: high pxPerSec causes scrolling. For limited: 0 fits container.
+      minPxPerSec: mode === MODES.UNLIMITED ? 100 : 0,
+      fillParent: mode === MODES.LIMITED,
+      interact: true,
+      hideScrollbar: true,
+      autoScroll: true,
+    },
+    onRecordingComplete: (blob, { markers: editedMarkers, ...meta }) => {
+      const { edits, ...takeMeta } = meta;
+      // Trimmed silence or a punch-in stopped early moved the audio the markers and captions point at;
+      // an applied edit brings its markers along, already moved
+      const markers = editedMarkers ?? remapMarkers(markerState.markers, edits);
+      if (edits?.length) {
+        markerState.remap(edits);
+        transcription.remap(edits);
+      }
+      if (multiTake) takes.commitTake(blob, meta);
+      persistence.save(blob, { ...takeMeta, mode, markers });
+      onRecordingComplete?.(blob, { ...meta, mode });
+    },
+    onChunk: persistence.appendChunk,
+    onStateChange,
+    onError,
+  });
+
+  const {
+    containerRef,
+    wavesurferRef,
+    recordPluginRef,
+    state: recorderState,
+    duration,
+    currentTime,
+    isPlaying,
+    blob: recordedBlob,
+    sourceBlob,
+    error: recorderError,
+    clearError,
+    isExporting,
+    splice,
+    cancelSplice,
+    size,
+    waveformWindow,
+    countdown: countdownValue,
+    cancelCountdown,
+    remaining,
+    isNearLimit,
+    meetsMinDuration,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    stop: stopRecording,
+    togglePlayback,
+    pausePlayback,
+    seekTo,
+    replaceRecording,
+  } = recorder;
+
+  // --- Transcription ---
+  const [defaultTranscriber] = useState(createWebSpeechTranscriber);
+  const transcription = useTranscription({
+    adapter: transcriber || defaultTranscriber,
+    enabled: transcribe,
+    state: recorderState,
+    sourceBlob,
+    recordPluginRef,
+    splice,
+    lang: locale,
+    onTranscript,
+    onError,
+  });
+
+  // --- Errors ---
+  // Unsupported browsers and insecure pages can't be fixed by retrying
+  const isFatalError = recorderError?.code === RECORDER_ERRORS.UNSUPPORTED
+    || recorderError?.code === RECORDER_ERRORS.INSECURE_CONTEXT;
+  const canRetry = recorderState === 'error' && !isFatalError;
+
+  // --- Editor ---
+  const editor = useWaveformEditor({
+    wavesurferRef,
+    sourceBlob,
+    enabled: editable && recorderState === 'finished' && uploader.status !== 'uploading',
+    regionColor: fadeColor(colors.primary, 0.2),
+    onApply: (editedBlob, meta) => {
+      uploader.reset();
+      markerState.remap(meta.edits);
+      transcription.remap(meta.edits);
+      replaceRecording(editedBlob, { duration: meta.duration, markers: remapMarkers(markerState.markers, meta.edits) });
+    },
+    onError,
+  });
+
+  // --- Playback (loops the selection when there is one) ---
+  const playback = usePlaybackControls({
+    wavesurferRef,
+    enabled: recorderState === 'finished',
+    loopRegion: editor.selection,
+  });
+
+  // --- Markers ---
+  const cardRef = useRef(null); // Keyboard shortcuts only apply while focus is inside the card
+  const markerState = useMarkers({
+    enabled: markersEnabled,
+    targetRef: cardRef,
+    state: recorderState,
+    wavesurferRef,
+    recordPluginRef,
+    splice,
+    shortcut: markerShortcut,
+    showOnWaveform: !editor.isDirty,
+    color: fadeColor(colors.primary, 0.8),
+  });
+
+  // --- Waveform colors switch once the recording is finished, with a cursor to click-seek ---
+  const { primary, progress, playback: playbackWave } = colors;
+  useEffect(() => {
+    wavesurferRef.current?.setOptions(recorderState === 'finished'
+      ? { waveColor: playbackWave, progressColor: primary, cursorColor: primary, cursorWidth: 2 }
+      : { waveColor: primary, progressColor: progress, cursorWidth: 0 });
+  }, [wavesurferRef, recorderState, primary, progress, playbackWave]);
+
+  // --- Split channels: the finished take's channels share the (taller) waveform area ---
+  // The live waveform is always a single one, as the record plugin draws the mixed input
+  const isSplit = splitChannels && recorderState === 'finished';
+  useEffect(() => {
+    wavesurferRef.current?.setOptions(isSplit
+      ? { splitChannels: [{}, {}], height: 'auto' }
+      : { splitChannels: undefined, height: waveHeight });
+  }, [wavesurferRef, isSplit, waveHeight]);
+
+  // --- Levels: live meter while recording, loudness of the finished take ---
+  const meter = useLevelMeter({ enabled: levelMeter, state: recorderState, recordPluginRef });
+  const loudness = useLoudness({
+    enabled: loudnessEnabled && recorderState === 'finished',
+    blob: recordedBlob,
+    onError,
+  });
+  const meterPosition = (db) => `${((Math.max(SILENCE_FLOOR, db) - SILENCE_FLOOR) / -SILENCE_FLOOR) * 100}%`;
+  const formatLevel = (db) => (Number.isFinite(db)
+    ? formatNumber(db, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    : '-∞');
+
+  // --- The live waveform keeps the width of SCROLLING_WINDOW at 100px/s, however much history it shows ---
+  useEffect(() => {
+    if (mode === MODES.UNLIMITED && (recorderState === 'recording' || recorderState === 'paused')) {
+      wavesurferRef.current?.setOptions({ minPxPerSec: (SCROLLING_WINDOW * 100) / waveformWindow });
+    }
+  }, [wavesurferRef, mode, recorderState, waveformWindow]);
+
+  // --- Audible cues: every countdown step, then every second of the limit warning ---
+  const warningSecond = isNearLimit && recorderState === 'recording' ? Math.ceil(remaining) : null;
+  useEffect(() => {
+    if (warningSound && countdownValue) playBeep({ frequency: 660 });
+  }, [warningSound, countdownValue]);
+  useEffect(() => {
+    if (warningSound && warningSecond) playBeep();
+  }, [warningSound, warningSecond]);
+
+  // --- Surface upload failures ---
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+  useEffect(() => {
+    if (uploader.status === 'error' && uploader.error) {
+      onErrorRef.current?.(uploader.error);
+    }
+  }, [uploader.status, uploader.error]);
+
+  // --- Actions ---
+
+  const startRecording = async () => {
+    uploader.reset();
+    inputLevel.stop();
+    const started = await recorder.start();
+    if (started) {
+      persistence.begin();
+      // Device labels only become readable once permission is granted
+      audioDevices.refresh();
+    }
+    return started;
+  };
+
+  // --- Voice activity ---
+  const voiceActivity = useVoiceActivity({
+    enabled: Boolean(vad),
+    options: vadOptions,
+    state: recorderState,
+    wavesurferRef,
+    recordPluginRef,
+    deviceId,
+    audioConstraints: settings.audioConstraints,
+    source: capture.source,
+    showSegments: !editor.isDirty,
+    regionColor: fadeColor(colors.primary, 0.12),
+    start: startRecording,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    stop: stopRecording,
+    onError,
+  });
+
+  const deleteRecording = () => {
+    // Mid-splice only the new audio goes; the finished take stays
+    if (splice) {
+      cancelSplice();
+      return;
+    }
+    if (multiTake && recorderState === 'finished') takes.removeTake(takes.currentId);
+    recorder.reset();
+    uploader.reset();
+    persistence.discard();
+  };
+
+  // Record onto the finished take: at its end, or over the selected range
+  const canSplice = !editor.isDirty && !editor.isProcessing && !isExporting && uploader.status !== 'uploading';
+
+  const appendRecording = () => {
+    uploader.reset();
+    inputLevel.stop();
+    return recorder.append();
+  };
+
+  const punchIn = () => {
+    if (!editor.selection) return Promise.resolve(false);
+    uploader.reset();
+    inputLevel.stop();
+    return recorder.punchIn(editor.selection.start, editor.selection.end);
+  };
+
+  // Keeps the finished take in the stack (multiTake) and goes back to idle
+  const newTake = () => {
+    takes.startNewTake({ markers: markerState.markers });
+    recorder.reset();
+    uploader.reset();
+  };
+
+  const selectTake = (id) => {
+    if (id === takes.selectedId) return;
+    takes.selectTake(id);
+    uploader.reset();
+  };
+
+  // With multiTake the selected take is uploaded, which isn't necessarily the one on screen
+  const uploadTake = multiTake ? takes.selectedTake : null;
+  const uploadBlob = multiTake ? uploadTake?.blob : recordedBlob;
+  const isTooShort = minDuration > 0 && (multiTake ? uploadTake?.duration ?? 0 : duration) < minDuration;
+  const isCurrentUpload = !multiTake || uploadTake?.id === takes.currentId;
+  const uploadMarkers = isCurrentUpload ? markerState.markers : uploadTake?.markers ?? [];
+  const tooShortMessage = t('controls.minDuration', { time: formatTime(minDuration) });
+
+  const handleUpload = () => {
+    if (!uploadBlob) return;
+    uploader.upload(uploadBlob, {
+      duration: isCurrentUpload ? duration : uploadTake.duration,
+      mode,
+      createdAt: new Date().toISOString(),
+      markers: uploadMarkers.map(({ time, label }) => ({ time, label })),
+    });
+  };
+
+  // --- Download & share (the same take as the upload) ---
+  const recordingFile = useRecordingFile({
+    blob: recorderState === 'finished' ? uploadBlob : null,
+    title,
+    date: uploadTake?.createdAt ?? null,
+    markers: uploadMarkers,
+    shareUrl: shareUrl ?? uploader.response?.url ?? null,
+    onError,
+  });
+  const fileActionsDisabled = !recordingFile.isReady || isExporting || editor.isDirty;
+
+  // Named after the audio file so the cue sheet finds it
+  const audioFileName = (isCurrentUpload && recordingFile.fileName)
+    || recordingFileName({ title, mimeType: recordedBlob?.type });
+  const baseName = audioFileName.replace(/\.\w+$/, '');
+  const downloadCue = () => {
+    const cue = markersToCue(markerState.markers, { fileName: audioFileName, title: title || undefined });
+    downloadBlob(cue, `${baseName}.cue`);
+  };
+  const downloadMarkersJson = () => downloadBlob(markersToJson(markerState.markers), `${baseName}-markers.json`);
+
+  // --- Long sessions: the screen stays on while recording, leaving asks first ---
+  // Drafts are recoverable with persist, but leaving still cuts the recording short
+  const isCapturing = recorderState === 'recording' || recorderState === 'paused';
+  const hasUnsavedTake = !persist && uploader.status !== 'success'
+    && (recorderState === 'finished' || takes.takes.length > 0);
+  useWakeLock(wakeLock && isCapturing);
+  useLeaveWarning(warnBeforeLeave && (isCapturing || hasUnsavedTake || editor.isDirty));
+
+  // --- Keyboard & screen readers ---
+  const mainControlRef = useRef(null); // Focused after each state change
+  useKeyboardControls({
+    enabled: keyboardShortcuts,
+    targetRef: cardRef,
+    focusRef: mainControlRef,
+    state: recorderState,
+    isCountingDown: Boolean(countdownValue),
+    currentTime,
+    duration,
+    start: isFatalError ? null : startRecording,
+    stop: stopRecording,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    togglePlayback,
+    seekTo,
+    cancelCountdown,
+  });
+
+  const announcement = useAnnouncements({
+    state: recorderState,
+    duration,
+    countdown: countdownValue,
+    remaining,
+    isNearLimit,
+    interval: announceInterval,
+    t,
+    locale,
+  });
+
+  const waveformA11y = recorderState === 'finished'
+    ? {
+      role: 'slider',
+      tabIndex: 0,
+      'aria-label': t('waveform.position'),
+      'aria-valuemin': 0,
+      'aria-valuemax': Math.round(duration),
+      'aria-valuenow': Math.round(currentTime),
+      'aria-valuetext': t('waveform.positionValue', {
+        current: formatSpokenTime(currentTime),
+        total: formatSpokenTime(duration),
+      }),
+    }
+    : { role: 'img', 'aria-label': t(recorderState === 'idle' ? 'waveform.idle' : 'waveform.live') };
+
+  // --- Imperative API ---
+  useImperativeHandle(ref, () => ({
+    start: startRecording,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    stop: stopRecording,
+    reset: deleteRecording,
+    getBlob: () => uploadBlob,
+  }));
+
+  return (
+    <div ref={cardRef} className={`recorder-card ${className}`.trim()} style={themeStyle} dir={dir} lang={locale}>
+
+      {/* Screen-reader announcements */}
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+      
+      {/* Subtle Green Border/Glow Top */}
+      <div className="card-glow"></div>
+
+      <div className="card-content">
+        
+        {/* Close Button (Bottom Left, visible when Idle) */}
+        {(recorderState === 'idle' || recorderState === 'error') && (
+          <button className="close-button" onClick={onClose} title={t('recorder.close')} aria-label={t('recorder.closeLabel')}>
+            <X size={18} />
+          </button>
+        )}
+
+        {/* --- Error Banner --- */}
+        {recorderError && (
+          <div className={`recorder-error ${recorderState === 'error' ? '' : 'warning'}`} role="alert">
+            {recorderState === 'error' ? <MicOff size={16} /> : <AlertTriangle size={16} />}
+            <span className="error-message">{translateError(t, recorderError)}</span>
+            {canRetry && (
+              <button onClick={startRecording} className="error-action">{t('error.tryAgain')}</button>
+            )}
+            {!isFatalError && (
+              <button onClick={clearError} className="error-dismiss" title={t('error.dismiss')}>
+                <X size={14} />
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* --- Input Setup (Idle only) --- */}
+        {(showDeviceSelector || showSettings) && (recorderState === 'idle' || recorderState === 'error') && !isFatalError && (
+          <>
+            <div className="input-setup">
+              {showDeviceSelector && (
+                <>
+                  <select
+                    className="device-select"
+                    value={deviceId}
+                    disabled={controlledDeviceId !== undefined}
+                    onChange={(e) => selectDevice(e.target.value)}
+                    title={t('input.microphone')}
+                  >
+                    <option value="">{t('input.defaultMicrophone')}</option>
+                    {audioDevices.devices.map((device) => (
+                      <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                    ))}
+                  </select>
+
+                  <button
+                    onClick={inputLevel.toggle}
+                    className={`test-button ${inputLevel.isActive ? 'active' : ''}`}
+                    title={t(inputLevel.isActive ? 'input.stopTest' : 'input.test')}
+                  >
+                    <AudioLines size={14} />
+                  </button>
+
+                  <div
+                    className="level-meter"
+                    title={inputLevel.error?.message}
+                    role="meter"
+                    aria-label={t('input.level')}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round(Math.min(1, inputLevel.level) * 100)}
+                  >
+                    <div
+                      className={`level-fill ${inputLevel.level > 0.95 ? 'clipping' : ''}`}
+                      style={{ width: `${Math.min(1, inputLevel.level) * 100}%` }}
+                    ></div>
+                  </div>
+                </>
+              )}
+
+              {showSettings && (
+                <button
+                  onClick={() => setIsSettingsOpen((open) => !open)}
+                  className={`test-button settings-button ${isSettingsOpen ? 'active' : ''}`}
+                  title={t('input.settings')}
+                >
+                  <SlidersHorizontal size={14} />
+                </button>
+              )}
+            </div>
+
+            {showSettings && isSettingsOpen && (
+              <AudioSettingsPanel
+                audioConstraints={settings.audioConstraints}
+                processing={settings.processing}
+                onConstraintsChange={(next) => updateSettings({ audioConstraints: next })}
+                onProcessingChange={(next) => updateSettings({ processing: next })}
+                t={t}
+              />
+            )}
+          </>
+        )}
+
+        {/* --- Capture Source (picked while idle, gains stay live while recording) --- */}
+        {showSourceSelector && isDisplayAudioSupported() && !isFatalError && (
+          recorderState === 'idle' || recorderState === 'error' || (isCapturing && usesDisplayAudio(capture.source))
+        ) && (
+          <SourceSelector
+            source={capture.source}
+            gains={capture.sourceGains}
+            locked={isCapturing}
+            onSourceChange={(next) => updateCapture({ source: next })}
+            onGainsChange={(next) => updateCapture({ sourceGains: next })}
+            t={t}
+          />
+        )}
+
+        {/* --- Waveform Visualization Area --- */}
+        <div className={`waveform-container ${isSplit ? 'split' : ''}`}>
+          <div className={`waveform-background ${recorderState === 'finished' ? 'hidden' : ''}`}></div>
+          <div 
+            ref={containerRef} 
+            {...waveformA11y}
+            className={`waveform-wrapper ${mode === MODES.UNLIMITED ? 'scrolling' : ''}`}
+          />
+
+          {countdownValue && (
+            <div className="countdown-overlay" aria-hidden="true">{formatNumber(countdownValue)}</div>
+          )}
+
+          {/* Markers scroll with the live waveform */}
+          {mode === MODES.UNLIMITED && (recorderState === 'recording' || recorderState === 'paused') && (
+            <div className="live-markers">
+              {markerState.markers.map((marker) => {
+                const left = 100 - ((duration - marker.time) / waveformWindow) * 100;
+                return left >= 0 && left <= 100 && (
+                  <div key={marker.id} className="live-marker" style={{ left: `${left}%` }} title={marker.label} />
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* --- Timers --- */}
+        <div className={`timers ${isNearLimit ? 'near-limit' : ''}`}>
+          <span>
+            {recorderState === 'finished' ? formatTime(currentTime) : formatTime(duration)}
+          </span>
+          {vad && (
+            <span className={`vad-status ${voiceActivity.isSpeaking ? 'speaking' : ''}`}>
+              {voiceActivity.isArmed && t('vad.waiting')}
+              {voiceActivity.isAutoPaused && t('vad.autoPaused')}
+              {recorderState === 'recording' && t(voiceActivity.isSpeaking ? 'vad.speech' : 'vad.silence')}
+            </span>
+          )}
+          <span>
+            {mode === MODES.LIMITED && (isNearLimit ? `-${formatTime(remaining)}` : formatTime(maxDuration))}
+            {mode === MODES.UNLIMITED && (maxSize ? `${formatSize(size, locale)} / ${formatSize(maxSize, locale)}` : formatTime(duration))}
+          </span>
+        </div>
+
+        {/* --- Level Meter (while recording) --- */}
+        {levelMeter && (recorderState === 'recording' || recorderState === 'paused') && (
+          <div className="level-readout">
+            <div
+              className="peak-meter"
+              role="meter"
+              aria-label={t('meter.label')}
+              aria-valuemin={SILENCE_FLOOR}
+              aria-valuemax={0}
+              aria-valuenow={Math.round(meter.peak)}
+              aria-valuetext={t('meter.value', { peak: formatLevel(meter.peak), rms: formatLevel(meter.rms) })}
+            >
+              <div className="meter-rms" style={{ width: meterPosition(meter.rms) }}></div>
+              <div className="meter-peak" style={{ width: meterPosition(meter.peak) }}></div>
+              <div className="meter-hold" style={{ left: meterPosition(meter.peakHold) }}></div>
+            </div>
+            <span className="meter-values" aria-hidden="true">
+              {formatLevel(meter.peak)} / {formatLevel(meter.rms)} dB
+            </span>
+            <span
+              className={`clip-light ${meter.isClipping ? 'on' : ''} ${meter.hasClipped ? 'clipped' : ''}`}
+              title={t(meter.hasClipped ? 'meter.clipped' : 'meter.noClipping')}
+            >
+              {t('meter.clip')}
+            </span>
+          </div>
+        )}
+
+        {/* --- Loudness (Finished only) --- */}
+        {loudnessEnabled && recorderState === 'finished' && (
+          <div className="loudness-summary" role="status">
+            {loudness.isMeasuring && <span>{t('loudness.measuring')}</span>}
+            {loudness.loudness && (
+              <>
+                <span title={t('loudness.integratedTitle')}>
+                  {t('loudness.integrated', { value: formatLevel(loudness.loudness.integrated) })}
+                </span>
+                <span>{t('loudness.peak', { value: formatLevel(loudness.loudness.peak) })}</span>
+                {loudness.loudness.clipped > 0 && (
+                  <span className="clipped">
+                    <AlertTriangle size={12} />
+                    {t('loudness.clipped', { count: formatNumber(loudness.loudness.clipped) })}
+                  </span>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* --- Playback Controls (Finished only) --- */}
+        {playbackControls && recorderState === 'finished' && (
+          <PlaybackControls playback={playback} hasLoopRegion={Boolean(editor.selection)} t={t} locale={locale} />
+        )}
+
+        {/* --- Edit Toolbar (Finished only) --- */}
+        {(editable || overdub || download || share) && recorderState === 'finished' && (
+          <div className="edit-toolbar">
+            {editable && (
+              <>
+                <button
+                  onClick={editor.trim}
+                  disabled={!editor.selection || editor.isProcessing}
+                  className="edit-button"
+                  title={t('edit.trim')}
+                >
+                  <Crop size={14} />
+                </button>
+                <button
+                  onClick={editor.cut}
+                  disabled={!editor.selection || editor.isProcessing}
+                  className="edit-button"
+                  title={t('edit.cut')}
+                >
+                  <Scissors size={14} />
+                </button>
+                <button
+                  onClick={editor.previewSelection}
+                  disabled={!editor.selection}
+                  className="edit-button"
+                  title={t('edit.preview')}
+                >
+                  <Headphones size={14} />
+                </button>
+                <button
+                  onClick={editor.undo}
+                  disabled={!editor.canUndo || editor.isProcessing}
+                  className="edit-button"
+                  title={t('edit.undo')}
+                >
+                  <Undo2 size={14} />
+                </button>
+                <button
+                  onClick={editor.redo}
+                  disabled={!editor.canRedo || editor.isProcessing}
+                  className="edit-button"
+                  title={t('edit.redo')}
+                >
+                  <Redo2 size={14} />
+                </button>
+              </>
+            )}
+
+            {overdub && (
+              <>
+                <button
+                  onClick={appendRecording}
+                  disabled={!canSplice}
+                  className="edit-button"
+                  title={t(editor.isDirty ? 'edit.pending' : 'edit.append')}
+                >
+                  <ListPlus size={14} />
+                </button>
+                {editable && (
+                  <button
+                    onClick={punchIn}
+                    disabled={!canSplice || !editor.selection}
+                    className="edit-button"
+                    title={t(editor.isDirty ? 'edit.pending' : 'edit.punchIn')}
+                  >
+                    <Replace size={14} />
+                  </button>
+                )}
+              </>
+            )}
+
+            {download && (
+              <button
+                onClick={recordingFile.download}
+                disabled={fileActionsDisabled}
+                className="edit-button"
+                title={editor.isDirty ? t('edit.pending') : t('file.download', { name: recordingFile.fileName ?? '' })}
+                aria-label={t('file.downloadLabel')}
+              >
+                <Download size={14} />
+              </button>
+            )}
+
+            {share && recordingFile.canShare && (
+              <button
+                onClick={recordingFile.share}
+                disabled={fileActionsDisabled}
+                className={`edit-button ${recordingFile.shareStatus ? 'active' : ''}`}
+                title={editor.isDirty ? t('edit.pending') : t('file.share')}
+                aria-label={t('file.share')}
+              >
+                <Share2 size={14} />
+                {recordingFile.shareStatus && <span role="status">{t(`file.${recordingFile.shareStatus}`)}</span>}
+              </button>
+            )}
+
+            {editor.isDirty && (
+              <>
+                <button onClick={editor.apply} className="edit-button apply" title={t('edit.applyTitle')}>
+                  <Check size={14} />
+                  <span>{t('edit.apply')}</span>
+                </button>
+                <button onClick={editor.discard} className="edit-button" title={t('edit.discard')}>
+                  <X size={14} />
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* --- Transcript --- */}
+        {transcribe && (
+          <Transcript
+            segments={transcription.segments}
+            interim={transcription.interim}
+            isLive={recorderState === 'recording' || recorderState === 'paused'}
+            isTranscribing={transcription.isTranscribing}
+            currentTime={currentTime}
+            onSeek={seekTo}
+            t={t}
+            locale={locale}
+          />
+        )}
+
+        {/* --- Markers --- */}
+        {markersEnabled && (
+          <MarkerList
+            markers={markerState.markers}
+            canSeek={recorderState === 'finished'}
+            onSeek={seekTo}
+            onRename={markerState.renameMarker}
+            onRemove={markerState.removeMarker}
+            onDownloadCue={recorderState === 'finished' ? downloadCue : undefined}
+            onDownloadJson={recorderState === 'finished' ? downloadMarkersJson : undefined}
+            t={t}
+            locale={locale}
+          />
+        )}
+
+        {/* --- Controls Area --- */}
+        <div className="controls">
+          
+          {/* LEFT: Trash / Pause (Contextual) */}
+          <div className="controls-left">
+            {(recorderState === 'paused' || recorderState === 'recording' || recorderState === 'finished') && (
+              <div className="control-group">
+                {multiTake && recorderState === 'finished' ? (
+                  <button
+                    onClick={newTake}
+                    disabled={uploader.status === 'uploading'}
+                    className="control-button new-take-button"
+                    title={t('controls.newTake')}
+                    aria-label={t('controls.newTake')}
+                  >
+                    <Plus size={18} />
+                  </button>
+                ) : (
+                  <button 
+                    onClick={deleteRecording}
+                    className="control-button delete-button"
+                    title={t(splice ? 'controls.discardSplice' : 'controls.delete')}
+                    aria-label={t(splice ? 'controls.discardSplice' : 'controls.deleteRecording')}
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                )}
+                
+                {recorderState === 'recording' && (
+                  <button
+                    onClick={pauseRecording}
+                    className="control-button pause-button"
+                    aria-keyshortcuts="P"
+                  >
+                    <Pause size={16} fill="currentColor" />
+                    <span>{t('controls.pause')}</span>
+                  </button>
+                )}
+                
+                {recorderState === 'paused' && (
+                  <button
+                    ref={mainControlRef}
+                    onClick={resumeRecording}
+                    className="control-button resume-button"
+                    aria-keyshortcuts="Space P"
+                  >
+                    <span>{t('controls.resume')}</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* CENTER: Main Action Button */}
+          <div className="controls-center">
+            
+            {(recorderState === 'idle' || recorderState === 'error') && (countdownValue ? (
+              <button
+                ref={mainControlRef}
+                onClick={cancelCountdown}
+                className="main-button record-button counting"
+                title={t('controls.cancel')}
+                aria-label={t('controls.countdown', { count: formatNumber(countdownValue) })}
+                aria-keyshortcuts="Space Escape"
+              >
+                <span className="countdown-value">{formatNumber(countdownValue)}</span>
+              </button>
+            ) : (
+              <button 
+                ref={mainControlRef}
+                onClick={startRecording}
+                disabled={isFatalError}
+                className={`main-button record-button ${isFatalError ? 'disabled' : ''}`}
+                aria-label={t('controls.start')}
+                aria-keyshortcuts="Space"
+              >
+                <div className="button-ripple"></div>
+                <Mic className="icon" size={24} />
+              </button>
+            ))}
+
+            {recorderState === 'recording' && (
+              <button 
+                ref={mainControlRef}
+                onClick={stopRecording}
+                aria-disabled={!meetsMinDuration && !splice}
+                aria-label={t('controls.stop')}
+                aria-keyshortcuts="Space"
+                className={`main-button stop-button ${!meetsMinDuration && !splice ? 'disabled' : ''}`}
+                title={!meetsMinDuration && !splice ? tooShortMessage : undefined}
+              >
+                <div className="button-pulse"></div>
+                <div className="stop-square"></div>
+              </button>
+            )}
+
+            {(recorderState === 'paused' || recorderState === 'finished') && (
+              <div className="button-spacer"></div>
+            )}
+
+          </div>
+
+          {/* RIGHT: Play / Upload */}
+          <div className="controls-right">
+            {markersEnabled && (recorderState === 'recording' || recorderState === 'paused') && (
+              <button
+                onClick={() => markerState.addMarker()}
+                className="control-button mark-button"
+                title={markerShortcut ? t('controls.addMarkerKey', { key: markerShortcut.toUpperCase() }) : t('controls.addMarker')}
+                aria-label={t('controls.addMarker')}
+                aria-keyshortcuts={markerShortcut ? markerShortcut.toUpperCase() : undefined}
+              >
+                <BookmarkPlus size={16} />
+              </button>
+            )}
+
+            {recorderState === 'finished' || recorderState === 'paused' ? (
+              <>
+                <button 
+                  ref={recorderState === 'finished' ? mainControlRef : undefined}
+                  onClick={togglePlayback}
+                  className="control-button play-button"
+                  aria-label={t(isPlaying ? 'controls.pausePlayback' : 'controls.play')}
+                  aria-keyshortcuts={recorderState === 'finished' ? 'Space P' : undefined}
+                >
+                  {isPlaying ? <Pause size={18} fill="currentColor" /> : <Play size={18} fill="currentColor" />}
+                </button>
+                
+                {recorderState === 'finished' && uploader.status === 'uploading' && (
+                  <>
+                    <span className="upload-status">{formatNumber(uploader.progress, { style: 'percent' })}</span>
+                    <button
+                      onClick={uploader.cancel}
+                      className="control-button cancel-upload-button"
+                      title={t('upload.cancel')}
+                    >
+                      <X size={16} />
+                    </button>
+                  </>
+                )}
+
+                {recorderState === 'finished' && (uploader.status === 'error' || uploader.status === 'cancelled') && (
+                  <button
+                    onClick={uploader.retry}
+                    className="control-button upload-button retry"
+                    title={uploader.error ? translateUploadError(t, uploader.error) : t('upload.cancelled')}
+                  >
+                    <RotateCcw size={16} />
+                    <span className="upload-text">{t('upload.retry')}</span>
+                  </button>
+                )}
+
+                {recorderState === 'finished' && uploader.status === 'success' && (
+                  <button disabled className="control-button upload-button done">
+                    <Check size={16} />
+                    <span className="upload-text">{t('upload.done')}</span>
+                  </button>
+                )}
+
+                {recorderState === 'finished' && uploader.status === 'idle' && (
+                  <button 
+                    onClick={handleUpload}
+                    disabled={isExporting || editor.isDirty || !uploadBlob || isTooShort}
+                    className={`control-button upload-button ${isExporting || editor.isDirty ? 'busy' : ''}`}
+                    title={editor.isDirty ? t('edit.pending') : isTooShort ? tooShortMessage : undefined}
+                  >
+                    <Upload size={16} />
+                    <span className="upload-text">{t(isExporting ? 'upload.encoding' : 'upload.upload')}</span>
+                  </button>
+                )}
+              </>
+            ) : (
+              <button disabled className="control-button play-button disabled" aria-label={t('controls.play')}>
+                <Play size={18} fill="currentColor" />
+              </button>
+            )}
+          </div>
+
+        </div>
+
+        {/* --- Take Stack --- */}
+        {multiTake && (
+          <TakeStack
+            takes={takes.takes}
+            selectedId={takes.selectedId}
+            onSelect={selectTake}
+            onRemove={takes.removeTake}
+            onPlay={pausePlayback}
+            waveColor={colors.wave}
+            progressColor={colors.primary}
+            t={t}
+            locale={locale}
+          />
+        )}
+
+      </div>
+      
+      {/* Progress Bar (Visual Only - Bottom Border for Limited Mode) */}
+      {mode === MODES.LIMITED && recorderState !== 'idle' && recorderState !== 'error' && (
+        <div 
+          className={`progress-bar ${isNearLimit ? 'near-limit' : ''}`}
+          style={{ width: `${(duration / maxDuration) * 100}%` }}
+        ></div>
+      )}
+
+      {/* Size Cap (Bottom Border for Unlimited Mode) */}
+      {mode === MODES.UNLIMITED && maxSize > 0 && (recorderState === 'recording' || recorderState === 'paused') && (
+        <div 
+          className="progress-bar" 
+          style={{ width: `${Math.min(1, size / maxSize) * 100}%` }}
+        ></div>
+      )}
+
+      {/* Upload Progress (Bottom Border while uploading) */}
+      {uploader.status === 'uploading' && (
+        <div 
+          className="upload-progress" 
+          style={{ width: `${uploader.progress * 100}%` }}
+        ></div>
+      )}
+
+    </div>
+  );
+};
+
+export default AudioRecorder;
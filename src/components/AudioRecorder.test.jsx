@@ -0,0 +1,257 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import AudioRecorder from './AudioRecorder';
+import { trimSilence } from '../utils/voiceActivity';
+import { FakeAudioContext, FakeWaveSurfer, createAudioBuffer } from '../test/fakes';
+
+// The recorder's own player; take stacks and the like create players of their own
+// Decoding and re-encoding need real Web Audio
+vi.mock('../utils/voiceActivity', async (importOriginal) => ({
+  ...(await importOriginal()),
+  trimSilence: vi.fn(),
+}));
+
+const plugin = () => FakeWaveSurfer.instances.findLast((ws) => ws.plugins.length > 0).plugins[0];
+
+const tick = (ms) => act(() => {
+  plugin().tick(ms);
+});
+
+const startRecording = async () => {
+  fireEvent.click(screen.getByRole('button', { name: 'Start recording' }));
+  await screen.findByRole('button', { name: 'Stop recording' });
+};
+
+describe('<AudioRecorder>', () => {
+  it('records, pauses, resumes and stops from its buttons', async () => {
+    const onRecordingComplete = vi.fn();
+    render(<AudioRecorder onRecordingComplete={onRecordingComplete} />);
+    expect(screen.getByRole('button', { name: 'Play recording' })).toBeDisabled();
+
+    await startRecording();
+    tick(1000);
+
+    fireEvent.click(screen.getByRole('button', { name: 'PAUSE' }));
+    expect(screen.queryByRole('button', { name: 'Stop recording' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'RESUME' }));
+    tick(1000);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+    await waitFor(() => expect(onRecordingComplete).toHaveBeenCalledTimes(1));
+    expect(onRecordingComplete).toHaveBeenCalledWith(expect.any(Blob), expect.objectContaining({ duration: 2, mode: 'limited' }));
+    expect(screen.getByRole('button', { name: 'Play recording' })).toBeEnabled();
+  });
+
+  it('deletes the take and goes back to idle', async () => {
+    render(<AudioRecorder />);
+    await startRecording();
+    tick(1500);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete recording' }));
+    expect(await screen.findByRole('button', { name: 'Start recording' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Play recording' })).toBeDisabled();
+  });
+
+  it.each([
+    ['Delete recording', {}],
+    ['New take', { multiTake: true }],
+  ])('records a new take after %s', async (name, props) => {
+    const onRecordingComplete = vi.fn();
+    render(<AudioRecorder {...props} onRecordingComplete={onRecordingComplete} />);
+    await startRecording();
+    tick(1000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+    await waitFor(() => expect(onRecordingComplete).toHaveBeenCalledTimes(1));
+
+    fireEvent.click(screen.getByRole('button', { name }));
+    await startRecording();
+    tick(2000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    await waitFor(() => expect(onRecordingComplete).toHaveBeenCalledTimes(2));
+    const [blob, meta] = onRecordingComplete.mock.calls[1];
+    expect(blob).toBeInstanceOf(Blob);
+    expect(meta.duration).toBe(2);
+    expect(await screen.findByRole('button', { name: 'Play recording' })).toBeEnabled();
+  });
+
+  it('stops by itself at maxDuration in limited mode', async () => {
+    const onRecordingComplete = vi.fn();
+    render(<AudioRecorder mode="limited" maxDuration={5} onRecordingComplete={onRecordingComplete} />);
+    await startRecording();
+
+    tick(4000);
+    expect(screen.getByRole('button', { name: 'Stop recording' })).toBeInTheDocument();
+    tick(1000);
+
+    await waitFor(() => expect(onRecordingComplete).toHaveBeenCalledTimes(1));
+    expect(onRecordingComplete.mock.calls[0][1].duration).toBe(5);
+    expect(screen.queryByRole('button', { name: 'Stop recording' })).not.toBeInTheDocument();
+  });
+
+  it('keeps recording past maxDuration in unlimited mode', async () => {
+    render(<AudioRecorder mode="unlimited" maxDuration={5} />);
+    await startRecording();
+    expect(plugin().options.scrollingWaveform).toBe(true);
+
+    tick(8000);
+    expect(screen.getByRole('button', { name: 'Stop recording' })).toBeInTheDocument();
+  });
+
+  it('asks before the page is left mid-recording and keeps the screen on', async () => {
+    const leave = () => {
+      const event = new Event('beforeunload', { cancelable: true });
+      window.dispatchEvent(event);
+      return event.defaultPrevented;
+    };
+    render(<AudioRecorder />);
+    expect(leave()).toBe(false);
+
+    await startRecording();
+    expect(leave()).toBe(true);
+    expect(navigator.wakeLock.request).toHaveBeenCalledWith('screen');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete recording' }));
+    await screen.findByRole('button', { name: 'Start recording' });
+    expect(leave()).toBe(false);
+  });
+
+  it('records tab audio picked in the source selector, with live gains', async () => {
+    const onSourceChange = vi.fn();
+    render(<AudioRecorder onSourceChange={onSourceChange} />);
+    expect(screen.queryByRole('slider', { name: /Tab/ })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('radio', { name: 'Mic + tab' }));
+    expect(onSourceChange).toHaveBeenLastCalledWith({ source: 'mixed', sourceGains: {} });
+    fireEvent.change(screen.getByRole('slider', { name: /Tab/ }), { target: { value: '-6' } });
+
+    await startRecording();
+    expect(navigator.mediaDevices.getDisplayMedia).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('radio', { name: 'Microphone' })).toBeDisabled();
+    expect(screen.getByRole('slider', { name: /Mic/ })).toBeEnabled();
+    expect(onSourceChange).toHaveBeenLastCalledWith({ source: 'mixed', sourceGains: { system: -6 } });
+  });
+
+  it('drops markers from the shortcut only while focus is inside the recorder', async () => {
+    render(<AudioRecorder markerShortcut="M" />);
+    await startRecording();
+    tick(1000);
+
+    fireEvent.keyDown(document.body, { key: 'm' });
+    expect(screen.queryByPlaceholderText('Marker 1')).not.toBeInTheDocument();
+
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Stop recording' }), { key: 'm' });
+    expect(screen.getByPlaceholderText('Marker 1')).toBeInTheDocument();
+    expect(screen.getAllByTitle('Remove marker')).toHaveLength(1);
+  });
+
+  it('moves markers along with the silence trimmed from the take', async () => {
+    trimSilence.mockImplementation(async (blob) => ({
+      blob,
+      duration: 2,
+      edits: [{ type: 'cut', start: 0, end: 1 }],
+    }));
+    const onRecordingComplete = vi.fn();
+    render(
+      <AudioRecorder
+        vad={{ trimSilence: true, autoStart: false, pauseAfter: null }}
+        onRecordingComplete={onRecordingComplete}
+      />,
+    );
+    await startRecording();
+    tick(2000);
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Stop recording' }), { key: 'm' });
+    expect(screen.getByRole('button', { name: '0:02' })).toBeInTheDocument();
+    tick(1000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    await waitFor(() => expect(onRecordingComplete).toHaveBeenCalledTimes(1));
+    expect(trimSilence).toHaveBeenCalledTimes(1);
+    expect(await screen.findByRole('button', { name: '0:01' })).toBeInTheDocument();
+  });
+
+  it('captions in the locale language and moves the captions with the trimmed silence', async () => {
+    trimSilence.mockImplementation(async (blob) => ({
+      blob,
+      duration: 2,
+      edits: [{ type: 'cut', start: 0, end: 1 }],
+    }));
+    let onResult;
+    const transcriber = {
+      start: vi.fn((session) => {
+        ({ onResult } = session);
+        return { stop: vi.fn() };
+      }),
+    };
+    const onTranscript = vi.fn();
+    render(
+      <AudioRecorder
+        locale="en-GB"
+        transcribe
+        transcriber={transcriber}
+        vad={{ trimSilence: true, autoStart: false, pauseAfter: null }}
+        onTranscript={onTranscript}
+      />,
+    );
+    await startRecording();
+    await waitFor(() => expect(transcriber.start).toHaveBeenCalledWith(expect.objectContaining({ lang: 'en-GB' })));
+
+    tick(2000);
+    act(() => onResult({ text: 'hello', isFinal: false }));
+    tick(1000);
+    act(() => onResult({ text: 'hello there', isFinal: true }));
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    await waitFor(() => expect(onTranscript).toHaveBeenLastCalledWith([{ start: 1, end: 2, text: 'hello there' }]));
+    expect(screen.getByRole('button', { name: /^0:01\s*hello there$/ })).toBeInTheDocument();
+  });
+
+  it('follows WaveSurfer play, pause and finish events on the play button', async () => {
+    render(<AudioRecorder />);
+    await startRecording();
+    tick(1000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Play recording' })).toBeEnabled());
+    fireEvent.click(screen.getByRole('button', { name: 'Play recording' }));
+    expect(FakeWaveSurfer.latest().isPlaying()).toBe(true);
+    expect(screen.getByRole('button', { name: 'Pause playback' })).toBeInTheDocument();
+
+    act(() => {
+      FakeWaveSurfer.latest().finish();
+    });
+    expect(screen.getByRole('button', { name: 'Play recording' })).toBeInTheDocument();
+  });
+
+  it('meters the input and lights up on clipping', async () => {
+    // Every analyser frame at full scale
+    const createAnalyser = FakeAudioContext.prototype.createAnalyser;
+    vi.spyOn(FakeAudioContext.prototype, 'createAnalyser').mockImplementation(function () {
+      return { ...createAnalyser.call(this), getFloatTimeDomainData: (data) => data.fill(1) };
+    });
+    render(<AudioRecorder levelMeter />);
+    expect(screen.queryByRole('meter', { name: 'Recording level' })).not.toBeInTheDocument();
+
+    await startRecording();
+    const meter = screen.getByRole('meter', { name: 'Recording level' });
+    expect(meter).toHaveAttribute('aria-valuenow', '0');
+    expect(meter).toHaveAttribute('aria-valuetext', 'Peak 0.0 dB, RMS 0.0 dB');
+    expect(screen.getByText('CLIP')).toHaveClass('on', 'clipped');
+  });
+
+  it('sums up the loudness of the finished take and splits its channels', async () => {
+    const fullScale = Float32Array.from({ length: 48000 }, (_, i) => (i % 2 ? 1 : -1));
+    FakeAudioContext.decoded = createAudioBuffer([fullScale, fullScale]);
+    render(<AudioRecorder loudness splitChannels />);
+    await startRecording();
+    tick(1000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    expect(await screen.findByText('Peak 0.0 dBFS')).toBeInTheDocument();
+    expect(screen.getByText('96,000 clipped samples')).toBeInTheDocument();
+    expect(screen.getByText(/LUFS$/)).toBeInTheDocument();
+    expect(FakeWaveSurfer.latest().options).toMatchObject({ splitChannels: [{}, {}], height: 'auto' });
+  });
+});
@@ -0,0 +1,36 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import AudioRecorderApp from './AudioRecorderApp';
+import { FakeWaveSurfer } from '../test/fakes';
+
+const recordPlugin = () => FakeWaveSurfer.latest().plugins[0];
+
+describe('<AudioRecorderApp>', () => {
+  it('switches between fixed-length and scrolling mode with the radio buttons', () => {
+    render(<AudioRecorderApp />);
+    const limited = screen.getByRole('radio', { name: 'Fixed Length (30s)' });
+    const unlimited = screen.getByRole('radio', { name: 'Unlimited Scroll' });
+
+    expect(limited).toBeChecked();
+    expect(recordPlugin().options.scrollingWaveform).toBe(false);
+    expect(screen.getByText('0:30')).toBeInTheDocument();
+
+    fireEvent.click(unlimited);
+    expect(unlimited).toBeChecked();
+    expect(recordPlugin().options.scrollingWaveform).toBe(true);
+    expect(FakeWaveSurfer.instances.at(-2).destroyed).toBe(true);
+    expect(screen.queryByText('0:30')).not.toBeInTheDocument();
+
+    fireEvent.click(limited);
+    expect(limited).toBeChecked();
+    expect(recordPlugin().options.scrollingWaveform).toBe(false);
+  });
+
+  it('shows the multitrack recorder in multitrack mode', () => {
+    render(<AudioRecorderApp />);
+    fireEvent.click(screen.getByRole('radio', { name: 'Multitrack' }));
+    expect(screen.getByRole('button', { name: 'Record a new track' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Start recording' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,124 @@
+import React from 'react';
+import { DEFAULT_AUDIO_CONSTRAINTS, DEFAULT_PROCESSING } from '../utils/audioProcessing';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+const BROWSER_OPTIONS = [
+  'echoCancellation',
+  'noiseSuppression',
+  'autoGainControl',
+];
+
+const GATE_DEFAULT = -50; // dBFS used when the gate is switched on
+
+// --- Mic settings: browser constraints plus our processing chain ---
+const AudioSettingsPanel = ({
+  audioConstraints = {},
+  processing = {},
+  onConstraintsChange,
+  onProcessingChange,
+  t = defaultTranslate, // Translator from useLocale
+  className = '',
+}) => {
+  const constraints = { ...DEFAULT_AUDIO_CONSTRAINTS, ...audioConstraints };
+  const chain = { ...DEFAULT_PROCESSING, ...processing };
+
+  const setConstraint = (key, value) => onConstraintsChange?.({ ...audioConstraints, [key]: value });
+  const setProcessing = (key, value) => onProcessingChange?.({ ...processing, [key]: value });
+
+  return (
+    <div className={`audio-settings ${className}`}>
+      <div className="settings-group">
+        <span className="settings-title">{t('settings.browser')}</span>
+        {BROWSER_OPTIONS.map((key) => (
+          <label key={key} className="settings-check">
+            <input
+              type="checkbox"
+              checked={constraints[key]}
+              onChange={(e) => setConstraint(key, e.target.checked)}
+            />
+            {t(`settings.${key}`)}
+          </label>
+        ))}
+        <label className="settings-row">
+          {t('settings.channels')}
+          <select
+            value={constraints.channelCount ?? ''}
+            onChange={(e) => setConstraint('channelCount', e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">{t('settings.auto')}</option>
+            <option value="1">{t('settings.mono')}</option>
+            <option value="2">{t('settings.stereo')}</option>
+          </select>
+        </label>
+        <label className="settings-row">
+          {t('settings.sampleRate')}
+          <select
+            value={constraints.sampleRate ?? ''}
+            onChange={(e) => setConstraint('sampleRate', e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">{t('settings.auto')}</option>
+            <option value="44100">44.1 kHz</option>
+            <option value="48000">48 kHz</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="settings-group">
+        <span className="settings-title">{t('settings.processing')}</span>
+        <label className="settings-row">
+          {t('settings.gain')}
+          <input
+            type="range"
+            min="-12"
+            max="24"
+            step="1"
+            value={chain.gain}
+            onChange={(e) => setProcessing('gain', Number(e.target.value))}
+          />
+          <span className="settings-value">{chain.gain > 0 ? '+' : ''}{chain.gain} dB</span>
+        </label>
+        <label className="settings-row">
+          {t('settings.highPass')}
+          <input
+            type="range"
+            min="0"
+            max="300"
+            step="10"
+            value={chain.highPass}
+            onChange={(e) => setProcessing('highPass', Number(e.target.value))}
+          />
+          <span className="settings-value">{chain.highPass ? `${chain.highPass} Hz` : t('settings.off')}</span>
+        </label>
+        <label className="settings-row">
+          <input
+            type="checkbox"
+            checked={chain.gate !== null}
+            onChange={(e) => setProcessing('gate', e.target.checked ? GATE_DEFAULT : null)}
+          />
+          {t('settings.gate')}
+          <input
+            type="range"
+            min="-80"
+            max="-20"
+            step="1"
+            value={chain.gate ?? GATE_DEFAULT}
+            disabled={chain.gate === null}
+            onChange={(e) => setProcessing('gate', Number(e.target.value))}
+          />
+          <span className="settings-value">{chain.gate === null ? t('settings.off') : `${chain.gate} dB`}</span>
+        </label>
+        <label className="settings-check">
+          <input
+            type="checkbox"
+            checked={chain.limiter}
+            onChange={(e) => setProcessing('limiter', e.target.checked)}
+          />
+          {t('settings.limiter')}
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default AudioSettingsPanel;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { FileJson, ListMusic, X } from 'lucide-react';
+import formatTime from '../utils/formatTime';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+// --- Markers of the current take: seek, label, remove, export ---
+const MarkerList = ({
+  markers = [],
+  canSeek = false,
+  onSeek,
+  onRename,
+  onRemove,
+  onDownloadCue,
+  onDownloadJson,
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+  className = '',
+}) => {
+  if (markers.length === 0) return null;
+
+  return (
+    <div className={`marker-list ${className}`}>
+      <ol>
+        {markers.map((marker, i) => (
+          <li key={marker.id} className="marker-item">
+            <button
+              onClick={() => onSeek?.(marker.time)}
+              disabled={!canSeek}
+              className="marker-time"
+              title={canSeek ? t('markers.jump') : undefined}
+            >
+              {formatTime(marker.time, locale)}
+            </button>
+            <input
+              className="marker-label"
+              value={marker.label}
+              placeholder={t('markers.placeholder', { number: i + 1 })}
+              onChange={(e) => onRename?.(marker.id, e.target.value)}
+            />
+            <button onClick={() => onRemove?.(marker.id)} className="marker-remove" title={t('markers.remove')}>
+              <X size={12} />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {(onDownloadCue || onDownloadJson) && (
+        <div className="marker-export">
+          {onDownloadCue && (
+            <button onClick={onDownloadCue} className="edit-button" title={t('markers.downloadCue')}>
+              <ListMusic size={14} />
+              <span>CUE</span>
+            </button>
+          )}
+          {onDownloadJson && (
+            <button onClick={onDownloadJson} className="edit-button" title={t('markers.downloadJson')}>
+              <FileJson size={14} />
+              <span>JSON</span>
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkerList;
@@ -0,0 +1,415 @@
+import React, { useState } from 'react';
+import {
+  Mic, Play, Pause, SkipBack, Download, Upload, X, RotateCcw, Check, MicOff, AlertTriangle, Headphones,
+} from 'lucide-react';
+import SourceSelector from './SourceSelector';
+import TrackList from './TrackList';
+import useAudioDevices from '../hooks/useAudioDevices';
+import useAudioRecorder from '../hooks/useAudioRecorder';
+import useLeaveWarning from '../hooks/useLeaveWarning';
+import useLocale from '../hooks/useLocale';
+import useMultitrack from '../hooks/useMultitrack';
+import useTheme from '../hooks/useTheme';
+import useUploader from '../hooks/useUploader';
+import useWakeLock from '../hooks/useWakeLock';
+import { embedMetadata } from '../utils/audioMetadata';
+import { AUDIO_SOURCES, isDisplayAudioSupported, usesDisplayAudio } from '../utils/audioSources';
+import { EXPORT_FORMATS } from '../utils/audioExport';
+import { downloadBlob, recordingFileName } from '../utils/download';
+import { translateError, translateUploadError } from '../utils/i18n';
+import { RECORDER_ERRORS } from '../utils/recorderErrors';
+import { MODES } from '../constants';
+import '../styles/Recorder.scss';
+
+// --- Multitrack session: overdub tracks one by one, mix them, upload the mixdown ---
+// Each take becomes a track of its own lane; while recording, the others play along.
+const MultitrackRecorder = ({
+  maxTracks = 8,
+  monitor: initialMonitor = true, // Play the other tracks while recording; needs headphones
+  theme = 'auto', // 'dark', 'light', 'auto' or { base, ...colors }, see src/utils/theme.js
+  locale = 'en',
+  messages = null, // Overrides for single catalog keys, see src/locales/en.js
+  waveHeight = 50, // Of the live waveform while recording a track
+  mimeType = null, // Of the tracks; auto-detected when not set
+  exportFormat = EXPORT_FORMATS.WAV, // Mixdown format: 'wav' or 'mp3'
+  exportOptions = {}, // { sampleRate, mono, bitRate } of the mixdown
+  title = null, // Name of the session, used for the download file name and embedded metadata
+  download = true, // Download button for the mixdown
+  wakeLock = true, // Keep the screen on while recording
+  warnBeforeLeave = true, // Ask before the page is closed with tracks that aren't uploaded
+  showDeviceSelector = true,
+  deviceId: controlledDeviceId, // Pin the input device; otherwise the user's last choice
+  audioConstraints = {}, // { echoCancellation, noiseSuppression, autoGainControl, channelCount, sampleRate }
+  processing = {}, // { gain, highPass, gate, limiter }
+  source = AUDIO_SOURCES.MIC, // Initial capture source: 'mic', 'system' (tab/screen audio) or 'mixed'
+  sourceGains = {}, // Initial { mic, system } gains in dB when shared audio is recorded
+  showSourceSelector = true,
+  uploadOptions = {},
+  className = '',
+  onTrackAdded, // (track) after each recorded take
+  onMixdown, // (blob, meta) for every mixdown, downloaded or uploaded
+  onUpload,
+  onError,
+  onClose,
+}) => {
+  // --- Theme & language ---
+  const { colors, style: themeStyle } = useTheme(theme);
+  const { t, dir, formatTime, formatNumber } = useLocale(locale, messages);
+
+  // --- Upload ---
+  const uploader = useUploader(onUpload ? { ...uploadOptions, onUpload } : uploadOptions);
+
+  // --- Tracks ---
+  const [mixError, setMixError] = useState(null);
+  const multitrack = useMultitrack({
+    maxTracks,
+    onError: (err) => {
+      setMixError(err);
+      onError?.(err);
+    },
+  });
+
+  // --- Input device & capture source ---
+  const audioDevices = useAudioDevices({ enabled: showDeviceSelector, t, locale });
+  const deviceId = controlledDeviceId ?? audioDevices.deviceId;
+
+  const [capture, setCapture] = useState({ source, sourceGains });
+  const captureKey = JSON.stringify({ source, sourceGains });
+  const [prevCaptureKey, setPrevCaptureKey] = useState(captureKey);
+  if (captureKey !== prevCaptureKey) {
+    setPrevCaptureKey(captureKey);
+    setCapture({ source, sourceGains });
+  }
+
+  const [monitor, setMonitor] = useState(initialMonitor);
+  const [prevMonitor, setPrevMonitor] = useState(initialMonitor);
+  if (initialMonitor !== prevMonitor) {
+    setPrevMonitor(initialMonitor);
+    setMonitor(initialMonitor);
+  }
+
+  // --- Recorder for the next track (always scrolling; a track has no length limit) ---
+  const recorder = useAudioRecorder({
+    deviceId,
+    audioConstraints,
+    processing,
+    source: capture.source,
+    sourceGains: capture.sourceGains,
+    scrollingWaveform: true,
+    mimeType,
+    waveSurferOptions: {
+      height: waveHeight,
+      barWidth: 2,
+      barGap: 3,
+      barRadius: 2,
+      cursorWidth: 0,
+      normalize: true,
+      minPxPerSec: 100,
+      fillParent: false,
+      hideScrollbar: true,
+      autoScroll: true,
+      waveColor: colors.primary,
+      progressColor: colors.progress,
+    },
+    onRecordingComplete: (blob, meta) => {
+      uploader.reset();
+      const id = multitrack.addTrack(blob, meta);
+      onTrackAdded?.({ id, blob, duration: meta.duration, mimeType: blob.type });
+    },
+    onError,
+  });
+
+  const {
+    containerRef,
+    state: recorderState,
+    duration: recordedDuration,
+    error: recorderError,
+    clearError,
+  } = recorder;
+
+  const isCapturing = recorderState === 'recording' || recorderState === 'paused';
+  const isFatalError = recorderError?.code === RECORDER_ERRORS.UNSUPPORTED
+    || recorderError?.code === RECORDER_ERRORS.INSECURE_CONTEXT;
+  const isBusy = isCapturing || multitrack.isMixing || uploader.status === 'uploading';
+
+  // --- Long sessions ---
+  const hasUnsavedTracks = multitrack.tracks.length > 0 && uploader.status !== 'success';
+  useWakeLock(wakeLock && isCapturing);
+  useLeaveWarning(warnBeforeLeave && (isCapturing || hasUnsavedTracks));
+
+  // --- Actions ---
+  // Overdubs start with the others from the top, so every track lines up at 0
+  const startTrack = async () => {
+    multitrack.stop();
+    setMixError(null);
+    const started = await recorder.start();
+    if (started) {
+      audioDevices.refresh();
+      if (monitor) multitrack.play(0);
+    }
+    return started;
+  };
+
+  const stopTrack = () => {
+    multitrack.stop();
+    recorder.stop();
+  };
+
+  const mixdownMeta = (mix) => ({
+    duration: mix.duration,
+    mode: MODES.MULTITRACK,
+    createdAt: new Date().toISOString(),
+    tracks: multitrack.tracks.map(({ name, duration, gain, muted, solo }, i) => ({
+      name: name || t('multitrack.track', { number: i + 1 }),
+      duration,
+      gain,
+      muted,
+      solo,
+    })),
+  });
+
+  const mixdown = async () => {
+    setMixError(null);
+    const mix = await multitrack.mixdown({ format: exportFormat, ...exportOptions });
+    if (!mix) return null;
+    const meta = mixdownMeta(mix);
+    onMixdown?.(mix.blob, meta);
+    return { blob: mix.blob, meta };
+  };
+
+  const downloadMixdown = async () => {
+    const mix = await mixdown();
+    if (!mix) return;
+    const file = await embedMetadata(mix.blob, { title });
+    downloadBlob(file, recordingFileName({ title, mimeType: mix.blob.type }));
+  };
+
+  const uploadMixdown = async () => {
+    const mix = await mixdown();
+    if (mix) uploader.upload(mix.blob, mix.meta);
+  };
+
+  const removeTrack = (id) => {
+    uploader.reset();
+    multitrack.removeTrack(id);
+  };
+
+  const updateTrack = (id, patch) => {
+    uploader.reset();
+    multitrack.updateTrack(id, patch);
+  };
+
+  const error = recorderError || mixError;
+  const dismissError = () => {
+    if (recorderError) clearError();
+    setMixError(null);
+  };
+
+  return (
+    <div className={`recorder-card multitrack ${className}`.trim()} style={themeStyle} dir={dir} lang={locale}>
+      <div className="card-glow"></div>
+
+      <div className="card-content">
+
+        {!isCapturing && onClose && (
+          <button className="close-button" onClick={onClose} title={t('recorder.close')} aria-label={t('recorder.closeLabel')}>
+            <X size={18} />
+          </button>
+        )}
+
+        {/* --- Error Banner --- */}
+        {error && (
+          <div className={`recorder-error ${recorderState === 'error' ? '' : 'warning'}`} role="alert">
+            {recorderState === 'error' ? <MicOff size={16} /> : <AlertTriangle size={16} />}
+            <span className="error-message">
+              {error === mixError ? t('multitrack.mixFailed', { message: error.message }) : translateError(t, error)}
+            </span>
+            {!isFatalError && (
+              <button onClick={dismissError} className="error-dismiss" title={t('error.dismiss')}>
+                <X size={14} />
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* --- Input Setup (between tracks) --- */}
+        {!isCapturing && !isFatalError && (
+          <div className="input-setup">
+            {showDeviceSelector && (
+              <select
+                className="device-select"
+                value={deviceId}
+                disabled={controlledDeviceId !== undefined}
+                onChange={(e) => audioDevices.setDeviceId(e.target.value)}
+                title={t('input.microphone')}
+              >
+                <option value="">{t('input.defaultMicrophone')}</option>
+                {audioDevices.devices.map((device) => (
+                  <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={() => setMonitor((on) => !on)}
+              className={`test-button monitor-toggle ${monitor ? 'active' : ''}`}
+              aria-pressed={monitor}
+              title={`${t('multitrack.monitor')}. ${t('multitrack.monitorHint')}`}
+              aria-label={t('multitrack.monitor')}
+            >
+              <Headphones size={14} />
+            </button>
+          </div>
+        )}
+
+        {showSourceSelector && isDisplayAudioSupported() && !isFatalError && (
+          !isCapturing || usesDisplayAudio(capture.source)
+        ) && (
+          <SourceSelector
+            source={capture.source}
+            gains={capture.sourceGains}
+            locked={isCapturing}
+            onSourceChange={(next) => setCapture((current) => ({ ...current, source: next }))}
+            onGainsChange={(next) => setCapture((current) => ({ ...current, sourceGains: next }))}
+            t={t}
+          />
+        )}
+
+        {/* --- Track Lanes --- */}
+        <TrackList
+          tracks={multitrack.tracks}
+          register={multitrack.register}
+          onChange={updateTrack}
+          onRemove={removeTrack}
+          waveColor={colors.wave}
+          progressColor={colors.primary}
+          t={t}
+          locale={locale}
+        />
+        {multitrack.tracks.length === 0 && !isCapturing && (
+          <p className="multitrack-empty">{t('multitrack.empty')}</p>
+        )}
+
+        {/* --- The track being recorded (the lane stays mounted for the recorder's WaveSurfer) --- */}
+        <div className={`waveform-container record-lane ${isCapturing ? '' : 'hidden'}`}>
+          <div className="waveform-background"></div>
+          <div ref={containerRef} className="waveform-wrapper scrolling" role="img" aria-label={t('waveform.live')} />
+        </div>
+
+        {/* --- Timers --- */}
+        <div className="timers">
+          <span>{formatTime(isCapturing ? recordedDuration : multitrack.currentTime)}</span>
+          <span>{formatTime(multitrack.duration)}</span>
+        </div>
+
+        {/* --- Controls Area --- */}
+        <div className="controls">
+          <div className="controls-left">
+            <div className="control-group">
+              <button
+                onClick={multitrack.stop}
+                disabled={multitrack.tracks.length === 0 || isCapturing}
+                className="control-button rewind-button"
+                title={t('multitrack.rewind')}
+                aria-label={t('multitrack.rewind')}
+              >
+                <SkipBack size={16} />
+              </button>
+              <button
+                onClick={multitrack.togglePlayback}
+                disabled={multitrack.tracks.length === 0 || isCapturing}
+                className="control-button play-button"
+                aria-label={t(multitrack.isPlaying ? 'multitrack.pause' : 'multitrack.play')}
+              >
+                {multitrack.isPlaying ? <Pause size={18} fill="currentColor" /> : <Play size={18} fill="currentColor" />}
+              </button>
+            </div>
+          </div>
+
+          <div className="controls-center">
+            {isCapturing ? (
+              <button
+                onClick={stopTrack}
+                aria-label={t('multitrack.stop')}
+                className="main-button stop-button"
+              >
+                <div className="button-pulse"></div>
+                <div className="stop-square"></div>
+              </button>
+            ) : (
+              <button
+                onClick={startTrack}
+                disabled={isFatalError || !multitrack.canAddTrack || multitrack.isMixing}
+                className={`main-button record-button ${isFatalError || !multitrack.canAddTrack ? 'disabled' : ''}`}
+                aria-label={t('multitrack.record')}
+                title={multitrack.canAddTrack ? undefined : t('multitrack.full', { count: formatNumber(maxTracks) })}
+              >
+                <div className="button-ripple"></div>
+                <Mic className="icon" size={24} />
+              </button>
+            )}
+          </div>
+
+          <div className="controls-right">
+            {download && (
+              <button
+                onClick={downloadMixdown}
+                disabled={!multitrack.canMixdown || isBusy}
+                className="control-button download-button"
+                title={t('multitrack.download')}
+                aria-label={t('multitrack.download')}
+              >
+                <Download size={16} />
+              </button>
+            )}
+
+            {uploader.status === 'uploading' && (
+              <>
+                <span className="upload-status">{formatNumber(uploader.progress, { style: 'percent' })}</span>
+                <button onClick={uploader.cancel} className="control-button cancel-upload-button" title={t('upload.cancel')}>
+                  <X size={16} />
+                </button>
+              </>
+            )}
+
+            {(uploader.status === 'error' || uploader.status === 'cancelled') && (
+              <button
+                onClick={uploader.retry}
+                className="control-button upload-button retry"
+                title={uploader.error ? translateUploadError(t, uploader.error) : t('upload.cancelled')}
+              >
+                <RotateCcw size={16} />
+                <span className="upload-text">{t('upload.retry')}</span>
+              </button>
+            )}
+
+            {uploader.status === 'success' && (
+              <button disabled className="control-button upload-button done">
+                <Check size={16} />
+                <span className="upload-text">{t('upload.done')}</span>
+              </button>
+            )}
+
+            {uploader.status === 'idle' && (
+              <button
+                onClick={uploadMixdown}
+                disabled={!multitrack.canMixdown || isBusy}
+                className={`control-button upload-button ${multitrack.isMixing ? 'busy' : ''}`}
+              >
+                <Upload size={16} />
+                <span className="upload-text">{t(multitrack.isMixing ? 'multitrack.mixing' : 'upload.upload')}</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+      </div>
+
+      {/* Upload Progress (Bottom Border while uploading) */}
+      {uploader.status === 'uploading' && (
+        <div className="upload-progress" style={{ width: `${uploader.progress * 100}%` }}></div>
+      )}
+    </div>
+  );
+};
+
+export default MultitrackRecorder;
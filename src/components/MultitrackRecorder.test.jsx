@@ -0,0 +1,104 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import MultitrackRecorder from './MultitrackRecorder';
+import { mixdownTracks } from '../utils/mixdown';
+import { FakeWaveSurfer } from '../test/fakes';
+
+// Rendering needs the Web Audio graph, which the fakes only stub
+vi.mock('../utils/mixdown', async (importOriginal) => ({
+  ...(await importOriginal()),
+  mixdownTracks: vi.fn(async () => ({ blob: new Blob(['mix'], { type: 'audio/wav' }), duration: 2 })),
+}));
+
+const recorderPlugin = () => FakeWaveSurfer.instances.findLast((ws) => ws.plugins.length > 0).plugins[0];
+
+// Players of the track lanes, top to bottom
+const lanes = () => FakeWaveSurfer.instances.filter((ws) => (
+  !ws.destroyed && ws.options.container?.classList.contains('track-waveform')
+));
+
+const recordTrack = async (seconds) => {
+  fireEvent.click(screen.getByRole('button', { name: 'Record a new track' }));
+  await screen.findByRole('button', { name: 'Stop recording' });
+  act(() => {
+    recorderPlugin().tick(seconds * 1000);
+  });
+  const count = lanes().length;
+  fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+  await waitFor(() => expect(lanes()).toHaveLength(count + 1));
+};
+
+describe('<MultitrackRecorder>', () => {
+  it('records tracks into lanes and plays the others along while overdubbing', async () => {
+    const onTrackAdded = vi.fn();
+    render(<MultitrackRecorder onTrackAdded={onTrackAdded} />);
+    expect(screen.getByRole('button', { name: 'Play all tracks' })).toBeDisabled();
+
+    await recordTrack(2);
+    expect(onTrackAdded).toHaveBeenCalledWith(expect.objectContaining({ duration: 2 }));
+    expect(screen.getByPlaceholderText('Track 1')).toBeInTheDocument();
+
+    // The first track plays from the top while the second is recorded
+    const [first] = lanes();
+    fireEvent.click(screen.getByRole('button', { name: 'Record a new track' }));
+    await screen.findByRole('button', { name: 'Stop recording' });
+    expect(first.isPlaying()).toBe(true);
+    expect(first.getCurrentTime()).toBe(0);
+
+    act(() => {
+      recorderPlugin().tick(1000);
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+    await waitFor(() => expect(lanes()).toHaveLength(2));
+    expect(first.isPlaying()).toBe(false);
+    expect(screen.getByPlaceholderText('Track 2')).toBeInTheDocument();
+  });
+
+  it('plays every lane together and applies mute, solo and gain', async () => {
+    render(<MultitrackRecorder />);
+    await recordTrack(2);
+    await recordTrack(1);
+    const [first, second] = lanes();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Play all tracks' }));
+    expect(first.isPlaying()).toBe(true);
+    expect(second.isPlaying()).toBe(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Pause all tracks' }));
+    expect(first.isPlaying()).toBe(false);
+
+    const [, secondSolo] = screen.getAllByRole('button', { name: 'Solo' });
+    fireEvent.click(secondSolo);
+    expect(secondSolo).toHaveAttribute('aria-pressed', 'true');
+    expect(first.volume).toBe(0);
+    expect(second.volume).toBe(1);
+
+    fireEvent.change(screen.getAllByRole('slider', { name: 'Volume' })[1], { target: { value: '-6' } });
+    expect(second.volume).toBeCloseTo(0.501, 3);
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Mute' })[1]);
+    expect(second.volume).toBe(0);
+    expect(screen.getByRole('button', { name: 'UPLOAD' })).toBeDisabled();
+  });
+
+  it('uploads the mixdown of the audible tracks', async () => {
+    const onUpload = vi.fn(async () => ({ url: 'https://example.com/mix.wav' }));
+    const onMixdown = vi.fn();
+    render(<MultitrackRecorder onUpload={onUpload} onMixdown={onMixdown} />);
+    await recordTrack(2);
+    await recordTrack(1);
+    fireEvent.change(screen.getByPlaceholderText('Track 1'), { target: { value: 'Guitar' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'UPLOAD' }));
+    await waitFor(() => expect(onUpload).toHaveBeenCalledTimes(1));
+
+    expect(mixdownTracks).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'Guitar', duration: 2 }), expect.objectContaining({ duration: 1 })],
+      expect.objectContaining({ format: 'wav' }),
+    );
+    const [blob, meta] = onMixdown.mock.calls[0];
+    expect(onUpload).toHaveBeenCalledWith(blob, expect.objectContaining({ mode: 'multitrack' }), expect.anything());
+    expect(meta.tracks.map((track) => track.name)).toEqual(['Guitar', 'Track 2']);
+    expect(await screen.findByRole('button', { name: 'UPLOADED' })).toBeDisabled();
+  });
+});
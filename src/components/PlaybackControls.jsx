@@ -0,0 +1,113 @@
+import React from 'react';
+import { Repeat, Volume1, Volume2, VolumeX } from 'lucide-react';
+import { PLAYBACK_RATES } from '../hooks/usePlaybackControls';
+import { formatSpokenTime } from '../utils/formatTime';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+const SKIPS = [-15, -5, 5, 15]; // Seconds
+
+// --- Listening back: skip, speed, volume and loop ---
+// Driven by usePlaybackControls; `playback` is its return value.
+const PlaybackControls = ({
+  playback,
+  hasLoopRegion = false, // The loop covers a selection rather than the whole take
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+  className = '',
+}) => {
+  const {
+    playbackRate,
+    setPlaybackRate,
+    volume,
+    setVolume,
+    isMuted,
+    toggleMute,
+    isLooping,
+    toggleLoop,
+    skip,
+  } = playback;
+
+  let VolumeIcon = Volume2;
+  if (isMuted || volume === 0) {
+    VolumeIcon = VolumeX;
+  } else if (volume < 0.5) {
+    VolumeIcon = Volume1;
+  }
+
+  const loopLabel = t(hasLoopRegion ? 'playback.loopSelection' : 'playback.loop');
+  const formatSkip = (seconds) => new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit: 'second',
+    unitDisplay: 'narrow',
+    signDisplay: 'exceptZero',
+  }).format(seconds);
+  const skipLabel = (seconds) => t(seconds < 0 ? 'playback.back' : 'playback.forward', {
+    time: formatSpokenTime(Math.abs(seconds), locale),
+  });
+
+  return (
+    <div className={`playback-controls ${className}`}>
+      <div className="playback-skips">
+        {SKIPS.map((seconds) => (
+          <button
+            key={seconds}
+            onClick={() => skip(seconds)}
+            className="edit-button"
+            title={skipLabel(seconds)}
+            aria-label={skipLabel(seconds)}
+          >
+            {formatSkip(seconds)}
+          </button>
+        ))}
+      </div>
+
+      <select
+        value={playbackRate}
+        onChange={(e) => setPlaybackRate(Number(e.target.value))}
+        className="playback-rate"
+        title={t('playback.speed')}
+        aria-label={t('playback.speed')}
+      >
+        {PLAYBACK_RATES.map((rate) => (
+          <option key={rate} value={rate}>
+            {t('playback.rate', { rate: new Intl.NumberFormat(locale).format(rate) })}
+          </option>
+        ))}
+      </select>
+
+      <div className="playback-volume">
+        <button
+          onClick={toggleMute}
+          className="edit-button"
+          aria-pressed={isMuted}
+          title={t(isMuted ? 'playback.unmute' : 'playback.mute')}
+          aria-label={t(isMuted ? 'playback.unmute' : 'playback.mute')}
+        >
+          <VolumeIcon size={14} />
+        </button>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={isMuted ? 0 : volume}
+          onChange={(e) => setVolume(Number(e.target.value))}
+          aria-label={t('playback.volume')}
+        />
+      </div>
+
+      <button
+        onClick={toggleLoop}
+        className={`edit-button ${isLooping ? 'active' : ''}`}
+        aria-pressed={isLooping}
+        title={loopLabel}
+        aria-label={loopLabel}
+      >
+        <Repeat size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default PlaybackControls;
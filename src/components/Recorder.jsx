@@ -1,119 +1,116 @@
-import React, { useEffect, useRef, useState } from "react";
-import WaveSurfer from "wavesurfer.js";
-import RecordPlugin from "wavesurfer.js/dist/plugins/record.esm.js";
-
-export default function Recorder({ maxDuration = null }) {
-  const containerRef = useRef(null);
-  const wavesurferRef = useRef(null);
-  const recordRef = useRef(null);
-
-  const [mode, _setMode] = useState("idle");
-  const [_blob, setBlob] = useState(null);
-  const [time, setTime] = useState(0);
-  const [playbackTime, setPlaybackTime] = useState(0);
-  const timerRef = useRef(null);
-  const modeRef = useRef("idle");
-
-  // Helper to update both mode state and ref
-  const setMode = (newMode) => {
-    modeRef.current = newMode;
-    _setMode(newMode);
+import React, { useEffect, useRef } from "react";
+import TakeStack from "./TakeStack";
+import useAnnouncements from "../hooks/useAnnouncements";
+import useAudioRecorder from "../hooks/useAudioRecorder";
+import useKeyboardControls from "../hooks/useKeyboardControls";
+import useLeaveWarning from "../hooks/useLeaveWarning";
+import useLocale from "../hooks/useLocale";
+import useRecordingFile from "../hooks/useRecordingFile";
+import useTakes from "../hooks/useTakes";
+import useTheme from "../hooks/useTheme";
+import useUploader from "../hooks/useUploader";
+import useWakeLock from "../hooks/useWakeLock";
+import { translateError, translateUploadError } from "../utils/i18n";
+import "../styles/Recorder.scss";
+
+// Static baseline waveform with equal height bars
+const BASELINE_PEAKS = Array(200).fill(0.05);
+
+export default function Recorder({
+  maxDuration = null,
+  minDuration = 0, // Stop and upload stay disabled until reached
+  warningTime = 5, // Seconds before maxDuration the timer turns amber
+  countdown = 0, // Seconds of 3-2-1 before recording starts
+  maxSize = null, // Bytes; recording auto-stops at it
+  keyboardShortcuts = true, // Space, P, arrows, Home / End and Escape while focus is in the recorder
+  exportFormat = "original", // "original", "wav" or "mp3"
+  exportOptions = {},
+  audioConstraints = {}, // { echoCancellation, noiseSuppression, autoGainControl, channelCount, sampleRate }
+  processing = {}, // { gain, highPass, gate, limiter }
+  source = "mic", // "mic", "system" (tab/screen audio) or "mixed"
+  sourceGains = {}, // { mic, system } in dB when shared audio is recorded
+  multiTake = false, // "Start Again" keeps the previous take for comparison
+  maxTakes = 10,
+  wakeLock = true, // Keep the screen on while recording
+  warnBeforeLeave = true, // Ask before the page is closed with a take that isn't uploaded
+  theme = "auto", // "dark", "light", "auto" or { base, ...colors }, see src/utils/theme.js
+  title = null, // Download file name and embedded metadata; a timestamp otherwise
+  download = true, // Download button once finished
+  share = true, // Web Share button, copying shareUrl where files can't be shared
+  shareUrl = null, // Link to copy; the upload response's `url` when not set
+  locale = "en", // BCP 47 tag; picks the message catalog, number digits and text direction
+  messages = null, // Overrides for single catalog keys, see src/locales/en.js
+  uploadOptions = {},
+}) {
+  const { colors, style: themeStyle } = useTheme(theme);
+  const { t, dir, formatTime, formatSpokenTime, formatNumber } = useLocale(locale, messages);
+  const uploader = useUploader(uploadOptions);
+  const takes = useTakes({ maxTakes });
+  const waveSurferOptions = {
+    waveColor: colors.wave,
+    progressColor: colors.primary,
+    height: 80,
+    barWidth: 3,
+    barGap: 2,
+    barRadius: 2,
+    cursorColor: colors.primary,
+    cursorWidth: 2,
+    interact: false,
+    hideScrollbar: true,
   };
-
-  // Timer functions
-  const startTimer = () => {
-    timerRef.current = setInterval(() => {
-      setTime((t) => {
-        const newTime = t + 1;
-        if (maxDuration && newTime >= maxDuration) {
-          if (recordRef.current) {
-            recordRef.current.stopRecording();
-          }
-        }
-        return newTime;
-      });
-    }, 1000);
-  };
-
-  const stopTimer = () => {
-    clearInterval(timerRef.current);
-  };
-
-  const formatTime = (sec) => {
-    const mins = Math.floor(sec / 60);
-    const secs = sec % 60;
-    return `${mins}:${secs < 10 ? "0" + secs : secs}`;
-  };
-
-  // Initialize WaveSurfer
-  useEffect(() => {
-    if (!containerRef.current) return;
-
-    const ws = WaveSurfer.create({
-      container: containerRef.current,
-      waveColor: "#2d4a54",
-      progressColor: "#8eff64",
-      height: 80,
-      barWidth: 3,
-      barGap: 2,
-      barRadius: 2,
-      cursorColor: "#8eff64",
-      cursorWidth: 2,
-      interact: false,
-      hideScrollbar: true,
-    });
-
-    // Create static baseline waveform with equal height bars
-    const baselineData = Array(200).fill(0.05);
-    ws.load("", baselineData);
-
-    const record = ws.registerPlugin(
-      RecordPlugin.create({
-        scrollingWaveform: false,
-        renderRecordedAudio: true,
-      })
-    );
-
-    wavesurferRef.current = ws;
-    recordRef.current = record;
-
-    record.on("record-end", (recordedBlob) => {
-      setBlob(recordedBlob);
-      setMode("stopped");
-      stopTimer();
-      ws.loadBlob(recordedBlob);
-      ws.on("interaction", () => {
-        ws.play();
-        setMode("playing");
-      });
-    });
-
-    record.on("record-progress", (currentTime) => {
-      setTime(Math.floor(currentTime / 1000));
-    });
-
-    ws.on("audioprocess", () => {
-      if (modeRef.current === "playing") {
-        setPlaybackTime(Math.floor(ws.getCurrentTime()));
-      }
-    });
-
-    ws.on("finish", () => {
-      setMode("stopped");
-      setPlaybackTime(0);
-    });
-
-    return () => {
-      ws.destroy();
-    };
-  }, []);
-
-  // Enable interaction after recording
+  const recorder = useAudioRecorder({
+    maxDuration,
+    minDuration,
+    warningTime,
+    countdown,
+    maxSize,
+    exportFormat,
+    exportOptions,
+    audioConstraints,
+    processing,
+    source,
+    sourceGains,
+    idlePeaks: BASELINE_PEAKS,
+    waveSurferOptions,
+    onRecordingComplete: multiTake ? takes.commitTake : undefined,
+  });
+
+  const {
+    containerRef,
+    wavesurferRef,
+    state,
+    blob,
+    duration,
+    currentTime,
+    isPlaying,
+    isExporting,
+    error,
+    countdown: countdownValue,
+    cancelCountdown,
+    remaining,
+    isNearLimit,
+    meetsMinDuration,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    stop: stopRecording,
+    play,
+    pausePlayback,
+    togglePlayback,
+    seekTo,
+  } = recorder;
+
+  // "stopped" / "playing" split the finished state for this skin; errors fall back to idle
+  let mode = state;
+  if (state === "finished") mode = isPlaying ? "playing" : "stopped";
+  if (state === "error") mode = "idle";
+
+  // Enable interaction after recording; re-applied after the hook pushes changed
+  // waveSurferOptions (e.g. new theme colors), which would turn it off again
+  const waveSurferOptionsKey = JSON.stringify(waveSurferOptions);
   useEffect(() => {
-    if (!wavesurferRef.current) return;
-  
     const ws = wavesurferRef.current;
-  
+    if (!ws) return;
+
     if (mode === "playing") {
       ws.setOptions({ interact: true, cursorWidth: 2 });  // show cursor
     } else if (mode === "stopped") {
@@ -121,252 +118,213 @@ export default function Recorder({ maxDuration = null }) {
     } else {
       ws.setOptions({ interact: false, cursorWidth: 0 }); // idle/recording/paused
     }
-  }, [mode]);
+  }, [wavesurferRef, mode, waveSurferOptionsKey]);
 
-  const startRecording = () => {
-    setMode("recording");
-    setTime(0);
-    recordRef.current.startRecording();
-    if (!maxDuration) {
-      startTimer();
-    }
-  };
+  // Clicking the finished waveform starts playback from that point
+  useEffect(() => {
+    const ws = wavesurferRef.current;
+    if (!ws || state !== "finished") return;
+    return ws.on("interaction", () => ws.play());
+  }, [wavesurferRef, state]);
 
-  const pauseRecording = () => {
-    recordRef.current.pauseRecording();
-    stopTimer();
-    setMode("paused");
-  };
+  // Screen on while recording; leaving with a take that isn't uploaded asks first
+  const isCapturing = state === "recording" || state === "paused";
+  useWakeLock(wakeLock && isCapturing);
+  useLeaveWarning(warnBeforeLeave && (isCapturing
+    || (uploader.status !== "success" && (state === "finished" || takes.takes.length > 0))));
 
-  const resumeRecording = () => {
-    recordRef.current.resumeRecording();
-    if (!maxDuration) {
-      startTimer();
-    }
-    setMode("recording");
+  const startRecording = () => {
+    uploader.reset();
+    recorder.start();
   };
 
-  const stopRecording = () => {
-    if (mode !== "recording" && mode !== "paused") return;
-    recordRef.current.stopRecording();
+  const restart = () => {
+    takes.startNewTake();
+    recorder.reset();
+    uploader.reset();
   };
 
-  const play = () => {
-    wavesurferRef.current.play();
-    setMode("playing");
+  // Throws the take on screen away, including from the take stack
+  const discard = () => {
+    if (state === "finished") takes.removeTake(takes.currentId);
+    restart();
   };
 
-  const pause = () => {
-    wavesurferRef.current.pause();
-    setMode("stopped");
+  const selectTake = (id) => {
+    if (id === takes.selectedId) return;
+    takes.selectTake(id);
+    uploader.reset();
   };
 
-  const restart = () => {
-    stopTimer();
-    setTime(0);
-    setPlaybackTime(0);
-    setBlob(null);
-    setMode("idle");
-  
-    if (wavesurferRef.current) {
-      const ws = wavesurferRef.current;
-  
-      // Create equal height baseline bars
-      const baselineData = Array(200).fill(0.05);
-  
-      ws.load("", baselineData);
-  
-      ws.seekTo(0);
-      ws.setOptions({ interact: false, cursorWidth: 0 }); // ⬅ hide cursor
+  const uploadTake = multiTake ? takes.selectedTake : { blob, duration };
+  const isTooShort = minDuration > 0 && (uploadTake?.duration ?? 0) < minDuration;
+
+  const recordingFile = useRecordingFile({
+    blob: state === "finished" ? uploadTake?.blob : null,
+    title,
+    date: uploadTake?.createdAt ?? null,
+    shareUrl: shareUrl ?? uploader.response?.url ?? null,
+  });
+  const fileActionsDisabled = !recordingFile.isReady || isExporting;
+
+  const handleUpload = () => {
+    if (uploader.status === "uploading") {
+      uploader.cancel();
+    } else if (uploader.status === "error" || uploader.status === "cancelled") {
+      uploader.retry();
+    } else if (uploadTake?.blob && !isExporting && !isTooShort && uploader.status === "idle") {
+      uploader.upload(uploadTake.blob, { duration: uploadTake.duration, createdAt: new Date().toISOString() });
     }
   };
-  
 
-  const mockUpload = () => {
-    alert("Uploading recorded audio...");
+  const getUploadLabel = () => {
+    if (isExporting) return t("upload.encoding");
+    switch (uploader.status) {
+      case "uploading":
+        return `✕ ${formatNumber(uploader.progress, { style: "percent" })}`;
+      case "error":
+      case "cancelled":
+        return `↻ ${t("upload.retry")}`;
+      case "success":
+        return `✓ ${t("upload.done")}`;
+      default:
+        return `⬆ ${t("upload.upload")}`;
+    }
   };
 
   const getCurrentDisplayTime = () => {
-    if (mode === "playing") return playbackTime;
-    return time;
+    if (mode === "playing") return currentTime;
+    return duration;
   };
 
+  const stopDisabled = !meetsMinDuration;
+  const tooShortMessage = t("controls.minDuration", { time: formatTime(minDuration) });
+
+  // --- Keyboard & screen readers ---
+  const cardRef = useRef(null);
+  const mainControlRef = useRef(null); // Focused after each state change
+  useKeyboardControls({
+    enabled: keyboardShortcuts,
+    targetRef: cardRef,
+    focusRef: mainControlRef,
+    state,
+    isCountingDown: Boolean(countdownValue),
+    currentTime,
+    duration,
+    start: startRecording,
+    stop: stopRecording,
+    pause: pauseRecording,
+    resume: resumeRecording,
+    togglePlayback,
+    seekTo,
+    cancelCountdown,
+  });
+
+  const announcement = useAnnouncements({
+    state,
+    duration,
+    countdown: countdownValue,
+    remaining,
+    isNearLimit,
+    t,
+    locale,
+  });
+
+  const waveformA11y = state === "finished"
+    ? {
+      role: "slider",
+      tabIndex: 0,
+      "aria-label": t("waveform.position"),
+      "aria-valuemin": 0,
+      "aria-valuemax": Math.round(duration),
+      "aria-valuenow": Math.round(currentTime),
+      "aria-valuetext": t("waveform.positionValue", {
+        current: formatSpokenTime(currentTime),
+        total: formatSpokenTime(duration)
+      })
+    }
+    : { role: "img", "aria-label": t(mode === "idle" ? "waveform.idle" : "waveform.live") };
+
+  const isUploading = uploader.status === "uploading";
+
   return (
-    <div style={{
-      background: "#1a2a32",
-      padding: "40px 30px",
-      borderRadius: "12px",
-      border: "2px solid #2d4a54",
-      maxWidth: "700px",
-      margin: "auto",
-      fontFamily: "monospace"
-    }}>
-      <div style={{
-        border: "1px solid #2d4a54",
-        padding: "15px",
-        marginBottom: "20px",
-        borderRadius: "8px",
-        background: "#0f1c23"
-      }}>
-        <div ref={containerRef} style={{ width: "100%", height: "80px" }} />
+    <div ref={cardRef} className="recorder-panel" style={themeStyle} dir={dir} lang={locale}>
+      <div className="panel-waveform">
+        <div ref={containerRef} {...waveformA11y} className="panel-waveform-canvas" />
       </div>
 
-      <div style={{
-        display: "flex",
-        justifyContent: "space-between",
-        color: "#8eff64",
-        fontSize: "20px",
-        fontWeight: "500",
-        marginBottom: "30px",
-        padding: "0 10px"
-      }}>
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
+      {error && (
+        <div role="alert" className="panel-error">
+          ⚠ {translateError(t, error)}
+        </div>
+      )}
+
+      <div className={`panel-timers ${isNearLimit ? "near-limit" : ""}`}>
         <span>{formatTime(0)}</span>
-        <span>{formatTime(mode === "idle" ? (maxDuration || 0) : getCurrentDisplayTime())}</span>
+        <span>
+          {countdownValue ? formatNumber(countdownValue) : formatTime(mode === "idle" ? (maxDuration || 0) : getCurrentDisplayTime())}
+        </span>
       </div>
 
-      <div style={{
-        display: "flex",
-        justifyContent: "center",
-        alignItems: "center",
-        gap: "15px",
-        flexWrap: "wrap"
-      }}>
+      <div className="panel-controls">
         {mode === "idle" && (
           <button
-            onClick={startRecording}
-            style={{
-              background: "transparent",
-              border: "4px solid #ff6b6b",
-              color: "#ff6b6b",
-              width: "80px",
-              height: "80px",
-              borderRadius: "50%",
-              cursor: "pointer",
-              fontSize: "28px",
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "center",
-              transition: "all 0.3s",
-              boxShadow: "0 0 20px rgba(255, 107, 107, 0.3)"
-            }}
-            onMouseOver={(e) => {
-              e.currentTarget.style.background = "#ff6b6b";
-              e.currentTarget.style.transform = "scale(1.05)";
-            }}
-            onMouseOut={(e) => {
-              e.currentTarget.style.background = "transparent";
-              e.currentTarget.style.transform = "scale(1)";
-            }}
+            ref={mainControlRef}
+            onClick={countdownValue ? cancelCountdown : startRecording}
+            title={countdownValue ? t("controls.cancel") : undefined}
+            aria-label={countdownValue
+              ? t("controls.countdown", { count: formatNumber(countdownValue) })
+              : t("controls.start")}
+            aria-keyshortcuts="Space"
+            className="panel-record"
           >
-            <div style={{
-              width: "20px",
-              height: "20px",
-              background: "#ff6b6b",
-              borderRadius: "4px"
-            }} />
+            <div className="panel-square" />
           </button>
         )}
 
         {mode === "recording" && (
           <>
-            <button
-              onClick={restart}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 18px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "16px"
-              }}
-            >
+            <button onClick={discard} aria-label={t("controls.deleteRecording")} className="panel-button icon">
               🗑
             </button>
-            <button
-              onClick={pauseRecording}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 24px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "14px",
-                fontWeight: "600"
-              }}
-            >
-              ⏸ PAUSE
+            <button onClick={pauseRecording} aria-keyshortcuts="P" className="panel-button">
+              ⏸ {t("controls.pause")}
             </button>
             <button
+              ref={mainControlRef}
               onClick={stopRecording}
-              style={{
-                background: "transparent",
-                border: "4px solid #ff6b6b",
-                color: "#ff6b6b",
-                width: "80px",
-                height: "80px",
-                borderRadius: "50%",
-                cursor: "pointer",
-                fontSize: "28px",
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "center",
-                animation: "pulse 1.5s ease-in-out infinite"
-              }}
+              aria-disabled={stopDisabled}
+              title={stopDisabled ? tooShortMessage : undefined}
+              aria-label={t("controls.stop")}
+              aria-keyshortcuts="Space"
+              className={`panel-record recording ${stopDisabled ? "disabled" : ""}`}
             >
-              <div style={{
-                width: "20px",
-                height: "20px",
-                background: "#ff6b6b",
-                borderRadius: "4px"
-              }} />
+              <div className="panel-square" />
             </button>
           </>
         )}
 
         {mode === "paused" && (
           <>
-            <button
-              onClick={restart}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 18px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "16px"
-              }}
-            >
+            <button onClick={discard} aria-label={t("controls.deleteRecording")} className="panel-button icon">
               🗑
             </button>
             <button
+              ref={mainControlRef}
               onClick={resumeRecording}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 24px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "14px",
-                fontWeight: "600"
-              }}
+              aria-keyshortcuts="Space P"
+              className="panel-button"
             >
-              ▶ RESUME
+              ▶ {t("controls.resume")}
             </button>
             <button
               onClick={stopRecording}
-              style={{
-                background: "transparent",
-                border: "4px solid #ff6b6b",
-                width: "60px",
-                height: "60px",
-                borderRadius: "50%",
-                cursor: "pointer",
-                fontSize: "20px"
-              }}
+              aria-disabled={stopDisabled}
+              title={stopDisabled ? tooShortMessage : undefined}
+              aria-label={t("controls.stop")}
+              className={`panel-stop ${stopDisabled ? "disabled" : ""}`}
             >
               ⏹
             </button>
@@ -375,99 +333,85 @@ export default function Recorder({ maxDuration = null }) {
 
         {(mode === "stopped" || mode === "playing") && (
           <>
-            <button
-              onClick={restart}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 18px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "16px"
-              }}
-            >
+            <button onClick={discard} aria-label={t("controls.deleteRecording")} className="panel-button icon">
               🗑
             </button>
-            <button
-              onClick={restart}
-              style={{
-                background: "#2d3e47",
-                border: "none",
-                color: "#fff",
-                padding: "12px 24px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "14px",
-                fontWeight: "600"
-              }}
-            >
-              ↻ Start Again
+            <button onClick={restart} className="panel-button">
+              ↻ {t("controls.startAgain")}
             </button>
 
+            {download && (
+              <button
+                onClick={recordingFile.download}
+                disabled={fileActionsDisabled}
+                title={t("file.download", { name: recordingFile.fileName ?? "" })}
+                aria-label={t("file.downloadLabel")}
+                className="panel-button icon"
+              >
+                ⬇
+              </button>
+            )}
+
+            {share && recordingFile.canShare && (
+              <button
+                onClick={recordingFile.share}
+                disabled={fileActionsDisabled}
+                title={t("file.share")}
+                aria-label={t("file.share")}
+                className="panel-button icon"
+              >
+                {recordingFile.shareStatus ? <span role="status">{t(`file.${recordingFile.shareStatus}`)}</span> : "⇪"}
+              </button>
+            )}
+
             {mode !== "playing" ? (
               <button
+                ref={mainControlRef}
                 onClick={play}
-                style={{
-                  background: "#2d3e47",
-                  border: "none",
-                  color: "#8eff64",
-                  width: "60px",
-                  height: "60px",
-                  borderRadius: "50%",
-                  cursor: "pointer",
-                  fontSize: "20px"
-                }}
+                aria-label={t("controls.play")}
+                aria-keyshortcuts="Space P"
+                className="panel-play"
               >
                 ▶
               </button>
             ) : (
               <button
-                onClick={pause}
-                style={{
-                  background: "#2d3e47",
-                  border: "none",
-                  color: "#8eff64",
-                  width: "60px",
-                  height: "60px",
-                  borderRadius: "50%",
-                  cursor: "pointer",
-                  fontSize: "20px"
-                }}
+                ref={mainControlRef}
+                onClick={pausePlayback}
+                aria-label={t("controls.pausePlayback")}
+                aria-keyshortcuts="Space P"
+                className="panel-play"
               >
                 ⏸
               </button>
             )}
 
             <button
-              onClick={mockUpload}
-              style={{
-                background: "#8eff64",
-                border: "none",
-                color: "#000",
-                padding: "12px 28px",
-                borderRadius: "8px",
-                cursor: "pointer",
-                fontSize: "14px",
-                fontWeight: "700"
-              }}
+              onClick={handleUpload}
+              disabled={uploader.status === "success" || (isTooShort && uploader.status === "idle")}
+              title={uploader.error ? translateUploadError(t, uploader.error) : isTooShort ? tooShortMessage : undefined}
+              className={`panel-upload ${isUploading ? "uploading" : ""} ${isTooShort && uploader.status === "idle" ? "too-short" : ""}`}
+              style={isUploading ? { "--upload-progress": `${uploader.progress * 100}%` } : undefined}
             >
-              ⬆ UPLOAD
+              {getUploadLabel()}
             </button>
           </>
         )}
       </div>
 
-      <style>{`
-        @keyframes pulse {
-          0%, 100% {
-            box-shadow: 0 0 20px rgba(255, 107, 107, 0.3);
-          }
-          50% {
-            box-shadow: 0 0 30px rgba(255, 107, 107, 0.6);
-          }
-        }
-      `}</style>
+      {multiTake && (
+        <TakeStack
+          takes={takes.takes}
+          selectedId={takes.selectedId}
+          onSelect={selectTake}
+          onRemove={takes.removeTake}
+          onPlay={pausePlayback}
+          waveColor={colors.wave}
+          progressColor={colors.primary}
+          t={t}
+          locale={locale}
+        />
+      )}
     </div>
   );
 }
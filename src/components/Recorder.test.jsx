@@ -0,0 +1,96 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import Recorder from './Recorder';
+import { FakeWaveSurfer } from '../test/fakes';
+
+const plugin = () => FakeWaveSurfer.latest().plugins[0];
+
+const tick = (ms) => act(() => {
+  plugin().tick(ms);
+});
+
+const startRecording = async () => {
+  fireEvent.click(screen.getByRole('button', { name: 'Start recording' }));
+  await screen.findByRole('button', { name: 'Stop recording' });
+};
+
+const finishRecording = async () => {
+  await startRecording();
+  tick(1000);
+  fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+  await screen.findByRole('button', { name: 'Play recording' });
+};
+
+describe('<Recorder>', () => {
+  it('records, pauses, resumes and stops from its buttons', async () => {
+    render(<Recorder />);
+    await startRecording();
+    tick(1000);
+
+    fireEvent.click(screen.getByRole('button', { name: /PAUSE/ }));
+    expect(plugin().isPaused()).toBe(true);
+    fireEvent.click(screen.getByRole('button', { name: /RESUME/ }));
+    expect(plugin().isRecording()).toBe(true);
+    tick(1000);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+    expect(await screen.findByRole('button', { name: 'Play recording' })).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: /position/i })).toHaveAttribute('aria-valuemax', '2');
+  });
+
+  it('discards the take and goes back to idle', async () => {
+    render(<Recorder />);
+    await startRecording();
+    tick(1500);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete recording' }));
+    expect(await screen.findByRole('button', { name: 'Start recording' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Play recording' })).not.toBeInTheDocument();
+  });
+
+  it.each(['Delete recording', /Start Again/])('records a new take after %s', async (name) => {
+    render(<Recorder />);
+    await finishRecording();
+
+    fireEvent.click(screen.getByRole('button', { name }));
+    await startRecording();
+    tick(2000);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+
+    expect(await screen.findByRole('button', { name: 'Play recording' })).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: /position/i })).toHaveAttribute('aria-valuemax', '2');
+  });
+
+  it('stops by itself at maxDuration', async () => {
+    render(<Recorder maxDuration={3} />);
+    await startRecording();
+
+    tick(2000);
+    expect(screen.getByRole('button', { name: 'Stop recording' })).toBeInTheDocument();
+    tick(1000);
+
+    expect(await screen.findByRole('button', { name: 'Play recording' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Stop recording' })).not.toBeInTheDocument();
+  });
+
+  it('keeps the finished waveform interactive when the WaveSurfer options change', async () => {
+    const { rerender } = render(<Recorder theme="dark" />);
+    expect(FakeWaveSurfer.latest().options.interact).toBe(false);
+    await finishRecording();
+    const ws = FakeWaveSurfer.latest();
+    expect(ws.options.interact).toBe(true);
+    const darkWave = ws.options.waveColor;
+
+    // New colors go through setOptions; the recorder's own defaults must not win over the finished state
+    rerender(<Recorder theme="light" />);
+    await waitFor(() => expect(ws.options.waveColor).not.toBe(darkWave));
+    expect(ws.options.interact).toBe(true);
+
+    // Clicking the waveform plays from there
+    act(() => {
+      ws.emit('interaction', 0.5);
+    });
+    expect(ws.isPlaying()).toBe(true);
+  });
+});
@@ -0,0 +1,179 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Play, Pause, Download, Trash2, Pencil, RotateCcw, X } from 'lucide-react';
+import useRecordingLibrary from '../hooks/useRecordingLibrary';
+import useLocale from '../hooks/useLocale';
+import useTheme from '../hooks/useTheme';
+import { embedMetadata } from '../utils/audioMetadata';
+import { downloadBlob, recordingFileName } from '../utils/download';
+import '../styles/Recorder.scss';
+
+// --- List of saved takes: play, rename, download, delete, plus crash-recovered drafts ---
+const RecordingsLibrary = ({ theme = 'auto', locale = 'en', messages = null, className = '', onError }) => {
+  const { style: themeStyle } = useTheme(theme);
+  const { t, dir, formatTime } = useLocale(locale, messages);
+  const formatDate = (date) => new Date(date).toLocaleString(locale);
+  const titleOf = (recording) => recording.title
+    || t(recording.recovered ? 'library.recovered' : 'library.untitled', { date: formatDate(recording.createdAt) });
+  const library = useRecordingLibrary({ onError });
+  const { recordings, drafts, isLoading } = library;
+
+  const audioRef = useRef(null);
+  const [playingId, setPlayingId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [titleDraft, setTitleDraft] = useState('');
+
+  // Release the playback URL when the component goes away
+  useEffect(() => () => {
+    const audio = audioRef.current;
+    if (audio?.src) URL.revokeObjectURL(audio.src);
+  }, []);
+
+  const stopPlayback = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.pause();
+    if (audio.src) URL.revokeObjectURL(audio.src);
+    audio.removeAttribute('src');
+    setPlayingId(null);
+  };
+
+  const togglePlayback = (recording) => {
+    if (playingId === recording.id) {
+      stopPlayback();
+      return;
+    }
+    stopPlayback();
+    const audio = audioRef.current;
+    const url = URL.createObjectURL(recording.blob);
+    audio.src = url;
+    audio.play().catch((err) => {
+      // AbortError: stopped or switched before playback began
+      if (err.name === 'AbortError') return;
+      console.error('Playback error:', err);
+      if (audio.src === url) stopPlayback();
+      onError?.(err);
+    });
+    setPlayingId(recording.id);
+  };
+
+  const startRename = (recording) => {
+    setEditingId(recording.id);
+    setTitleDraft(titleOf(recording));
+  };
+
+  const commitRename = () => {
+    const title = titleDraft.trim();
+    if (editingId && title) library.rename(editingId, title);
+    setEditingId(null);
+  };
+
+  const handleDownload = async (recording) => {
+    const { title, createdAt: date, markers = [] } = recording;
+    const blob = await embedMetadata(recording.blob, { title: titleOf(recording), date, markers });
+    // Untitled takes get a timestamped file name
+    downloadBlob(blob, recordingFileName({ title, date, mimeType: recording.mimeType }));
+  };
+
+  const handleDelete = (recording) => {
+    if (playingId === recording.id) stopPlayback();
+    library.remove(recording.id);
+  };
+
+  return (
+    <div className={`recordings-library ${className}`.trim()} style={themeStyle} dir={dir} lang={locale}>
+      <audio ref={audioRef} onEnded={stopPlayback} hidden />
+
+      <div className="library-header">
+        <span>{t('library.title')}</span>
+        <span className="library-count">{recordings.length}</span>
+      </div>
+
+      {/* Drafts left behind by a crashed or closed tab */}
+      {drafts.map((draft) => (
+        <div key={draft.id} className="library-item draft">
+          <div className="item-info">
+            <span className="item-title">{t('library.unsaved')}</span>
+            <span className="item-meta">
+              {formatDate(draft.startedAt)} · {formatTime(draft.duration)}
+            </span>
+          </div>
+          <div className="item-actions">
+            <button
+              onClick={() => library.recoverDraft(draft.id)}
+              className="item-button"
+              title={t('library.recover')}
+            >
+              <RotateCcw size={14} />
+            </button>
+            <button
+              onClick={() => library.discardDraft(draft.id)}
+              className="item-button delete"
+              title={t('library.discard')}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {!isLoading && recordings.length === 0 && drafts.length === 0 && (
+        <div className="library-empty">{t('library.empty')}</div>
+      )}
+
+      {recordings.map((recording) => (
+        <div key={recording.id} className={`library-item ${playingId === recording.id ? 'playing' : ''}`}>
+          <button
+            onClick={() => togglePlayback(recording)}
+            className="item-button play"
+            title={t(playingId === recording.id ? 'library.pause' : 'library.play')}
+          >
+            {playingId === recording.id
+              ? <Pause size={14} fill="currentColor" />
+              : <Play size={14} fill="currentColor" />}
+          </button>
+
+          <div className="item-info">
+            {editingId === recording.id ? (
+              <input
+                className="item-title-input"
+                value={titleDraft}
+                autoFocus
+                onChange={(e) => setTitleDraft(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+              />
+            ) : (
+              <span className="item-title" onDoubleClick={() => startRename(recording)}>
+                {titleOf(recording)}
+              </span>
+            )}
+            <span className="item-meta">
+              {formatDate(recording.createdAt)} · {formatTime(recording.duration)}
+            </span>
+          </div>
+
+          <div className="item-actions">
+            <button onClick={() => startRename(recording)} className="item-button" title={t('library.rename')}>
+              <Pencil size={14} />
+            </button>
+            <button
+              onClick={() => handleDownload(recording)}
+              className="item-button"
+              title={t('library.download')}
+            >
+              <Download size={14} />
+            </button>
+            <button onClick={() => handleDelete(recording)} className="item-button delete" title={t('library.delete')}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RecordingsLibrary;
@@ -0,0 +1,77 @@
+import React, { useId } from 'react';
+import {
+  AUDIO_SOURCES,
+  DEFAULT_SOURCE_GAINS,
+  isDisplayAudioSupported,
+  usesDisplayAudio,
+  usesMic,
+} from '../utils/audioSources';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+const SOURCE_OPTIONS = [AUDIO_SOURCES.MIC, AUDIO_SOURCES.SYSTEM, AUDIO_SOURCES.MIXED];
+
+// --- What to record: the mic, tab/system audio or both, with a gain per mixed source ---
+const SourceSelector = ({
+  source = AUDIO_SOURCES.MIC,
+  gains = {},
+  locked = false, // While recording the source is fixed; gains still apply live
+  onSourceChange,
+  onGainsChange,
+  t = defaultTranslate, // Translator from useLocale
+  className = '',
+}) => {
+  const name = useId();
+  const levels = { ...DEFAULT_SOURCE_GAINS, ...gains };
+  const canShare = isDisplayAudioSupported();
+
+  const setGain = (key, value) => onGainsChange?.({ ...gains, [key]: value });
+
+  // Gains go through the mixer, which only sits in the chain once shared audio is involved
+  const gainSources = usesDisplayAudio(source)
+    ? ['mic', 'system'].filter((key) => key === 'system' || usesMic(source))
+    : [];
+
+  return (
+    <div className={`source-selector ${className}`.trim()}>
+      <div className="source-options" role="radiogroup" aria-label={t('source.label')}>
+        {SOURCE_OPTIONS.map((option) => {
+          const unavailable = option !== AUDIO_SOURCES.MIC && !canShare;
+          return (
+            <label
+              key={option}
+              className={`source-option ${source === option ? 'active' : ''}`}
+              title={unavailable ? t('errors.system-audio-unsupported') : undefined}
+            >
+              <input
+                type="radio"
+                name={name}
+                checked={source === option}
+                disabled={locked || unavailable}
+                onChange={() => onSourceChange?.(option)}
+              />
+              {t(`source.${option}`)}
+            </label>
+          );
+        })}
+      </div>
+
+      {gainSources.map((key) => (
+        <label key={key} className="source-gain">
+          {t(`source.${key}Gain`)}
+          <input
+            type="range"
+            min="-24"
+            max="12"
+            step="1"
+            value={levels[key]}
+            onChange={(e) => setGain(key, Number(e.target.value))}
+          />
+          <span className="source-gain-value">{levels[key] > 0 ? '+' : ''}{levels[key]} dB</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default SourceSelector;
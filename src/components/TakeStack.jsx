@@ -0,0 +1,150 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import WaveSurfer from 'wavesurfer.js';
+import { Play, Pause, Trash2, Check } from 'lucide-react';
+import formatTime from '../utils/formatTime';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+// --- One take: mini waveform that doubles as its player ---
+const TakeItem = ({
+  take,
+  index,
+  isSelected,
+  isPlaying,
+  waveColor,
+  progressColor,
+  register,
+  onTogglePlay,
+  onSelect,
+  onRemove,
+  onFinish,
+  t,
+  locale,
+}) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const ws = WaveSurfer.create({
+      container: containerRef.current,
+      url: take.url,
+      height: 28,
+      barWidth: 2,
+      barGap: 1,
+      barRadius: 1,
+      cursorWidth: 0,
+      normalize: true,
+      waveColor,
+      progressColor,
+    });
+    ws.on('finish', onFinish);
+    register(take.id, ws);
+    return () => {
+      register(take.id, null);
+      ws.destroy();
+    };
+  }, [take.id, take.url, waveColor, progressColor, register, onFinish]);
+
+  return (
+    <li className={`take-item ${isSelected ? 'selected' : ''}`}>
+      <button onClick={() => onTogglePlay(take.id)} className="take-play" title={t(isPlaying ? 'takes.pause' : 'takes.play')}>
+        {isPlaying ? <Pause size={14} fill="currentColor" /> : <Play size={14} fill="currentColor" />}
+      </button>
+      <span className="take-name">#{new Intl.NumberFormat(locale).format(index + 1)}</span>
+      <div ref={containerRef} className="take-waveform" />
+      <span className="take-duration">{formatTime(take.duration, locale)}</span>
+      <button
+        onClick={() => onSelect(take.id)}
+        className="take-select"
+        aria-pressed={isSelected}
+        title={t(isSelected ? 'takes.selected' : 'takes.use')}
+      >
+        <Check size={14} />
+      </button>
+      <button onClick={() => onRemove(take.id)} className="take-remove" title={t('takes.delete')}>
+        <Trash2 size={14} />
+      </button>
+    </li>
+  );
+};
+
+// --- Takes of the same prompt: A/B playback and picking the one to keep ---
+// Switching takes mid-playback continues at the same position for a direct comparison.
+const TakeStack = ({
+  takes = [],
+  selectedId = null,
+  onSelect,
+  onRemove,
+  onPlay, // Called before a take starts playing, e.g. to pause the main player
+  waveColor = '#4b5563',
+  progressColor = '#8CFF05',
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+  className = '',
+}) => {
+  const playersRef = useRef(new Map());
+  const [playingId, setPlayingId] = useState(null);
+
+  const register = useCallback((id, ws) => {
+    if (ws) {
+      playersRef.current.set(id, ws);
+    } else {
+      playersRef.current.delete(id);
+    }
+  }, []);
+
+  const handleFinish = useCallback(() => setPlayingId(null), []);
+
+  const togglePlay = (id) => {
+    const players = playersRef.current;
+    const target = players.get(id);
+    if (!target) return;
+
+    if (playingId === id) {
+      target.pause();
+      setPlayingId(null);
+      return;
+    }
+
+    const current = players.get(playingId);
+    if (current) {
+      const position = current.getCurrentTime();
+      current.pause();
+      target.setTime(Math.min(position, target.getDuration()));
+    }
+    onPlay?.(id);
+    target.play();
+    setPlayingId(id);
+  };
+
+  const remove = (id) => {
+    if (playingId === id) setPlayingId(null);
+    onRemove?.(id);
+  };
+
+  if (takes.length === 0) return null;
+
+  return (
+    <ol className={`take-stack ${className}`}>
+      {takes.map((take, i) => (
+        <TakeItem
+          key={take.id}
+          take={take}
+          index={i}
+          isSelected={take.id === selectedId}
+          isPlaying={take.id === playingId}
+          waveColor={waveColor}
+          progressColor={progressColor}
+          register={register}
+          onTogglePlay={togglePlay}
+          onSelect={(id) => onSelect?.(id)}
+          onRemove={remove}
+          onFinish={handleFinish}
+          t={t}
+          locale={locale}
+        />
+      ))}
+    </ol>
+  );
+};
+
+export default TakeStack;
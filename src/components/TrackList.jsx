@@ -0,0 +1,130 @@
+import React, { useEffect, useRef } from 'react';
+import WaveSurfer from 'wavesurfer.js';
+import { Trash2 } from 'lucide-react';
+import { TRACK_GAIN_RANGE } from '../hooks/useMultitrack';
+import { audibleTracks } from '../utils/mixdown';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+// --- One track: name, mute/solo/gain and a waveform lane that plays with the others ---
+const TrackLane = ({
+  track,
+  index,
+  isAudible,
+  waveColor,
+  progressColor,
+  register,
+  onChange,
+  onRemove,
+  t,
+  locale,
+}) => {
+  const containerRef = useRef(null);
+  const placeholder = t('multitrack.track', { number: new Intl.NumberFormat(locale).format(index + 1) });
+
+  useEffect(() => {
+    const ws = WaveSurfer.create({
+      container: containerRef.current,
+      url: track.url,
+      height: 40,
+      barWidth: 2,
+      barGap: 1,
+      barRadius: 1,
+      cursorWidth: 1,
+      normalize: true,
+      waveColor,
+      progressColor,
+    });
+    register(track.id, ws);
+    return () => {
+      register(track.id, null);
+      ws.destroy();
+    };
+  }, [track.id, track.url, waveColor, progressColor, register]);
+
+  return (
+    <li className={`track-lane ${isAudible ? '' : 'inaudible'}`}>
+      <div className="track-header">
+        <input
+          className="track-name"
+          value={track.name ?? ''}
+          placeholder={placeholder}
+          onChange={(e) => onChange(track.id, { name: e.target.value || null })}
+          aria-label={t('multitrack.name')}
+        />
+        <button
+          onClick={() => onChange(track.id, { muted: !track.muted })}
+          className={`track-toggle mute ${track.muted ? 'active' : ''}`}
+          aria-pressed={track.muted}
+          title={t('multitrack.mute')}
+          aria-label={t('multitrack.mute')}
+        >
+          M
+        </button>
+        <button
+          onClick={() => onChange(track.id, { solo: !track.solo })}
+          className={`track-toggle solo ${track.solo ? 'active' : ''}`}
+          aria-pressed={track.solo}
+          title={t('multitrack.solo')}
+          aria-label={t('multitrack.solo')}
+        >
+          S
+        </button>
+        <input
+          type="range"
+          className="track-gain"
+          min={TRACK_GAIN_RANGE.min}
+          max={TRACK_GAIN_RANGE.max}
+          step={1}
+          value={track.gain}
+          onChange={(e) => onChange(track.id, { gain: Number(e.target.value) })}
+          aria-label={t('multitrack.gain')}
+          aria-valuetext={`${track.gain} dB`}
+        />
+        <span className="track-gain-value">{new Intl.NumberFormat(locale, { signDisplay: 'exceptZero' }).format(track.gain)} dB</span>
+        <button onClick={() => onRemove(track.id)} className="track-remove" title={t('multitrack.delete')}>
+          <Trash2 size={14} />
+        </button>
+      </div>
+      <div ref={containerRef} className="track-waveform" />
+    </li>
+  );
+};
+
+// --- Lanes of a multitrack session, driven by useMultitrack ---
+const TrackList = ({
+  tracks = [],
+  register, // From useMultitrack; every lane's player joins the synchronized playback
+  onChange, // (id, patch), e.g. useMultitrack's updateTrack
+  onRemove,
+  waveColor = '#4b5563',
+  progressColor = '#8CFF05',
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+  className = '',
+}) => {
+  if (tracks.length === 0) return null;
+  const audible = audibleTracks(tracks);
+
+  return (
+    <ol className={`track-list ${className}`.trim()}>
+      {tracks.map((track, i) => (
+        <TrackLane
+          key={track.id}
+          track={track}
+          index={i}
+          isAudible={audible.includes(track)}
+          waveColor={waveColor}
+          progressColor={progressColor}
+          register={register}
+          onChange={(id, patch) => onChange?.(id, patch)}
+          onRemove={(id) => onRemove?.(id)}
+          t={t}
+          locale={locale}
+        />
+      ))}
+    </ol>
+  );
+};
+
+export default TrackList;
@@ -0,0 +1,56 @@
+import React from 'react';
+import formatTime from '../utils/formatTime';
+import { defaultTranslate } from '../utils/i18n';
+import '../styles/Recorder.scss';
+
+const LIVE_SEGMENTS = 2; // Finished lines kept above the live caption
+
+// --- Live captions while recording, clickable segments once finished ---
+const Transcript = ({
+  segments = [],
+  interim = '',
+  isLive = false,
+  isTranscribing = false,
+  currentTime = 0,
+  onSeek,
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+  className = '',
+}) => {
+  if (isLive) {
+    if (segments.length === 0 && !interim) return null;
+    return (
+      <div className={`transcript live ${className}`}>
+        {segments.slice(-LIVE_SEGMENTS).map((segment, i) => (
+          <span key={`${segment.start}-${i}`} className="caption">{segment.text} </span>
+        ))}
+        {interim && <span className="caption interim">{interim}</span>}
+      </div>
+    );
+  }
+
+  if (segments.length === 0) {
+    return isTranscribing ? <div className={`transcript ${className}`}>{t('transcript.transcribing')}</div> : null;
+  }
+
+  return (
+    <ol className={`transcript ${isTranscribing ? 'pending' : ''} ${className}`}>
+      {segments.map((segment, i) => {
+        const isActive = currentTime >= segment.start && currentTime < segment.end;
+        return (
+          <li key={`${segment.start}-${i}`}>
+            <button
+              onClick={() => onSeek?.(segment.start)}
+              className={`segment ${isActive ? 'active' : ''}`}
+            >
+              <span className="segment-time">{formatTime(segment.start, locale)}</span>
+              <span className="segment-text">{segment.text}</span>
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default Transcript;
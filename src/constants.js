@@ -0,0 +1,6 @@
+// --- Recording Modes ---
+export const MODES = {
+  LIMITED: 'limited',
+  UNLIMITED: 'unlimited',
+  MULTITRACK: 'multitrack', // Overdubbed tracks and a mixdown, see <MultitrackRecorder>
+};
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { RECORDER_STATES } from './useAudioRecorder';
+import { formatSpokenTime } from '../utils/formatTime';
+import { defaultTranslate } from '../utils/i18n';
+
+// --- Text for a screen-reader live region ---
+// State changes, the countdown, the elapsed time every `interval` seconds
+// while recording and the limit warning; everything else stays quiet.
+const useAnnouncements = ({
+  state, // Recorder state from useAudioRecorder
+  duration = 0,
+  countdown = null,
+  remaining = null,
+  isNearLimit = false,
+  interval = 30, // Seconds between elapsed-time announcements, 0 to disable
+  t = defaultTranslate, // Translator from useLocale
+  locale = 'en',
+} = {}) => {
+  const spoken = (seconds) => formatSpokenTime(seconds, locale);
+  const [message, setMessage] = useState('');
+
+  const tick = state === RECORDER_STATES.RECORDING && interval > 0 ? Math.floor(duration / interval) : 0;
+  const [prev, setPrev] = useState({ state, countdown, tick, isNearLimit });
+  if (state !== prev.state || countdown !== prev.countdown || tick !== prev.tick || isNearLimit !== prev.isNearLimit) {
+    setPrev({ state, countdown, tick, isNearLimit });
+
+    if (state !== prev.state) {
+      const messages = {
+        [RECORDER_STATES.IDLE]: t('announce.ready'),
+        [RECORDER_STATES.RECORDING]: t(prev.state === RECORDER_STATES.PAUSED ? 'announce.resumed' : 'announce.recording'),
+        [RECORDER_STATES.PAUSED]: t('announce.paused', { time: spoken(duration) }),
+        [RECORDER_STATES.FINISHED]: t('announce.finished', { time: spoken(duration) }),
+      };
+      // Errors are announced by their own alert
+      if (messages[state]) setMessage(messages[state]);
+    } else if (countdown !== prev.countdown) {
+      if (countdown) setMessage(new Intl.NumberFormat(locale).format(countdown));
+    } else if (isNearLimit && !prev.isNearLimit) {
+      setMessage(t('announce.remaining', { time: spoken(remaining) }));
+    } else if (tick > prev.tick) {
+      setMessage(t('announce.elapsed', { time: spoken(tick * interval) }));
+    }
+  }
+
+  return message;
+};
+
+export default useAnnouncements;
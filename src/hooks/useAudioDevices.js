@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+import { defaultTranslate } from '../utils/i18n';
+
+const STORAGE_KEY = 'audio-recorder:deviceId';
+
+const readStoredDeviceId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const listAudioInputs = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return all.filter((device) => device.kind === 'audioinput');
+};
+
+// --- Audio inputs, kept up to date with plugged/unplugged devices ---
+// The chosen device is remembered across sessions; '' means the browser default
+const useAudioDevices = ({
+  enabled = true,
+  t = defaultTranslate, // Translator from useLocale, for unnamed devices
+  locale = 'en',
+} = {}) => {
+  const [devices, setDevices] = useState([]);
+  const [storedDeviceId, setStoredDeviceId] = useState(readStoredDeviceId);
+
+  const refresh = useCallback(() => (
+    listAudioInputs()
+      .then(setDevices)
+      .catch((err) => console.error('Device enumeration error:', err))
+  ), []);
+
+  useEffect(() => {
+    if (!enabled || !navigator.mediaDevices) return;
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [enabled, refresh]);
+
+  const setDeviceId = useCallback((id) => {
+    setStoredDeviceId(id);
+    try {
+      if (id) {
+        localStorage.setItem(STORAGE_KEY, id);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch {
+      // Storage unavailable (private mode); the choice just won't persist
+    }
+  }, []);
+
+  // Fall back to the default device if the remembered one is gone
+  const deviceId = devices.some((device) => device.deviceId === storedDeviceId) ? storedDeviceId : '';
+
+  // Labels stay empty until microphone permission has been granted
+  const options = devices.map((device, i) => ({
+    deviceId: device.deviceId,
+    label: device.label || t('input.device', { number: new Intl.NumberFormat(locale).format(i + 1) }),
+  }));
+
+  return { devices: options, deviceId, setDeviceId, refresh };
+};
+
+export default useAudioDevices;
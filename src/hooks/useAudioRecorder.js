@@ -0,0 +1,729 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import WaveSurfer from 'wavesurfer.js';
+import StreamRecordPlugin from '../utils/StreamRecordPlugin';
+import {
+  EXPORT_FORMATS,
+  audioBufferToWav,
+  decodeAudioBlob,
+  exportRecording,
+} from '../utils/audioExport';
+import { concatBuffers, spliceBuffer } from '../utils/audioEdit';
+import {
+  buildAudioConstraints,
+  createProcessingChain,
+  isProcessingActive,
+} from '../utils/audioProcessing';
+import {
+  AUDIO_SOURCES,
+  createSourceMixer,
+  getDisplayAudio,
+  usesDisplayAudio,
+  usesMic,
+} from '../utils/audioSources';
+import {
+  RECORDER_ERRORS,
+  RecorderError,
+  checkRecordingSupport,
+  toRecorderError,
+} from '../utils/recorderErrors';
+
+export const RECORDER_STATES = {
+  IDLE: 'idle',
+  RECORDING: 'recording',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+  ERROR: 'error', // Recording can't start (permission, device, browser support)
+};
+
+export const SCROLLING_WINDOW = 5; // Seconds shown by the scrolling live waveform
+// The plugin copies the whole window on every frame, so a long history gets expensive
+export const MAX_WAVEFORM_HISTORY = 60;
+
+// Recording onto a finished take instead of starting a new one
+export const SPLICE_TYPES = {
+  APPEND: 'append', // Continue at the end
+  PUNCH: 'punch', // Re-record [start, end]
+};
+
+// Merge the newly recorded audio into the finished take.
+// A punch-in stopped early closes the gap, which `edits` describes as a cut (see remapMarkers).
+const spliceRecording = async (baseBlob, insertBlob, { type, start, end }) => {
+  const [base, insert] = await Promise.all([decodeAudioBlob(baseBlob), decodeAudioBlob(insertBlob)]);
+  const merged = type === SPLICE_TYPES.APPEND
+    ? concatBuffers(base, insert)
+    : spliceBuffer(base, start, end, insert);
+  const insertEnd = start + insert.duration;
+  const edits = type === SPLICE_TYPES.PUNCH && insertEnd < end ? [{ type: 'cut', start: insertEnd, end }] : [];
+  return { blob: audioBufferToWav(merged), duration: merged.duration, edits };
+};
+
+// The plugin's own isActive() is also true once its MediaRecorder is gone, i.e. after every take
+const isTakeRunning = (record) => Boolean(record?.isRecording() || record?.isPaused());
+
+const defaultMimeType = () => {
+  if (typeof MediaRecorder === 'undefined') return undefined;
+  return MediaRecorder.isTypeSupported('audio/webm') ? 'audio/webm' : 'audio/mp4';
+};
+
+// --- Headless recorder: owns WaveSurfer, the record plugin, timing and the blob ---
+const useAudioRecorder = ({
+  maxDuration = null, // Seconds; recording auto-stops when reached
+  minDuration = 0, // Seconds; stop() is ignored before that
+  warningTime = 0, // Seconds before maxDuration from which isNearLimit is set
+  countdown = 0, // Seconds counted down by start() before the mic opens
+  maxSize = null, // Bytes; recording auto-stops once the chunks add up to it
+  scrollingWaveform = false,
+  waveformHistory = SCROLLING_WINDOW, // Seconds kept by the scrolling waveform, up to MAX_WAVEFORM_HISTORY
+  mimeType = null, // Auto-detected when not set
+  waveSurferOptions = {}, // Passed to WaveSurfer.create, later changes applied via setOptions
+  idlePeaks = null, // Placeholder peaks rendered while idle
+  exportFormat = EXPORT_FORMATS.ORIGINAL, // 'original', 'wav' or 'mp3'
+  exportOptions = {}, // { sampleRate, mono, bitRate }
+  timeslice = null, // ms between MediaRecorder chunks delivered to onChunk (1000 when maxSize is set)
+  transformRecording = null, // async (blob, { duration }) => { blob, duration, edits }, runs before the export step
+  deviceId = '', // Audio input to record from, '' for the browser default
+  audioConstraints = {}, // { echoCancellation, noiseSuppression, autoGainControl, channelCount, sampleRate }
+  processing = {}, // { gain, highPass, gate, limiter }, applied live while recording
+  source = AUDIO_SOURCES.MIC, // 'mic', 'system' (tab/screen audio) or 'mixed', read on start()
+  sourceGains = {}, // { mic, system } in dB, applied live while recording
+  onRecordingComplete,
+  onChunk,
+  onStateChange,
+  onError,
+} = {}) => {
+  // --- Refs ---
+  const containerRef = useRef(null);
+  const wavesurferRef = useRef(null);
+  const recordPluginRef = useRef(null);
+  const discardRef = useRef(false); // Set by reset() to drop the in-flight take
+  const exportIdRef = useRef(0); // Invalidates exports that finish after a reset
+  const chainRef = useRef(null); // Processing chain of the live mic, if any
+  const mixerRef = useRef(null); // Mixer of the live sources when system audio is recorded
+  const displayRef = useRef(null); // Shared tab/system audio waiting for the mic to open
+  const spliceRef = useRef(null); // { type, start, end, blob, url, duration } while appending / punching in
+  const sizeRef = useRef(0); // Bytes recorded since start
+  const countdownRef = useRef(null); // { timer, resolve } while counting in
+
+  // --- State ---
+  const [supportError] = useState(checkRecordingSupport);
+  const initialState = supportError ? RECORDER_STATES.ERROR : RECORDER_STATES.IDLE;
+  const [state, setState] = useState(initialState);
+  const [error, setError] = useState(supportError);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [blob, setBlob] = useState(null); // Exported recording, handed to upload/download
+  const [sourceBlob, setSourceBlob] = useState(null); // Raw MediaRecorder output
+  const [url, setUrl] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [splice, setSplice] = useState(null); // { type, start, end } while recording onto the take
+  const [size, setSize] = useState(0);
+  const [countdownValue, setCountdownValue] = useState(null); // Seconds left before recording starts
+
+  // Latest options/callbacks, read from WaveSurfer event handlers
+  const optionsRef = useRef({});
+  useEffect(() => {
+    optionsRef.current = {
+      maxDuration,
+      minDuration,
+      countdown,
+      maxSize,
+      waveSurferOptions,
+      idlePeaks,
+      deviceId,
+      audioConstraints,
+      processing,
+      source,
+      sourceGains,
+      exportFormat,
+      exportOptions,
+      transformRecording,
+      onRecordingComplete,
+      onChunk,
+      onStateChange,
+      onError,
+    };
+  });
+
+  // The size cap is checked per chunk, so it needs chunks while recording
+  const chunkInterval = timeslice || (maxSize ? 1000 : null);
+
+  const waveformWindow = Math.min(Math.max(waveformHistory, 1), MAX_WAVEFORM_HISTORY);
+
+  // A new recorder is created when these change, which discards the current take
+  const setupKey = `${scrollingWaveform}|${waveformWindow}|${mimeType}|${chunkInterval}`;
+  const [prevSetupKey, setPrevSetupKey] = useState(setupKey);
+  if (setupKey !== prevSetupKey) {
+    setPrevSetupKey(setupKey);
+    setState(initialState);
+    setError(supportError);
+    setDuration(0);
+    setCurrentTime(0);
+    setIsPlaying(false);
+    setBlob(null);
+    setSourceBlob(null);
+    setUrl(null);
+    setIsExporting(false);
+    setSplice(null);
+    setSize(0);
+  }
+
+  // The finished take, captured when a splice starts
+  const takeRef = useRef({});
+  useEffect(() => {
+    takeRef.current = { blob: sourceBlob, url, duration };
+  });
+
+  // --- Export step after record-end ---
+  const finalizeRecording = useCallback((recordedBlob, meta) => {
+    const { exportFormat: format, exportOptions: formatOptions } = optionsRef.current;
+    const exportId = ++exportIdRef.current;
+
+    const complete = (outputBlob) => {
+      setBlob(outputBlob);
+      optionsRef.current.onRecordingComplete?.(outputBlob, { ...meta, mimeType: outputBlob.type });
+    };
+
+    if (!format || format === EXPORT_FORMATS.ORIGINAL) {
+      complete(recordedBlob);
+      return;
+    }
+
+    setIsExporting(true);
+    exportRecording(recordedBlob, format, formatOptions)
+      .then((exported) => {
+        if (exportIdRef.current === exportId) complete(exported);
+      })
+      .catch((err) => {
+        if (exportIdRef.current !== exportId) return;
+        // Fall back to the original container rather than losing the take
+        console.error('Export error:', err);
+        optionsRef.current.onError?.(err);
+        complete(recordedBlob);
+      })
+      .finally(() => {
+        if (exportIdRef.current === exportId) setIsExporting(false);
+      });
+  }, []);
+
+  // --- Initialize WaveSurfer ---
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const ws = WaveSurfer.create({
+      ...optionsRef.current.waveSurferOptions,
+      container: containerRef.current,
+    });
+
+    if (optionsRef.current.idlePeaks) {
+      ws.load('', [optionsRef.current.idlePeaks], 1);
+    }
+
+    const handleError = (err) => {
+      console.error('Recording error:', err);
+      setError(err);
+      optionsRef.current.onError?.(err);
+    };
+
+    // Unplugging the mic ends its track: keep what was recorded and report it
+    const onTrackEnded = () => {
+      if (!isTakeRunning(record)) return;
+      handleError(new RecorderError(RECORDER_ERRORS.DEVICE_LOST));
+      record.stopRecording();
+    };
+
+    // Ending the share from the browser's own bar stops the recording, keeping what was recorded
+    const onShareEnded = () => {
+      if (isTakeRunning(record)) record.stopRecording();
+    };
+
+    const getMicStream = async (constraints) => {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: constraints ?? true });
+      stream.getAudioTracks().forEach((track) => track.addEventListener('ended', onTrackEnded));
+
+      const settings = optionsRef.current.processing;
+      if (!isProcessingActive(settings)) return stream;
+      try {
+        chainRef.current = createProcessingChain(stream, settings);
+        return chainRef.current.stream;
+      } catch (err) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw err;
+      }
+    };
+
+    // Shared audio is opened by beginRecording; it goes through the mixer, with the mic or alone
+    const getStream = async (constraints) => {
+      const display = displayRef.current;
+      displayRef.current = null;
+      if (!display) return getMicStream(constraints);
+
+      display.getAudioTracks().forEach((track) => track.addEventListener('ended', onShareEnded));
+      let mic = null;
+      try {
+        const { source: sources, sourceGains: gains } = optionsRef.current;
+        if (usesMic(sources)) mic = await getMicStream(constraints);
+        mixerRef.current = createSourceMixer({ mic, system: display }, gains);
+        return mixerRef.current.stream;
+      } catch (err) {
+        display.getTracks().forEach((track) => track.stop());
+        mic?.getTracks().forEach((track) => track.stop());
+        releaseStream();
+        throw err;
+      }
+    };
+
+    // Stopping the processed or mixed stream doesn't stop the inputs behind it
+    const releaseStream = () => {
+      mixerRef.current?.close();
+      mixerRef.current = null;
+      chainRef.current?.close();
+      chainRef.current = null;
+    };
+
+    const record = ws.registerPlugin(StreamRecordPlugin.create({
+      getStream,
+      releaseStream,
+      scrollingWaveform,
+      scrollingWaveformWindow: waveformWindow,
+      mimeType: mimeType || defaultMimeType(),
+      renderRecordedAudio: false, // We load the blob ourselves on record-end
+      mediaRecorderTimeslice: chunkInterval || undefined,
+    }));
+
+    // --- Event Listeners ---
+
+    // Single source of truth for the elapsed time
+    record.on('record-progress', (time) => {
+      const secs = time / 1000;
+      const current = spliceRef.current;
+      // While splicing, the clock shows the position in the take
+      setDuration(current ? current.start + secs : secs);
+
+      // A punch-in fills exactly the selected range; appending counts towards the limit
+      const limit = current?.type === SPLICE_TYPES.PUNCH
+        ? current.end - current.start
+        : optionsRef.current.maxDuration && optionsRef.current.maxDuration - (current?.start ?? 0);
+      if (limit && secs >= limit) {
+        record.stopRecording();
+      }
+    });
+
+    record.on('record-data-available', (chunk) => {
+      if (chunk.size === 0 || discardRef.current) return;
+      sizeRef.current += chunk.size;
+      setSize(sizeRef.current);
+
+      // Drafts hold new takes only; a splice is merged in memory
+      if (!spliceRef.current) {
+        optionsRef.current.onChunk?.(chunk, { duration: record.getDuration() / 1000 });
+      }
+
+      const { maxSize: sizeLimit } = optionsRef.current;
+      if (sizeLimit && sizeRef.current >= sizeLimit && isTakeRunning(record)) {
+        record.stopRecording();
+      }
+    });
+
+    record.on('record-end', (recordedBlob) => {
+      if (discardRef.current) {
+        discardRef.current = false;
+        return;
+      }
+
+      const meta = { duration: record.getDuration() / 1000 };
+      const show = (takeBlob, takeMeta) => {
+        const recordedUrl = URL.createObjectURL(takeBlob);
+        setSourceBlob(takeBlob);
+        setUrl(recordedUrl);
+        setDuration(takeMeta.duration);
+        ws.load(recordedUrl);
+        finalizeRecording(takeBlob, takeMeta);
+      };
+
+      setState(RECORDER_STATES.FINISHED);
+      const current = spliceRef.current;
+      spliceRef.current = null;
+      setSplice(null);
+      const transform = current
+        ? (insertBlob) => spliceRecording(current.blob, insertBlob, current)
+        : optionsRef.current.transformRecording;
+      if (!transform) {
+        show(recordedBlob, meta);
+        return;
+      }
+
+      // Shown as exporting until the transformed take is ready
+      const transformId = exportIdRef.current;
+      setIsExporting(true);
+      Promise.resolve(transform(recordedBlob, meta))
+        .then((result) => {
+          if (exportIdRef.current !== transformId) return;
+          setIsExporting(false);
+          // Edits to the take's timeline (e.g. cut silence) come along for markers and transcripts
+          show(result.blob, { duration: result.duration ?? meta.duration, edits: result.edits ?? [] });
+        })
+        .catch((err) => {
+          if (exportIdRef.current !== transformId) return;
+          // Keep the untransformed take (or the take before the splice) rather than losing it
+          console.error('Transform error:', err);
+          optionsRef.current.onError?.(err);
+          setIsExporting(false);
+          if (current) {
+            show(current.blob, { duration: current.duration });
+          } else {
+            show(recordedBlob, meta);
+          }
+        });
+    });
+
+    // Playback events
+    ws.on('timeupdate', (time) => setCurrentTime(time));
+    ws.on('play', () => setIsPlaying(true));
+    ws.on('pause', () => setIsPlaying(false));
+    ws.on('finish', () => setIsPlaying(false));
+
+    wavesurferRef.current = ws;
+    recordPluginRef.current = record;
+
+    return () => {
+      ws.destroy();
+      wavesurferRef.current = null;
+      recordPluginRef.current = null;
+    };
+  }, [scrollingWaveform, waveformWindow, mimeType, chunkInterval, finalizeRecording]);
+
+  // --- Apply option changes to the live instance ---
+  const waveSurferOptionsKey = JSON.stringify(waveSurferOptions);
+  useEffect(() => {
+    wavesurferRef.current?.setOptions(optionsRef.current.waveSurferOptions);
+  }, [waveSurferOptionsKey, state]);
+
+  const processingKey = JSON.stringify(processing);
+  useEffect(() => {
+    chainRef.current?.update(optionsRef.current.processing);
+  }, [processingKey]);
+
+  const sourceGainsKey = JSON.stringify(sourceGains);
+  useEffect(() => {
+    mixerRef.current?.update(optionsRef.current.sourceGains);
+  }, [sourceGainsKey]);
+
+  // --- Notify state changes ---
+  const prevStateRef = useRef(state);
+  useEffect(() => {
+    if (prevStateRef.current === state) return;
+    prevStateRef.current = state;
+    optionsRef.current.onStateChange?.(state);
+  }, [state]);
+
+  // Revoke object URLs we no longer hand out
+  useEffect(() => () => {
+    if (url) URL.revokeObjectURL(url);
+  }, [url]);
+
+  useEffect(() => () => {
+    clearInterval(countdownRef.current?.timer);
+    displayRef.current?.getTracks().forEach((track) => track.stop());
+  }, []);
+
+  // --- Hidden page ---
+  // A hidden tab can be frozen or discarded without notice: hand the pending audio to onChunk
+  // right away, and stop drawing a waveform nobody sees until the tab is back.
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      const record = recordPluginRef.current;
+      if (!isTakeRunning(record)) return;
+      if (document.visibilityState === 'hidden') {
+        record.flush();
+        record.setWaveformPaused(true);
+      } else {
+        record.setWaveformPaused(!record.isRecording());
+      }
+    };
+    const handlePageHide = () => recordPluginRef.current?.flush();
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+    };
+  }, []);
+
+  // --- Countdown ---
+
+  // Resolves to true when it runs out, false when cancelled
+  const runCountdown = useCallback((seconds) => new Promise((resolve) => {
+    let remaining = seconds;
+    setCountdownValue(remaining);
+    const timer = setInterval(() => {
+      remaining -= 1;
+      if (remaining > 0) {
+        setCountdownValue(remaining);
+        return;
+      }
+      clearInterval(timer);
+      countdownRef.current = null;
+      setCountdownValue(null);
+      resolve(true);
+    }, 1000);
+    countdownRef.current = { timer, resolve };
+  }), []);
+
+  const cancelCountdown = useCallback(() => {
+    const current = countdownRef.current;
+    if (!current) return;
+    clearInterval(current.timer);
+    countdownRef.current = null;
+    setCountdownValue(null);
+    current.resolve(false);
+  }, []);
+
+  // --- Actions ---
+
+  // Resolves to true once the input is live and recording.
+  // With `nextSplice` the new audio is merged into the finished take on record-end.
+  const beginRecording = useCallback(async (nextSplice = null) => {
+    if (!recordPluginRef.current || countdownRef.current) return false;
+
+    const fail = (err) => {
+      console.error('Recording error:', err);
+      setError(err);
+      optionsRef.current.onError?.(err);
+      // A failed splice leaves the finished take as it was
+      if (!nextSplice) setState(RECORDER_STATES.ERROR);
+      return false;
+    };
+
+    // Unsupported browser / insecure context never reach getUserMedia
+    const unsupported = checkRecordingSupport();
+    if (unsupported) return fail(unsupported);
+
+    // Browsers only open the share dialog in response to a click, so it comes before the countdown
+    const releaseDisplay = () => {
+      displayRef.current?.getTracks().forEach((track) => track.stop());
+      displayRef.current = null;
+    };
+    if (usesDisplayAudio(optionsRef.current.source)) {
+      try {
+        displayRef.current = await getDisplayAudio();
+      } catch (err) {
+        return fail(toRecorderError(err));
+      }
+    }
+
+    const { countdown: countdownSeconds } = optionsRef.current;
+    if ((countdownSeconds > 0 && !(await runCountdown(countdownSeconds))) || !recordPluginRef.current) {
+      releaseDisplay();
+      return false;
+    }
+
+    const { deviceId: inputId, audioConstraints: requested } = optionsRef.current;
+    const constraints = buildAudioConstraints(inputId, requested);
+
+    // Request permissions and start
+    try {
+      wavesurferRef.current?.pause();
+      spliceRef.current = nextSplice && { ...nextSplice, ...takeRef.current };
+      discardRef.current = false;
+      sizeRef.current = 0;
+      await recordPluginRef.current.startRecording(constraints);
+      exportIdRef.current++;
+      setError(null);
+      setState(RECORDER_STATES.RECORDING);
+      setIsExporting(false);
+      setCurrentTime(0);
+      setSize(0);
+      if (nextSplice) {
+        setSplice(nextSplice);
+        setDuration(nextSplice.start);
+      } else {
+        setBlob(null);
+        setSourceBlob(null);
+        setUrl(null);
+        setDuration(0);
+      }
+      return true;
+    } catch (err) {
+      spliceRef.current = null;
+      releaseDisplay();
+      recordPluginRef.current?.stopMic();
+      return fail(toRecorderError(err));
+    }
+  }, [runCountdown]);
+
+  const start = useCallback(() => beginRecording(), [beginRecording]);
+
+  // Continue recording at the end of the finished take
+  const append = useCallback(() => {
+    const { blob: takeBlob, duration: takeDuration } = takeRef.current;
+    if (!takeBlob || spliceRef.current) return Promise.resolve(false);
+    return beginRecording({ type: SPLICE_TYPES.APPEND, start: takeDuration, end: takeDuration });
+  }, [beginRecording]);
+
+  // Re-record [from, to] of the finished take; stops by itself once the range is filled
+  const punchIn = useCallback((from, to) => {
+    const { blob: takeBlob, duration: takeDuration } = takeRef.current;
+    if (!takeBlob || spliceRef.current || !(to > from)) return Promise.resolve(false);
+    return beginRecording({
+      type: SPLICE_TYPES.PUNCH,
+      start: Math.max(0, from),
+      end: Math.min(takeDuration, to),
+    });
+  }, [beginRecording]);
+
+  // Drop the audio recorded since append()/punchIn() and go back to the finished take
+  const cancelSplice = useCallback(() => {
+    const current = spliceRef.current;
+    const record = recordPluginRef.current;
+    if (!current) return;
+
+    spliceRef.current = null;
+    if (isTakeRunning(record)) {
+      discardRef.current = true;
+      record.stopRecording();
+    }
+    record?.stopMic();
+    wavesurferRef.current?.load(current.url);
+
+    setSplice(null);
+    setState(RECORDER_STATES.FINISHED);
+    setDuration(current.duration);
+    setCurrentTime(0);
+  }, []);
+
+  const pause = useCallback(() => {
+    if (!recordPluginRef.current?.isRecording()) return;
+    recordPluginRef.current.pauseRecording();
+    setState(RECORDER_STATES.PAUSED);
+  }, []);
+
+  const resume = useCallback(() => {
+    if (!recordPluginRef.current?.isPaused()) return;
+    recordPluginRef.current.resumeRecording();
+    setState(RECORDER_STATES.RECORDING);
+  }, []);
+
+  // The state moves to 'finished' once record-end delivers the blob.
+  // Ignored below minDuration (a splice already has the take's length behind it).
+  const stop = useCallback(() => {
+    const record = recordPluginRef.current;
+    if (!isTakeRunning(record)) return;
+    const { minDuration: minimum } = optionsRef.current;
+    if (minimum && !spliceRef.current && record.getDuration() / 1000 < minimum) return;
+    record.stopRecording();
+  }, []);
+
+  const reset = useCallback(() => {
+    const record = recordPluginRef.current;
+    const ws = wavesurferRef.current;
+
+    // Drop the current take without emitting it as a finished recording
+    cancelCountdown();
+    spliceRef.current = null;
+    if (isTakeRunning(record)) {
+      discardRef.current = true;
+      record.stopRecording();
+    }
+    record?.stopMic();
+
+    if (ws) {
+      ws.stop();
+      const peaks = optionsRef.current.idlePeaks;
+      if (peaks) {
+        ws.load('', [peaks], 1);
+      } else {
+        ws.empty();
+      }
+    }
+
+    exportIdRef.current++;
+    setState(supportError ? RECORDER_STATES.ERROR : RECORDER_STATES.IDLE);
+    setError(supportError);
+    setDuration(0);
+    setCurrentTime(0);
+    setIsPlaying(false);
+    setBlob(null);
+    setSourceBlob(null);
+    setUrl(null);
+    setIsExporting(false);
+    setSplice(null);
+    setSize(0);
+  }, [supportError, cancelCountdown]);
+
+  // Dismiss the current error; unsupported environments stay in the error state
+  const clearError = useCallback(() => {
+    if (supportError) return;
+    setError(null);
+    setState((current) => (current === RECORDER_STATES.ERROR ? RECORDER_STATES.IDLE : current));
+  }, [supportError]);
+
+  // Swap in an edited take (trim, cut, ...) and run it through the export step again;
+  // the rest of meta is handed on to onRecordingComplete
+  const replaceRecording = useCallback((editedBlob, { duration: editedDuration, ...meta } = {}) => {
+    const editedUrl = URL.createObjectURL(editedBlob);
+    setSourceBlob(editedBlob);
+    setUrl(editedUrl);
+    setCurrentTime(0);
+    if (editedDuration !== undefined) setDuration(editedDuration);
+    wavesurferRef.current?.load(editedUrl);
+    finalizeRecording(editedBlob, { ...meta, duration: editedDuration });
+  }, [finalizeRecording]);
+
+  // Pushes the audio recorded since the last chunk to onChunk
+  const flush = useCallback(() => recordPluginRef.current?.flush(), []);
+
+  const play = useCallback(() => wavesurferRef.current?.play(), []);
+  const pausePlayback = useCallback(() => wavesurferRef.current?.pause(), []);
+  const togglePlayback = useCallback(() => wavesurferRef.current?.playPause(), []);
+  const seekTo = useCallback((seconds) => wavesurferRef.current?.setTime(seconds), []);
+
+  // --- Limits ---
+  const isCapturing = state === RECORDER_STATES.RECORDING || state === RECORDER_STATES.PAUSED;
+  // A punch-in ends with its range, anything else at maxDuration
+  const limitAt = splice?.type === SPLICE_TYPES.PUNCH ? splice.end : maxDuration;
+  const remaining = isCapturing && limitAt ? Math.max(0, limitAt - duration) : null;
+  const isNearLimit = warningTime > 0 && remaining !== null && remaining <= warningTime;
+  const meetsMinDuration = !minDuration || duration >= minDuration;
+
+  return {
+    containerRef,
+    wavesurferRef,
+    recordPluginRef,
+    state,
+    duration,
+    currentTime,
+    isPlaying,
+    blob,
+    sourceBlob,
+    url,
+    isExporting,
+    splice,
+    size,
+    waveformWindow,
+    countdown: countdownValue,
+    remaining,
+    isNearLimit,
+    meetsMinDuration,
+    error,
+    start,
+    cancelCountdown,
+    append,
+    punchIn,
+    cancelSplice,
+    pause,
+    resume,
+    stop,
+    reset,
+    clearError,
+    replaceRecording,
+    flush,
+    play,
+    pausePlayback,
+    togglePlayback,
+    seekTo,
+  };
+};
+
+export default useAudioRecorder;
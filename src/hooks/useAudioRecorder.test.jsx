@@ -0,0 +1,310 @@
+import React, { useEffect } from 'react';
+import { act, render, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import useAudioRecorder, { RECORDER_STATES } from './useAudioRecorder';
+import { FakeWaveSurfer, setVisibility } from '../test/fakes';
+
+// Renders the hook with a real container so WaveSurfer gets created; every commit is reported
+const Harness = ({ onRender, ...options }) => {
+  const recorder = useAudioRecorder(options);
+  const { containerRef } = recorder;
+  useEffect(() => {
+    onRender(recorder);
+  });
+  return <div ref={containerRef} />;
+};
+
+const renderRecorder = (options = {}) => {
+  const result = { current: null };
+  render(<Harness {...options} onRender={(recorder) => { result.current = recorder; }} />);
+  return { result };
+};
+
+const plugin = () => FakeWaveSurfer.latest().plugins[0];
+
+// act() for a synchronous step; a returned promise (e.g. from play()) would make it async
+const step = (callback) => act(() => {
+  callback();
+});
+
+const startRecording = async (result) => {
+  await act(() => result.current.start());
+  expect(result.current.state).toBe(RECORDER_STATES.RECORDING);
+};
+
+const recordTake = async (result, ms) => {
+  await startRecording(result);
+  step(() => plugin().tick(ms));
+  step(() => result.current.stop());
+  await waitFor(() => expect(result.current.blob).toBeInstanceOf(Blob));
+};
+
+describe('useAudioRecorder', () => {
+  it('starts idle with a WaveSurfer instance and the record plugin', () => {
+    const { result } = renderRecorder();
+    expect(result.current.state).toBe(RECORDER_STATES.IDLE);
+    expect(FakeWaveSurfer.instances).toHaveLength(1);
+    expect(result.current.recordPluginRef.current).toBe(plugin());
+  });
+
+  it('goes through recording, paused, recording and finished', async () => {
+    const onStateChange = vi.fn();
+    const onRecordingComplete = vi.fn();
+    const { result } = renderRecorder({ onStateChange, onRecordingComplete });
+
+    await startRecording(result);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+
+    step(() => plugin().tick(1500));
+    expect(result.current.duration).toBe(1.5);
+
+    step(() => result.current.pause());
+    expect(result.current.state).toBe(RECORDER_STATES.PAUSED);
+
+    // The clock doesn't move while paused
+    step(() => plugin().tick(1000));
+    expect(result.current.duration).toBe(1.5);
+
+    step(() => result.current.resume());
+    expect(result.current.state).toBe(RECORDER_STATES.RECORDING);
+    step(() => plugin().tick(500));
+
+    step(() => result.current.stop());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    await waitFor(() => expect(result.current.blob).toBeInstanceOf(Blob));
+
+    expect(result.current.duration).toBe(2);
+    expect(result.current.url).toMatch(/^blob:/);
+    expect(FakeWaveSurfer.latest().url).toBe(result.current.url);
+    expect(onRecordingComplete).toHaveBeenCalledWith(result.current.blob, expect.objectContaining({ duration: 2 }));
+    expect(onStateChange.mock.calls.map(([state]) => state)).toEqual([
+      RECORDER_STATES.RECORDING,
+      RECORDER_STATES.PAUSED,
+      RECORDER_STATES.RECORDING,
+      RECORDER_STATES.FINISHED,
+    ]);
+  });
+
+  it('releases the microphone when recording stops', async () => {
+    const { result } = renderRecorder();
+    await startRecording(result);
+    const [track] = plugin().stream.getTracks();
+
+    step(() => result.current.stop());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    expect(track.readyState).toBe('ended');
+  });
+
+  it('stops by itself at maxDuration', async () => {
+    const { result } = renderRecorder({ maxDuration: 3 });
+    await startRecording(result);
+
+    step(() => plugin().tick(2000));
+    expect(result.current.state).toBe(RECORDER_STATES.RECORDING);
+    expect(result.current.remaining).toBe(1);
+
+    step(() => plugin().tick(1000));
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    expect(result.current.duration).toBe(3);
+  });
+
+  it('warns near the limit', async () => {
+    const { result } = renderRecorder({ maxDuration: 10, warningTime: 3 });
+    await startRecording(result);
+
+    step(() => plugin().tick(6000));
+    expect(result.current.isNearLimit).toBe(false);
+    step(() => plugin().tick(1500));
+    expect(result.current.isNearLimit).toBe(true);
+  });
+
+  it('ignores stop below minDuration', async () => {
+    const { result } = renderRecorder({ minDuration: 2 });
+    await startRecording(result);
+
+    step(() => plugin().tick(1000));
+    expect(result.current.meetsMinDuration).toBe(false);
+    step(() => result.current.stop());
+    expect(result.current.state).toBe(RECORDER_STATES.RECORDING);
+
+    step(() => plugin().tick(1000));
+    step(() => result.current.stop());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+  });
+
+  it('discards the take on reset without reporting it', async () => {
+    const onRecordingComplete = vi.fn();
+    const { result } = renderRecorder({ onRecordingComplete });
+    await startRecording(result);
+    step(() => plugin().tick(1000));
+
+    step(() => result.current.reset());
+    expect(result.current.state).toBe(RECORDER_STATES.IDLE);
+    expect(result.current.duration).toBe(0);
+
+    // record-end still fires for the stopped MediaRecorder; it must be swallowed
+    await act(async () => {});
+    expect(onRecordingComplete).not.toHaveBeenCalled();
+    expect(result.current.blob).toBeNull();
+  });
+
+  it('records the next take after a finished one is reset', async () => {
+    const onRecordingComplete = vi.fn();
+    const { result } = renderRecorder({ onRecordingComplete });
+    await recordTake(result, 1000);
+
+    // The plugin has let go of its MediaRecorder by now, which its isActive() counts as active
+    step(() => result.current.reset());
+    await recordTake(result, 2000);
+    expect(result.current.state).toBe(RECORDER_STATES.FINISHED);
+    expect(result.current.duration).toBe(2);
+    expect(onRecordingComplete).toHaveBeenCalledTimes(2);
+    expect(onRecordingComplete).toHaveBeenLastCalledWith(result.current.blob, expect.objectContaining({ duration: 2 }));
+  });
+
+  it('records the next take after an append is cancelled', async () => {
+    const { result } = renderRecorder();
+    await recordTake(result, 1000);
+
+    await act(() => result.current.append());
+    expect(result.current.splice).toMatchObject({ type: 'append' });
+    step(() => plugin().tick(500));
+    step(() => result.current.cancelSplice());
+    await act(async () => {});
+    expect(result.current.state).toBe(RECORDER_STATES.FINISHED);
+    expect(result.current.duration).toBe(1);
+
+    step(() => result.current.reset());
+    await recordTake(result, 2000);
+    expect(result.current.duration).toBe(2);
+  });
+
+  it('tracks playback of the finished take', async () => {
+    const { result } = renderRecorder();
+    await startRecording(result);
+    step(() => result.current.stop());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+
+    const ws = FakeWaveSurfer.latest();
+    step(() => result.current.togglePlayback());
+    expect(result.current.isPlaying).toBe(true);
+
+    step(() => ws.setTime(1.25));
+    expect(result.current.currentTime).toBe(1.25);
+
+    step(() => result.current.seekTo(3));
+    expect(result.current.currentTime).toBe(3);
+
+    step(() => ws.finish());
+    expect(result.current.isPlaying).toBe(false);
+  });
+
+  it('hands the pending audio to onChunk when the tab is hidden', async () => {
+    const onChunk = vi.fn();
+    const { result } = renderRecorder({ onChunk, timeslice: 1000 });
+    await startRecording(result);
+    step(() => plugin().tick(400));
+
+    step(() => setVisibility('hidden'));
+    await waitFor(() => expect(onChunk).toHaveBeenCalledTimes(1));
+    expect(plugin().isWaveformPaused).toBe(true);
+    expect(result.current.state).toBe(RECORDER_STATES.RECORDING);
+
+    step(() => setVisibility('visible'));
+    expect(plugin().isWaveformPaused).toBe(false);
+  });
+
+  it('records shared tab audio mixed with the mic', async () => {
+    const { result } = renderRecorder({ source: 'mixed', sourceGains: { system: -6 } });
+    await startRecording(result);
+
+    expect(navigator.mediaDevices.getDisplayMedia).toHaveBeenCalledTimes(1);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+    const display = await navigator.mediaDevices.getDisplayMedia.mock.results[0].value;
+    const [video] = display.getVideoTracks();
+    const [tabAudio] = display.getAudioTracks();
+    expect(video.readyState).toBe('ended');
+
+    // Stopping the share from the browser's bar ends the take like the stop button
+    step(() => plugin().tick(1000));
+    step(() => tabAudio.end());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    expect(result.current.error).toBeNull();
+    expect(result.current.duration).toBe(1);
+  });
+
+  it('records tab audio alone without opening the mic', async () => {
+    const { result } = renderRecorder({ source: 'system' });
+    await startRecording(result);
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+
+    const display = await navigator.mediaDevices.getDisplayMedia.mock.results[0].value;
+    step(() => result.current.stop());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    expect(display.getAudioTracks()[0].readyState).toBe('ended');
+  });
+
+  it('reports a share without audio', async () => {
+    navigator.mediaDevices.getDisplayMedia.mockRejectedValueOnce(
+      Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' }),
+    );
+    const { result } = renderRecorder({ source: 'mixed' });
+
+    await act(() => result.current.start());
+    expect(result.current.state).toBe(RECORDER_STATES.ERROR);
+    expect(result.current.error.code).toBe('no-system-audio');
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('reports a denied microphone as a typed error', async () => {
+    const onError = vi.fn();
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+      Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' }),
+    );
+    const { result } = renderRecorder({ onError });
+
+    await act(() => result.current.start());
+    expect(result.current.state).toBe(RECORDER_STATES.ERROR);
+    expect(result.current.error.code).toBe('permission-denied');
+    expect(onError).toHaveBeenCalledWith(result.current.error);
+
+    step(() => result.current.clearError());
+    expect(result.current.state).toBe(RECORDER_STATES.IDLE);
+  });
+
+  it('keeps the audio and reports it when the microphone is unplugged', async () => {
+    const { result } = renderRecorder();
+    await startRecording(result);
+    step(() => plugin().tick(1000));
+
+    step(() => plugin().stream.getAudioTracks()[0].end());
+    await waitFor(() => expect(result.current.state).toBe(RECORDER_STATES.FINISHED));
+    expect(result.current.error.code).toBe('device-lost');
+  });
+
+  it('is in the error state where recording is unsupported', () => {
+    delete globalThis.MediaRecorder;
+    const { result } = renderRecorder();
+    expect(result.current.state).toBe(RECORDER_STATES.ERROR);
+    expect(result.current.error.code).toBe('unsupported');
+  });
+
+  it('counts down before recording and can be cancelled', async () => {
+    vi.useFakeTimers();
+    const { result } = renderRecorder({ countdown: 3 });
+
+    let started;
+    step(() => started = result.current.start());
+    expect(result.current.countdown).toBe(3);
+    step(() => vi.advanceTimersByTime(1000));
+    expect(result.current.countdown).toBe(2);
+
+    step(() => result.current.cancelCountdown());
+    await act(async () => {
+      await expect(started).resolves.toBe(false);
+    });
+    expect(result.current.countdown).toBeNull();
+    expect(result.current.state).toBe(RECORDER_STATES.IDLE);
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { buildAudioConstraints, createProcessingChain } from '../utils/audioProcessing';
+import { toRecorderError } from '../utils/recorderErrors';
+
+// --- Live input level for a mic test before recording ---
+// Opens its own stream on the chosen device and reports peak level (0..1) every frame,
+// measured after the processing chain so gain/gate changes show up live
+const useInputLevel = ({ deviceId = '', audioConstraints = {}, processing = {} } = {}) => {
+  const [isActive, setIsActive] = useState(false);
+  const [level, setLevel] = useState(0);
+  const [error, setError] = useState(null);
+
+  const cleanupRef = useRef(null);
+  const chainRef = useRef(null);
+
+  const settingsRef = useRef({});
+  useEffect(() => {
+    settingsRef.current = { audioConstraints, processing };
+  });
+
+  const stop = useCallback(() => {
+    cleanupRef.current?.();
+    cleanupRef.current = null;
+    setIsActive(false);
+    setLevel(0);
+  }, []);
+
+  // Overrides let a running test follow a new device or constraints right away
+  const start = useCallback(async (overrides = {}) => {
+    cleanupRef.current?.();
+    const {
+      deviceId: id = deviceId,
+      audioConstraints: constraints = settingsRef.current.audioConstraints,
+    } = overrides;
+
+    // Kept out here so a failure after the mic opened can close it again
+    let stream = null;
+    let chain = null;
+    let ctx = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: buildAudioConstraints(id, constraints),
+      });
+      chain = createProcessingChain(stream, settingsRef.current.processing);
+      ctx = new AudioContext();
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      ctx.createMediaStreamSource(chain.stream).connect(analyser);
+
+      const samples = new Float32Array(analyser.fftSize);
+      let frame = null;
+      const tick = () => {
+        analyser.getFloatTimeDomainData(samples);
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+          peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        setLevel(peak);
+        frame = requestAnimationFrame(tick);
+      };
+      tick();
+
+      chainRef.current = chain;
+      cleanupRef.current = () => {
+        cancelAnimationFrame(frame);
+        chain.close();
+        ctx.close();
+        chainRef.current = null;
+      };
+      setError(null);
+      setIsActive(true);
+    } catch (err) {
+      stream?.getTracks().forEach((track) => track.stop());
+      chain?.close();
+      ctx?.close();
+      console.error('Mic test error:', err);
+      setError(toRecorderError(err));
+      setIsActive(false);
+    }
+  }, [deviceId]);
+
+  const toggle = useCallback(() => (isActive ? stop() : start()), [isActive, start, stop]);
+
+  const processingKey = JSON.stringify(processing);
+  useEffect(() => {
+    chainRef.current?.update(settingsRef.current.processing);
+  }, [processingKey]);
+
+  useEffect(() => () => cleanupRef.current?.(), []);
+
+  return { isActive, level, error, start, stop, toggle };
+};
+
+export default useInputLevel;
@@ -0,0 +1,108 @@
+import { useEffect, useRef } from 'react';
+import { RECORDER_STATES } from './useAudioRecorder';
+import { hasModifier, isActivatable, isTyping } from '../utils/keyboard';
+
+export const SEEK_STEP = 5; // Seconds per arrow key, 1 with Shift
+
+// --- Keyboard control of a recorder, scoped to the element behind targetRef ---
+// Space records / stops (plays / pauses once finished), P pauses / resumes,
+// arrows and Home / End seek the finished take, Escape cancels the countdown.
+const useKeyboardControls = ({
+  enabled = true,
+  targetRef, // Keys are only handled while focus is inside this element
+  focusRef = null, // Control focused after a state change, e.g. the main button
+  state, // Recorder state from useAudioRecorder
+  isCountingDown = false,
+  currentTime = 0,
+  duration = 0,
+  start,
+  stop,
+  pause,
+  resume,
+  togglePlayback,
+  seekTo,
+  cancelCountdown,
+} = {}) => {
+  // Latest values, read from the keydown handler
+  const latestRef = useRef({});
+  useEffect(() => {
+    latestRef.current = {
+      state,
+      isCountingDown,
+      currentTime,
+      duration,
+      start,
+      stop,
+      pause,
+      resume,
+      togglePlayback,
+      seekTo,
+      cancelCountdown,
+    };
+  });
+
+  useEffect(() => {
+    const target = targetRef?.current;
+    if (!enabled || !target) return;
+
+    const onKeyDown = (e) => {
+      if (isTyping(e.target) || hasModifier(e)) return;
+      const current = latestRef.current;
+      const isFinished = current.state === RECORDER_STATES.FINISHED;
+      const seek = (time) => current.seekTo?.(Math.min(current.duration, Math.max(0, time)));
+
+      const actions = {
+        ' ': () => {
+          if (current.isCountingDown) return current.cancelCountdown?.();
+          switch (current.state) {
+            case RECORDER_STATES.IDLE:
+            case RECORDER_STATES.ERROR:
+              return current.start?.();
+            case RECORDER_STATES.RECORDING:
+              return current.stop?.();
+            case RECORDER_STATES.PAUSED:
+              return current.resume?.();
+            default:
+              return current.togglePlayback?.();
+          }
+        },
+        p: () => {
+          if (current.state === RECORDER_STATES.RECORDING) return current.pause?.();
+          if (current.state === RECORDER_STATES.PAUSED) return current.resume?.();
+          if (isFinished) return current.togglePlayback?.();
+          return false;
+        },
+        ArrowLeft: () => isFinished && seek(current.currentTime - (e.shiftKey ? 1 : SEEK_STEP)),
+        ArrowRight: () => isFinished && seek(current.currentTime + (e.shiftKey ? 1 : SEEK_STEP)),
+        Home: () => isFinished && seek(0),
+        End: () => isFinished && seek(current.duration),
+        Escape: () => current.isCountingDown && current.cancelCountdown?.(),
+      };
+
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      // A focused button already handles Space itself
+      if (!actions[key] || e.repeat || (key === ' ' && isActivatable(e.target))) return;
+      if (actions[key]() === false) return;
+      e.preventDefault();
+    };
+
+    target.addEventListener('keydown', onKeyDown);
+    return () => target.removeEventListener('keydown', onKeyDown);
+  }, [enabled, targetRef]);
+
+  // --- Focus follows the state ---
+  // The control that had focus is often unmounted by the transition (record → stop),
+  // so focus moves to the new main control unless the user had moved it elsewhere.
+  const prevStateRef = useRef(state);
+  useEffect(() => {
+    if (prevStateRef.current === state) return;
+    prevStateRef.current = state;
+    const container = targetRef?.current;
+    const active = document.activeElement;
+    if (!enabled || !container || !focusRef?.current) return;
+    if (active && active !== document.body && !container.contains(active)) return;
+    focusRef.current.focus();
+  });
+};
+
+export default useKeyboardControls;
@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+
+// --- Asks for confirmation before the page is closed or reloaded while `enabled` ---
+// Browsers show their own wording; the text can't be set.
+const useLeaveWarning = (enabled = false) => {
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = ''; // Still needed by older Chrome and Safari
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [enabled]);
+};
+
+export default useLeaveWarning;
@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { RECORDER_STATES } from './useAudioRecorder';
+import { SILENCE_FLOOR, measureLevels } from '../utils/loudness';
+
+const CLIP_HOLD = 1500; // ms the clip light stays on after the last clipped sample
+const PEAK_FALL = 20; // dB per second the peak hold falls back
+
+const SILENT = { peak: SILENCE_FLOOR, rms: SILENCE_FLOOR, peakHold: SILENCE_FLOOR };
+
+// --- Live peak / RMS meter and clip light on the recording stream ---
+// Levels in dBFS, clamped to SILENCE_FLOOR. `hasClipped` stays set until the next take.
+const useLevelMeter = ({
+  enabled = false,
+  state, // Recorder state from useAudioRecorder
+  recordPluginRef,
+} = {}) => {
+  const [levels, setLevels] = useState(SILENT);
+  const [isClipping, setIsClipping] = useState(false);
+  const [hasClipped, setHasClipped] = useState(false);
+
+  // A new take starts with a clean clip light
+  const [prevState, setPrevState] = useState(state);
+  if (state !== prevState) {
+    setPrevState(state);
+    if (state === RECORDER_STATES.IDLE) setHasClipped(false);
+    if (state !== RECORDER_STATES.RECORDING) {
+      setLevels(SILENT);
+      setIsClipping(false);
+    }
+  }
+
+  const isMetering = enabled && state === RECORDER_STATES.RECORDING;
+  useEffect(() => {
+    const stream = recordPluginRef?.current?.stream;
+    if (!isMetering || !stream) return;
+
+    const ctx = new AudioContext();
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 2048;
+    ctx.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    let frame = null;
+    let lastClip = -Infinity;
+    let peakHold = SILENCE_FLOOR;
+    let lastTime = performance.now();
+    const tick = (now = performance.now()) => {
+      analyser.getFloatTimeDomainData(samples);
+      const { peak, rms, clipped } = measureLevels(samples);
+      const clampedPeak = Math.max(SILENCE_FLOOR, peak);
+      peakHold = Math.max(clampedPeak, peakHold - (PEAK_FALL * (now - lastTime)) / 1000);
+      lastTime = now;
+      if (clipped > 0) {
+        lastClip = now;
+        setHasClipped(true);
+      }
+      setLevels({ peak: clampedPeak, rms: Math.max(SILENCE_FLOOR, rms), peakHold });
+      setIsClipping(now - lastClip < CLIP_HOLD);
+      frame = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      ctx.close();
+    };
+  }, [isMetering, recordPluginRef]);
+
+  return { ...levels, isClipping, hasClipped };
+};
+
+export default useLevelMeter;
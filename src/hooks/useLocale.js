@@ -0,0 +1,19 @@
+import { useMemo } from 'react';
+import formatTime, { formatSpokenTime } from '../utils/formatTime';
+import { createTranslator, isRtlLocale } from '../utils/i18n';
+
+// --- Translator and formatters for a component root ---
+// Pass `dir` to the root so the stylesheet mirrors the layout for right-to-left languages.
+const useLocale = (locale = 'en', messages = null) => {
+  const messagesKey = JSON.stringify(messages);
+  return useMemo(() => ({
+    locale,
+    dir: isRtlLocale(locale) ? 'rtl' : 'ltr',
+    t: createTranslator(locale, JSON.parse(messagesKey)),
+    formatTime: (seconds) => formatTime(seconds, locale),
+    formatSpokenTime: (seconds) => formatSpokenTime(seconds, locale),
+    formatNumber: (value, options) => new Intl.NumberFormat(locale, options).format(value),
+  }), [locale, messagesKey]);
+};
+
+export default useLocale;
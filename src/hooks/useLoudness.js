@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from 'react';
+import { decodeAudioBlob } from '../utils/audioExport';
+import { measureLoudness } from '../utils/loudness';
+
+// --- Integrated loudness and peak of a finished take, measured whenever the blob changes ---
+// `loudness` is measureLoudness()'s result for the current blob, null until it's ready.
+const useLoudness = ({ enabled = false, blob = null, onError } = {}) => {
+  const [result, setResult] = useState(null); // { blob, loudness }, loudness null when decoding failed
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  useEffect(() => {
+    if (!enabled || !blob) return;
+    let cancelled = false;
+    decodeAudioBlob(blob)
+      .then((buffer) => {
+        if (!cancelled) setResult({ blob, loudness: measureLoudness(buffer) });
+      })
+      .catch((err) => {
+        console.error('Loudness measurement error:', err);
+        if (cancelled) return;
+        setResult({ blob, loudness: null });
+        onErrorRef.current?.(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, blob]);
+
+  const current = enabled && blob && result?.blob === blob ? result : null;
+  return { loudness: current?.loudness ?? null, isMeasuring: Boolean(enabled && blob && !current) };
+};
+
+export default useLoudness;
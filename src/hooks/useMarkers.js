@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import RegionsPlugin from 'wavesurfer.js/dist/plugins/regions.esm.js';
+import { RECORDER_STATES } from './useAudioRecorder';
+import { hasModifier, isTyping } from '../utils/keyboard';
+import { createMarker, remapMarkers } from '../utils/markers';
+
+// --- Timestamped markers for the current take ---
+// Dropped at the recording clock while recording (or the playhead once finished),
+// shown as clickable points on the finished waveform.
+const useMarkers = ({
+  enabled = true,
+  state, // Recorder state from useAudioRecorder
+  wavesurferRef,
+  recordPluginRef,
+  targetRef, // The shortcut only works while focus is inside this element
+  splice = null, // From useAudioRecorder: recording onto the take keeps its markers
+  shortcut = 'm', // Key that drops a marker, null to disable
+  showOnWaveform = true,
+  color = 'rgba(140, 255, 5, 0.8)',
+} = {}) => {
+  const [markers, setMarkers] = useState([]);
+
+  // A new take (or a reset) starts without markers
+  const [prevState, setPrevState] = useState(state);
+  if (state !== prevState) {
+    setPrevState(state);
+    const isNewTake = state === RECORDER_STATES.RECORDING && prevState !== RECORDER_STATES.PAUSED && !splice;
+    if (isNewTake || state === RECORDER_STATES.IDLE) setMarkers([]);
+  }
+
+  const canMark = enabled && [
+    RECORDER_STATES.RECORDING,
+    RECORDER_STATES.PAUSED,
+    RECORDER_STATES.FINISHED,
+  ].includes(state);
+
+  const addMarker = useCallback((label = '') => {
+    if (!canMark) return null;
+    const time = state === RECORDER_STATES.FINISHED
+      ? wavesurferRef.current?.getCurrentTime() ?? 0
+      : (splice?.start ?? 0) + (recordPluginRef.current?.getDuration() ?? 0) / 1000;
+    const marker = createMarker(time, label);
+    setMarkers((list) => [...list, marker].sort((a, b) => a.time - b.time));
+    return marker;
+  }, [canMark, state, splice, wavesurferRef, recordPluginRef]);
+
+  const renameMarker = useCallback((id, label) => {
+    setMarkers((list) => list.map((marker) => (marker.id === id ? { ...marker, label } : marker)));
+  }, []);
+
+  const removeMarker = useCallback((id) => {
+    setMarkers((list) => list.filter((marker) => marker.id !== id));
+  }, []);
+
+  // Keep markers in line with trim/cut edits applied to the take
+  const remap = useCallback((edits) => {
+    setMarkers((list) => remapMarkers(list, edits));
+  }, []);
+
+  // --- Keyboard shortcut ---
+  const addMarkerRef = useRef(addMarker);
+  useEffect(() => {
+    addMarkerRef.current = addMarker;
+  });
+
+  useEffect(() => {
+    const target = targetRef?.current;
+    if (!canMark || !shortcut || !target) return;
+    const onKeyDown = (e) => {
+      if (e.key.toLowerCase() !== shortcut.toLowerCase() || hasModifier(e) || e.repeat) return;
+      if (isTyping(e.target)) return;
+      e.preventDefault();
+      addMarkerRef.current();
+    };
+    target.addEventListener('keydown', onKeyDown);
+    return () => target.removeEventListener('keydown', onKeyDown);
+  }, [canMark, shortcut, targetRef]);
+
+  // --- Points on the finished waveform ---
+  const isShowing = enabled && showOnWaveform && state === RECORDER_STATES.FINISHED;
+  useEffect(() => {
+    const ws = wavesurferRef.current;
+    if (!isShowing || !ws || markers.length === 0) return;
+
+    const regions = ws.registerPlugin(RegionsPlugin.create());
+    const render = () => {
+      regions.clearRegions();
+      markers.forEach((marker) => {
+        regions.addRegion({ start: marker.time, content: marker.label, color, drag: false, resize: false });
+      });
+    };
+    regions.on('region-clicked', (region, e) => {
+      e.stopPropagation();
+      ws.setTime(region.start);
+    });
+
+    const unsubscribe = ws.on('decode', render);
+    if (ws.getDecodedData()) render();
+
+    return () => {
+      unsubscribe();
+      regions.destroy();
+    };
+  }, [isShowing, markers, wavesurferRef, color]);
+
+  return { markers, addMarker, renameMarker, removeMarker, remap };
+};
+
+export default useMarkers;
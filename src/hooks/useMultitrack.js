@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { audibleTracks, mixdownTracks, trackVolume } from '../utils/mixdown';
+
+// Faders only attenuate: media elements can't play louder than 1, and the preview has to match the mix
+export const TRACK_GAIN_RANGE = { min: -30, max: 0 }; // dB
+
+let nextId = 0;
+const createTrackId = () => `track-${Date.now()}-${nextId++}`;
+
+// --- Tracks of a multitrack session: mute/solo/gain, synchronized playback and mixdown ---
+// Each lane registers its WaveSurfer with register(id, ws); playback drives them all together,
+// with the longest track as the clock.
+const useMultitrack = ({ maxTracks = 8, onError } = {}) => {
+  const [tracks, setTracks] = useState([]); // [{ id, name, blob, url, duration, mimeType, gain, muted, solo, createdAt }]
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isMixing, setIsMixing] = useState(false);
+
+  const playersRef = useRef(new Map()); // id -> WaveSurfer
+  const timeRef = useRef(0);
+  const playingRef = useRef(false);
+
+  const duration = tracks.reduce((longest, track) => Math.max(longest, track.duration || 0), 0);
+  const clockId = tracks.find((track) => track.duration === duration)?.id ?? null;
+
+  // Latest values for the WaveSurfer event handlers
+  const latestRef = useRef({});
+  useEffect(() => {
+    latestRef.current = { tracks, clockId, onError };
+  });
+
+  // Revoke the URL of every track that goes, and of all of them on unmount
+  const tracksRef = useRef(tracks);
+  useEffect(() => {
+    const previous = tracksRef.current;
+    tracksRef.current = tracks;
+    previous
+      .filter((track) => !tracks.some((t) => t.url === track.url))
+      .forEach((track) => URL.revokeObjectURL(track.url));
+  }, [tracks]);
+  useEffect(() => () => tracksRef.current.forEach((track) => URL.revokeObjectURL(track.url)), []);
+
+  // --- Mute / solo / gain, applied to every lane's player ---
+  useEffect(() => {
+    playersRef.current.forEach((ws, id) => {
+      const track = tracks.find((t) => t.id === id);
+      if (track) ws.setVolume(trackVolume(track, tracks));
+    });
+  }, [tracks]);
+
+  // --- Transport ---
+  const setPosition = (time) => {
+    timeRef.current = time;
+    setCurrentTime(time);
+  };
+
+  // Starts every track that still has audio at `time`
+  const startPlayers = (time) => {
+    playersRef.current.forEach((ws) => {
+      ws.setTime(Math.min(time, ws.getDuration()));
+      if (ws.getDuration() > time) ws.play();
+    });
+  };
+
+  const play = (from = timeRef.current) => {
+    if (playersRef.current.size === 0) return;
+    const time = from >= duration ? 0 : from;
+    setPosition(time);
+    startPlayers(time);
+    playingRef.current = true;
+    setIsPlaying(true);
+  };
+
+  const pause = () => {
+    playersRef.current.forEach((ws) => ws.pause());
+    playingRef.current = false;
+    setIsPlaying(false);
+  };
+
+  const stop = () => {
+    pause();
+    playersRef.current.forEach((ws) => ws.setTime(0));
+    setPosition(0);
+  };
+
+  const togglePlayback = () => (isPlaying ? pause() : play());
+
+  const seekTo = (time) => {
+    const target = Math.max(0, Math.min(time, duration));
+    setPosition(target);
+    if (playingRef.current) {
+      startPlayers(target);
+    } else {
+      playersRef.current.forEach((ws) => ws.setTime(Math.min(target, ws.getDuration())));
+    }
+  };
+
+  // Lanes hand in their player once it exists, and null when it's destroyed
+  const seekRef = useRef(seekTo);
+  useEffect(() => {
+    seekRef.current = seekTo;
+  });
+
+  const register = useCallback((id, ws) => {
+    const players = playersRef.current;
+    if (!ws) {
+      players.delete(id);
+      return;
+    }
+    players.set(id, ws);
+
+    const { tracks: current } = latestRef.current;
+    const track = current.find((t) => t.id === id);
+    if (track) ws.setVolume(trackVolume(track, current));
+
+    ws.on('timeupdate', (time) => {
+      if (id === latestRef.current.clockId && playingRef.current) setPosition(time);
+    });
+    ws.on('finish', () => {
+      if (id !== latestRef.current.clockId) return;
+      playingRef.current = false;
+      setIsPlaying(false);
+    });
+    // Clicking any lane moves all of them
+    ws.on('interaction', (time) => seekRef.current(time));
+  }, []);
+
+  // --- Tracks ---
+  const canAddTrack = tracks.length < maxTracks;
+
+  const addTrack = useCallback((blob, { duration: trackDuration, name } = {}) => {
+    const id = createTrackId();
+    setTracks((list) => (list.length >= maxTracks ? list : [...list, {
+      id,
+      name: name || null, // Shown as "Track n" when not set
+      blob,
+      url: URL.createObjectURL(blob),
+      duration: trackDuration,
+      mimeType: blob.type,
+      gain: 0,
+      muted: false,
+      solo: false,
+      createdAt: new Date().toISOString(),
+    }]));
+    return id;
+  }, [maxTracks]);
+
+  // e.g. { muted: true }, { solo: true }, { gain: -6 }, { name: 'Vocals' }
+  const updateTrack = useCallback((id, patch) => {
+    setTracks((list) => list.map((track) => (track.id === id ? { ...track, ...patch } : track)));
+  }, []);
+
+  const removeTrack = useCallback((id) => {
+    setTracks((list) => list.filter((track) => track.id !== id));
+  }, []);
+
+  const clear = useCallback(() => {
+    pause();
+    setPosition(0);
+    setTracks([]);
+  }, []);
+
+  // --- Mixdown ---
+  // Resolves to { blob, duration }, or null when it failed (reported to onError)
+  const mixdown = async (options = {}) => {
+    setIsMixing(true);
+    try {
+      return await mixdownTracks(tracks, options);
+    } catch (err) {
+      console.error('Mixdown error:', err);
+      latestRef.current.onError?.(err);
+      return null;
+    } finally {
+      setIsMixing(false);
+    }
+  };
+
+  return {
+    tracks,
+    duration,
+    currentTime,
+    isPlaying,
+    isMixing,
+    canAddTrack,
+    canMixdown: audibleTracks(tracks).length > 0 && !isMixing,
+    register,
+    play,
+    pause,
+    stop,
+    togglePlayback,
+    seekTo,
+    addTrack,
+    updateTrack,
+    removeTrack,
+    clear,
+    mixdown,
+  };
+};
+
+export default useMultitrack;
@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const MIN_RATE = PLAYBACK_RATES[0];
+const MAX_RATE = PLAYBACK_RATES[PLAYBACK_RATES.length - 1];
+
+// --- Speed, volume, skipping and looping for the finished take ---
+// Settings outlive the take: they're re-applied whenever a new one is loaded.
+const usePlaybackControls = ({
+  wavesurferRef,
+  enabled = false, // Typically state === 'finished'
+  loopRegion = null, // { start, end } looped instead of the whole take, e.g. the editor selection
+  preservePitch = true,
+} = {}) => {
+  const [playbackRate, setRate] = useState(1);
+  const [volume, setVolumeState] = useState(1);
+  const [isMuted, setIsMuted] = useState(false);
+  const [isLooping, setIsLooping] = useState(false);
+
+  // Latest values, read from WaveSurfer event handlers
+  const latestRef = useRef({});
+  useEffect(() => {
+    latestRef.current = { playbackRate, volume, isMuted, isLooping, loopRegion, preservePitch };
+  });
+
+  useEffect(() => {
+    const ws = wavesurferRef.current;
+    if (!enabled || !ws) return;
+
+    // Loading a new source resets the media element's rate
+    const applySettings = () => {
+      const current = latestRef.current;
+      ws.setPlaybackRate(current.playbackRate, current.preservePitch);
+      ws.setVolume(current.volume);
+      ws.setMuted(current.isMuted);
+    };
+    applySettings();
+
+    const unsubscribeReady = ws.on('ready', applySettings);
+    const unsubscribeTime = ws.on('timeupdate', (time) => {
+      const { isLooping: looping, loopRegion: region } = latestRef.current;
+      if (looping && region && ws.isPlaying() && time >= region.end) ws.setTime(region.start);
+    });
+    const unsubscribeFinish = ws.on('finish', () => {
+      const { isLooping: looping, loopRegion: region } = latestRef.current;
+      if (!looping) return;
+      ws.setTime(region?.start ?? 0);
+      ws.play();
+    });
+
+    return () => {
+      unsubscribeReady();
+      unsubscribeTime();
+      unsubscribeFinish();
+    };
+  }, [wavesurferRef, enabled]);
+
+  const setPlaybackRate = useCallback((rate) => {
+    const next = Math.min(MAX_RATE, Math.max(MIN_RATE, rate));
+    setRate(next);
+    wavesurferRef.current?.setPlaybackRate(next, latestRef.current.preservePitch);
+  }, [wavesurferRef]);
+
+  // Unmutes when turned up from zero, like a hardware knob
+  const setVolume = useCallback((value) => {
+    const next = Math.min(1, Math.max(0, value));
+    setVolumeState(next);
+    wavesurferRef.current?.setVolume(next);
+    if (next > 0 && latestRef.current.isMuted) {
+      setIsMuted(false);
+      wavesurferRef.current?.setMuted(false);
+    }
+  }, [wavesurferRef]);
+
+  const setMuted = useCallback((muted) => {
+    setIsMuted(muted);
+    wavesurferRef.current?.setMuted(muted);
+  }, [wavesurferRef]);
+
+  const toggleMute = useCallback(() => setMuted(!latestRef.current.isMuted), [setMuted]);
+
+  // Turning the loop on inside a region starts from the top of the region
+  const setLooping = useCallback((looping) => {
+    setIsLooping(looping);
+    const ws = wavesurferRef.current;
+    const region = latestRef.current.loopRegion;
+    if (!looping || !ws || !region) return;
+    const time = ws.getCurrentTime();
+    if (time < region.start || time >= region.end) ws.setTime(region.start);
+  }, [wavesurferRef]);
+
+  const toggleLoop = useCallback(() => setLooping(!latestRef.current.isLooping), [setLooping]);
+
+  const skip = useCallback((seconds) => {
+    const ws = wavesurferRef.current;
+    if (!ws) return;
+    ws.setTime(Math.min(ws.getDuration(), Math.max(0, ws.getCurrentTime() + seconds)));
+  }, [wavesurferRef]);
+
+  return {
+    playbackRate,
+    setPlaybackRate,
+    volume,
+    setVolume,
+    isMuted,
+    setMuted,
+    toggleMute,
+    isLooping,
+    setLooping,
+    toggleLoop,
+    skip,
+  };
+};
+
+export default usePlaybackControls;
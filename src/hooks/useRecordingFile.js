@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from 'react';
+import { embedMetadata } from '../utils/audioMetadata';
+import { downloadBlob, recordingFileName, shareFile } from '../utils/download';
+
+const STATUS_TIMEOUT = 2000; // ms shareStatus is shown for
+
+// --- The finished recording as a named file, for download and sharing ---
+// The file is prepared ahead of the click: Web Share needs to be called while the
+// user's click still counts, so there's no time to encode metadata in between.
+const useRecordingFile = ({
+  blob,
+  title = null, // Used for the file name and metadata; a timestamp otherwise
+  date = null, // When the take was recorded; defaults to when this blob first appeared
+  markers = [], // [{ time, label }], embedded where the format allows
+  shareUrl = null, // Copied when files can't be shared, e.g. the uploaded file's URL
+  onError,
+} = {}) => {
+  const [prepared, setPrepared] = useState(null); // { source, key, file }
+  const [shareStatus, setShareStatus] = useState(null); // 'shared', 'copied' or 'unsupported'
+
+  const dateRef = useRef({ blob: null, date: null });
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  const metaKey = JSON.stringify({ title, date, markers: markers.map(({ time, label }) => ({ time, label })) });
+  useEffect(() => {
+    if (!blob) return;
+    if (dateRef.current.blob !== blob) dateRef.current = { blob, date: new Date() };
+    const meta = JSON.parse(metaKey);
+    const takeDate = meta.date ? new Date(meta.date) : dateRef.current.date;
+
+    let cancelled = false;
+    const fileName = recordingFileName({ title: meta.title, date: takeDate, mimeType: blob.type });
+    embedMetadata(blob, { title: meta.title, date: takeDate, markers: meta.markers }).then((embedded) => {
+      if (!cancelled) {
+        setPrepared({ source: blob, key: metaKey, file: new File([embedded], fileName, { type: blob.type }) });
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [blob, metaKey]);
+
+  const file = prepared && prepared.source === blob && prepared.key === metaKey ? prepared.file : null;
+
+  const download = () => {
+    if (file) downloadBlob(file, file.name);
+  };
+
+  const timerRef = useRef(null);
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const share = async () => {
+    if (!file) return null;
+    try {
+      const result = await shareFile(file, { title: title || file.name, url: shareUrl });
+      if (result !== 'cancelled') {
+        setShareStatus(result);
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => setShareStatus(null), STATUS_TIMEOUT);
+      }
+      return result;
+    } catch (err) {
+      onErrorRef.current?.(err);
+      return null;
+    }
+  };
+
+  return {
+    file,
+    fileName: file?.name ?? null,
+    isReady: Boolean(file),
+    // Files go to the share sheet; otherwise there has to be a link to copy
+    canShare: Boolean(file && (navigator.canShare?.({ files: [file] }) || (shareUrl && navigator.clipboard))),
+    shareStatus,
+    download,
+    share,
+  };
+};
+
+export default useRecordingFile;
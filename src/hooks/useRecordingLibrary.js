@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  deleteDraft,
+  deleteRecording,
+  isStorageSupported,
+  listDrafts,
+  listRecordings,
+  recoverDraft,
+  subscribe,
+  updateRecording,
+} from '../utils/recordingStore';
+
+// --- Saved recordings and recoverable drafts, kept in sync with IndexedDB ---
+const useRecordingLibrary = ({ onError } = {}) => {
+  const [recordings, setRecordings] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [isLoading, setIsLoading] = useState(isStorageSupported());
+
+  const refresh = useCallback(async () => {
+    if (!isStorageSupported()) return;
+    try {
+      const [nextRecordings, nextDrafts] = await Promise.all([listRecordings(), listDrafts()]);
+      setRecordings(nextRecordings);
+      setDrafts(nextDrafts);
+    } catch (err) {
+      console.error('Storage error:', err);
+      onError?.(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    refresh();
+    return subscribe(refresh);
+  }, [refresh]);
+
+  const run = useCallback((task) => async (...args) => {
+    try {
+      return await task(...args);
+    } catch (err) {
+      console.error('Storage error:', err);
+      onError?.(err);
+      return null;
+    }
+  }, [onError]);
+
+  return {
+    recordings,
+    drafts,
+    isLoading,
+    refresh,
+    rename: run((id, title) => updateRecording(id, { title })),
+    remove: run(deleteRecording),
+    recoverDraft: run(recoverDraft),
+    discardDraft: run(deleteDraft),
+  };
+};
+
+export default useRecordingLibrary;
@@ -0,0 +1,72 @@
+import { useCallback, useRef } from 'react';
+import {
+  appendDraftChunk,
+  createDraft,
+  deleteDraft,
+  isStorageSupported,
+  saveRecording,
+  updateRecording,
+} from '../utils/recordingStore';
+
+// --- Writes the current take to IndexedDB: chunks while recording, the finished blob after ---
+const useRecordingPersistence = ({ enabled = false, onSaved, onError } = {}) => {
+  const draftIdRef = useRef(null);
+  const savedIdRef = useRef(null); // Re-saving the same take (e.g. after an edit) updates it
+  // Serialize writes so chunks land in order even while the draft is being created
+  const queueRef = useRef(Promise.resolve());
+
+  const active = enabled && isStorageSupported();
+
+  const enqueue = useCallback((task) => {
+    queueRef.current = queueRef.current.then(task).catch((err) => {
+      console.error('Storage error:', err);
+      onError?.(err);
+    });
+    return queueRef.current;
+  }, [onError]);
+
+  const dropDraft = useCallback(() => {
+    const draftId = draftIdRef.current;
+    draftIdRef.current = null;
+    return draftId ? deleteDraft(draftId) : null;
+  }, []);
+
+  // The draft's mime type is taken from its first chunk
+  const begin = useCallback(() => {
+    if (!active) return;
+    savedIdRef.current = null;
+    enqueue(async () => {
+      await dropDraft();
+      draftIdRef.current = (await createDraft()).id;
+    });
+  }, [active, enqueue, dropDraft]);
+
+  const appendChunk = useCallback((chunk, { duration } = {}) => {
+    if (!active) return;
+    enqueue(() => draftIdRef.current && appendDraftChunk(draftIdRef.current, chunk, { duration }));
+  }, [active, enqueue]);
+
+  const save = useCallback((blob, { duration, ...meta } = {}) => {
+    if (!active) return;
+    enqueue(async () => {
+      // An edit moves the markers along with the audio, so they are saved with it
+      const recording = savedIdRef.current
+        ? await updateRecording(savedIdRef.current, { blob, duration, mimeType: blob.type, ...(meta.markers && { markers: meta.markers }) })
+        : await saveRecording({ ...meta, blob, duration });
+      savedIdRef.current = recording?.id ?? null;
+      await dropDraft();
+      if (recording) onSaved?.(recording);
+    });
+  }, [active, enqueue, dropDraft, onSaved]);
+
+  // Drops the in-progress draft; an already saved take stays in the library
+  const discard = useCallback(() => {
+    if (!active) return;
+    savedIdRef.current = null;
+    enqueue(dropDraft);
+  }, [active, enqueue, dropDraft]);
+
+  return { begin, appendChunk, save, discard };
+};
+
+export default useRecordingPersistence;
@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+let nextId = 0;
+const createTakeId = () => `take-${Date.now()}-${nextId++}`;
+
+// --- Stack of takes for the same prompt ---
+// commitTake() adds the finished recording, or updates it when it's the same take
+// again (e.g. after an edit); startNewTake() closes it so the next commit adds one.
+const useTakes = ({ maxTakes = 10 } = {}) => {
+  const [takes, setTakes] = useState([]); // [{ id, blob, url, duration, mimeType, createdAt, markers }]
+  const [selectedId, setSelectedId] = useState(null);
+  const [currentId, setCurrentId] = useState(null); // Take the recorder is showing, if committed
+
+  // Revoke the URL of every take that leaves the stack, and of all of them on unmount
+  const takesRef = useRef(takes);
+  useEffect(() => {
+    const previous = takesRef.current;
+    takesRef.current = takes;
+    previous
+      .filter((take) => !takes.some((t) => t.url === take.url))
+      .forEach((take) => URL.revokeObjectURL(take.url));
+  }, [takes]);
+  useEffect(() => () => takesRef.current.forEach((take) => URL.revokeObjectURL(take.url)), []);
+
+  const commitTake = useCallback((blob, { duration, markers = [] } = {}) => {
+    const id = currentId || createTakeId();
+    const take = {
+      id,
+      blob,
+      url: URL.createObjectURL(blob),
+      duration,
+      mimeType: blob.type,
+      markers,
+      createdAt: new Date().toISOString(),
+    };
+
+    setTakes((list) => {
+      const existing = list.find((t) => t.id === id);
+      if (existing) return list.map((t) => (t.id === id ? { ...take, createdAt: existing.createdAt } : t));
+
+      // Over the limit the oldest take goes, unless it's the one selected
+      const next = [...list, take];
+      if (next.length <= maxTakes) return next;
+      const dropIndex = next.findIndex((t) => t.id !== selectedId);
+      return next.filter((_, i) => i !== dropIndex);
+    });
+    // The newest take is the one most likely wanted
+    if (!currentId) setSelectedId(id);
+    setCurrentId(id);
+    return id;
+  }, [currentId, maxTakes, selectedId]);
+
+  // `patch` is saved onto the take being closed (e.g. its final markers)
+  const startNewTake = useCallback((patch = null) => {
+    if (currentId && patch) setTakes((list) => list.map((t) => (t.id === currentId ? { ...t, ...patch } : t)));
+    setCurrentId(null);
+  }, [currentId]);
+
+  const removeTake = useCallback((id) => {
+    const next = takes.filter((t) => t.id !== id);
+    setTakes(next);
+    if (currentId === id) setCurrentId(null);
+    // Fall back to the newest remaining take
+    if (selectedId === id) setSelectedId(next[next.length - 1]?.id ?? null);
+  }, [takes, currentId, selectedId]);
+
+  const clear = useCallback(() => {
+    setCurrentId(null);
+    setTakes([]);
+    setSelectedId(null);
+  }, []);
+
+  return {
+    takes,
+    selectedId,
+    selectedTake: takes.find((take) => take.id === selectedId) ?? null,
+    currentId,
+    commitTake,
+    startNewTake,
+    selectTake: setSelectedId,
+    removeTake,
+    clear,
+  };
+};
+
+export default useTakes;
@@ -0,0 +1,26 @@
+import { useSyncExternalStore } from 'react';
+import { resolveTheme, themeToCssVars } from '../utils/theme';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const subscribe = (onChange) => {
+  const query = window.matchMedia?.(DARK_QUERY);
+  query?.addEventListener('change', onChange);
+  return () => query?.removeEventListener('change', onChange);
+};
+const prefersDark = () => window.matchMedia?.(DARK_QUERY).matches ?? true;
+
+// --- Resolved theme for a component root ---
+// Pass `style` to the root so the stylesheet picks the colors up;
+// `colors` holds the same values for WaveSurfer. Undefined overrides are ignored.
+const useTheme = (theme = 'auto', overrides = {}) => {
+  const isDark = useSyncExternalStore(subscribe, prefersDark, () => true);
+  const { scheme, colors: base } = resolveTheme(theme, isDark);
+  const colors = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) colors[key] = value;
+  });
+  return { scheme, colors, style: { ...themeToCssVars(colors), colorScheme: scheme } };
+};
+
+export default useTheme;
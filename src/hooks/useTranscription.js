@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { remapSegments } from '../utils/transcription';
+import { RECORDER_STATES } from './useAudioRecorder';
+
+// --- Transcript of the current take, fed by a pluggable adapter ---
+// Live results are stamped with the recording clock while recording; adapters
+// with transcribe() get a second pass on the finished blob that replaces them.
+const useTranscription = ({
+  adapter = null, // See utils/transcription.js
+  enabled = true,
+  state, // Recorder state from useAudioRecorder
+  sourceBlob, // Finished (or edited) take
+  recordPluginRef,
+  splice = null, // From useAudioRecorder: recording onto the take extends its transcript
+  lang = '',
+  onTranscript, // (segments) once the transcript of a finished take is known
+  onError,
+} = {}) => {
+  const [segments, setSegments] = useState([]); // [{ start, end, text }] in seconds
+  const [interim, setInterim] = useState(''); // Caption still being recognized
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [error, setError] = useState(null);
+  const [take, setTake] = useState(0);
+
+  const takeRef = useRef(0); // Drops late live results from a previous take
+  const utteranceStartRef = useRef(null);
+
+  const callbacksRef = useRef({});
+  useEffect(() => {
+    callbacksRef.current = { onTranscript, onError };
+  });
+
+  const canListen = Boolean(enabled && adapter?.start);
+  const canTranscribe = Boolean(enabled && adapter?.transcribe);
+
+  // A new take (or a reset) starts an empty transcript
+  const [prevState, setPrevState] = useState(state);
+  if (state !== prevState) {
+    setPrevState(state);
+    const isNewTake = state === RECORDER_STATES.RECORDING && prevState !== RECORDER_STATES.PAUSED && !splice;
+    if (isNewTake) setTake((current) => current + 1);
+    // A punch-in replaces whatever was said in its range
+    if (splice && prevState === RECORDER_STATES.FINISHED) {
+      setSegments((list) => list.filter((segment) => segment.end <= splice.start || segment.start >= splice.end));
+    }
+    if (isNewTake || state === RECORDER_STATES.IDLE) {
+      setSegments([]);
+      setInterim('');
+      setError(null);
+    }
+    if (prevState === RECORDER_STATES.FINISHED) setIsTranscribing(false);
+  }
+
+  // --- Live captions while recording (a pause ends the session) ---
+  const isCapturing = canListen && state === RECORDER_STATES.RECORDING;
+  useEffect(() => {
+    if (!isCapturing) return;
+
+    takeRef.current = take;
+    const offset = splice?.start ?? 0;
+    const now = () => offset + (recordPluginRef?.current?.getDuration() ?? 0) / 1000;
+    utteranceStartRef.current = null;
+
+    const report = (err) => {
+      console.error('Transcription error:', err);
+      setError(err);
+      callbacksRef.current.onError?.(err);
+    };
+
+    const onResult = ({ text, isFinal }) => {
+      if (take !== takeRef.current) return;
+      if (utteranceStartRef.current === null) utteranceStartRef.current = now();
+      if (!isFinal) {
+        setInterim(text);
+        return;
+      }
+
+      const segment = { start: utteranceStartRef.current, end: now(), text };
+      utteranceStartRef.current = null;
+      setInterim('');
+      if (text) setSegments((list) => [...list, segment]);
+    };
+
+    let session = null;
+    let stopped = false;
+    Promise.resolve()
+      .then(() => adapter.start({ stream: recordPluginRef?.current?.stream, lang, onResult, onError: report }))
+      .then((started) => {
+        session = started;
+        if (stopped) session?.stop();
+      })
+      .catch(report);
+
+    return () => {
+      stopped = true;
+      session?.stop();
+    };
+  }, [isCapturing, take, splice, adapter, lang, recordPluginRef]);
+
+  // --- Second pass on the finished take (re-runs after edits) ---
+  useEffect(() => {
+    if (!canTranscribe || state !== RECORDER_STATES.FINISHED || !sourceBlob) return;
+
+    const controller = new AbortController();
+    Promise.resolve()
+      .then(() => {
+        setIsTranscribing(true);
+        return adapter.transcribe(sourceBlob, { lang, signal: controller.signal });
+      })
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        const list = result.map(({ start, end, text }) => ({ start, end, text }));
+        setSegments(list);
+        setInterim('');
+        setError(null);
+        callbacksRef.current.onTranscript?.(list);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        // Keep the live captions we already have
+        console.error('Transcription error:', err);
+        setError(err);
+        callbacksRef.current.onError?.(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsTranscribing(false);
+      });
+
+    return () => controller.abort();
+  }, [canTranscribe, state, sourceBlob, adapter, lang]);
+
+  // Live-only adapters: the captions are the transcript
+  useEffect(() => {
+    if (canTranscribe || state !== RECORDER_STATES.FINISHED) return;
+    callbacksRef.current.onTranscript?.(segments);
+  }, [canTranscribe, state, segments]);
+
+  // Trim/cut edits, trimmed silence and short punch-ins move what was said; the
+  // second pass, if any, replaces these once it has heard the new take
+  const remap = useCallback((edits) => {
+    setSegments((list) => remapSegments(list, edits));
+  }, []);
+
+  return { segments, interim, isTranscribing, error, remap };
+};
+
+export default useTranscription;
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createUploader } from '../utils/uploader';
+
+// Wraps createUploader with React state: 'idle', 'uploading', 'success', 'error', 'cancelled'
+const useUploader = (options = {}) => {
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [response, setResponse] = useState(null);
+
+  const optionsRef = useRef(options);
+  const uploaderRef = useRef(null);
+  const lastRequestRef = useRef(null);
+
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  // Recreate the uploader only when the transport config actually changes
+  const configKey = JSON.stringify({ ...options, onUpload: Boolean(options.onUpload) });
+  useEffect(() => {
+    uploaderRef.current = createUploader({
+      ...optionsRef.current,
+      onUpload: optionsRef.current.onUpload
+        ? (...args) => optionsRef.current.onUpload(...args)
+        : null,
+    });
+    return () => uploaderRef.current?.cancel();
+  }, [configKey]);
+
+  const upload = useCallback(async (blob, meta) => {
+    if (!uploaderRef.current || !blob) return null;
+    lastRequestRef.current = { blob, meta };
+    setStatus('uploading');
+    setError(null);
+    setProgress(0);
+
+    try {
+      const result = await uploaderRef.current.upload(blob, meta, { onProgress: setProgress });
+      setResponse(result);
+      setStatus('success');
+      return result;
+    } catch (err) {
+      if (err.code === 'cancelled') {
+        setStatus('cancelled');
+      } else {
+        setError(err);
+        setStatus('error');
+      }
+      return null;
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    uploaderRef.current?.cancel();
+  }, []);
+
+  // Re-sends the last blob; chunked uploads pick up from the last confirmed offset
+  const retry = useCallback(() => {
+    if (!lastRequestRef.current) return null;
+    const { blob, meta } = lastRequestRef.current;
+    return upload(blob, meta);
+  }, [upload]);
+
+  const reset = useCallback(() => {
+    uploaderRef.current?.cancel();
+    lastRequestRef.current = null;
+    setStatus('idle');
+    setProgress(0);
+    setError(null);
+    setResponse(null);
+  }, []);
+
+  return { status, progress, error, response, upload, cancel, retry, reset };
+};
+
+export default useUploader;
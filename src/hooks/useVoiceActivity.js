@@ -0,0 +1,192 @@
+import { useEffect, useRef, useState } from 'react';
+import RegionsPlugin from 'wavesurfer.js/dist/plugins/regions.esm.js';
+import { RECORDER_STATES } from './useAudioRecorder';
+import { buildAudioConstraints } from '../utils/audioProcessing';
+import { AUDIO_SOURCES, usesDisplayAudio } from '../utils/audioSources';
+import {
+  DEFAULT_VAD_OPTIONS,
+  createVoiceDetector,
+  detectSpeechSegments,
+} from '../utils/voiceActivity';
+
+// --- Voice-activity automation on top of useAudioRecorder ---
+// Arms the mic while idle and starts on speech, pauses/stops on silence while
+// recording, and marks the speech segments on the finished waveform.
+const useVoiceActivity = ({
+  enabled = false,
+  options = {}, // See DEFAULT_VAD_OPTIONS
+  state, // Recorder state from useAudioRecorder
+  wavesurferRef,
+  recordPluginRef,
+  deviceId = '',
+  audioConstraints = {},
+  source = AUDIO_SOURCES.MIC, // Capture source of the recorder; only the mic can be armed
+  showSegments = true, // Speech regions on the finished waveform
+  regionColor = 'rgba(140, 255, 5, 0.12)',
+  start,
+  pause,
+  resume,
+  stop,
+  onError,
+} = {}) => {
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [isAutoPaused, setIsAutoPaused] = useState(false);
+  const [segments, setSegments] = useState([]); // [{ start, end }] in the finished take
+
+  const autoPausedRef = useRef(false);
+
+  const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const settingsRef = useRef(settings);
+  const latestRef = useRef({});
+  useEffect(() => {
+    settingsRef.current = settings;
+    latestRef.current = { deviceId, audioConstraints, start, pause, resume, stop, onError };
+  });
+
+  // Auto-pause only lasts until the take ends or the user takes over
+  const [prevState, setPrevState] = useState(state);
+  if (state !== prevState) {
+    setPrevState(state);
+    if (state !== RECORDER_STATES.PAUSED) setIsAutoPaused(false);
+    if (state !== RECORDER_STATES.RECORDING && state !== RECORDER_STATES.PAUSED) setIsSpeaking(false);
+  }
+
+  // --- Armed: wait for speech while idle ---
+  // Listens to the mic only: tab audio needs the share dialog, which browsers only open on a click
+  const isArmed = enabled && settings.autoStart && state === RECORDER_STATES.IDLE && !usesDisplayAudio(source);
+  const [armCount, setArmCount] = useState(0); // Bumped to re-arm when speech didn't start a recording
+  useEffect(() => {
+    if (!isArmed) return;
+
+    let stream = null;
+    let detector = null;
+    let closed = false;
+    const close = () => {
+      closed = true;
+      detector?.close();
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+
+    const { deviceId: inputId, audioConstraints: requested } = latestRef.current;
+    navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(inputId, requested) })
+      .then((armedStream) => {
+        stream = armedStream;
+        if (closed) {
+          close();
+          return;
+        }
+        detector = createVoiceDetector(stream, {
+          ...settingsRef.current,
+          onChange: (speaking) => {
+            if (!speaking) return;
+            // Free the mic before the recorder opens its own
+            close();
+            // e.g. the countdown was cancelled: listen again
+            Promise.resolve(latestRef.current.start()).then((started) => {
+              if (!started) setArmCount((count) => count + 1);
+            });
+          },
+        });
+      })
+      .catch((err) => {
+        console.error('Voice detection error:', err);
+        latestRef.current.onError?.(err);
+      });
+
+    return close;
+  }, [isArmed, armCount]);
+
+  // --- Recording: pause / stop on silence, resume on speech ---
+  const isListening = enabled && (state === RECORDER_STATES.RECORDING || state === RECORDER_STATES.PAUSED);
+  useEffect(() => {
+    const stream = recordPluginRef?.current?.stream;
+    if (!isListening || !stream) return;
+
+    let pauseTimer = null;
+    let stopTimer = null;
+    const clearTimers = () => {
+      clearTimeout(pauseTimer);
+      clearTimeout(stopTimer);
+    };
+
+    const detector = createVoiceDetector(stream, {
+      ...settingsRef.current,
+      onChange: (speaking) => {
+        const { pauseAfter, stopAfter } = settingsRef.current;
+        const actions = latestRef.current;
+        setIsSpeaking(speaking);
+        clearTimers();
+
+        if (speaking) {
+          if (autoPausedRef.current) {
+            autoPausedRef.current = false;
+            setIsAutoPaused(false);
+            actions.resume();
+          }
+          return;
+        }
+
+        // The hangover already counts towards the silence
+        const { hangover } = settingsRef.current;
+        if (pauseAfter !== null) {
+          pauseTimer = setTimeout(() => {
+            if (!recordPluginRef.current?.isRecording()) return;
+            autoPausedRef.current = true;
+            setIsAutoPaused(true);
+            actions.pause();
+          }, Math.max(0, pauseAfter - hangover) * 1000);
+        }
+        if (stopAfter !== null) {
+          stopTimer = setTimeout(actions.stop, Math.max(0, stopAfter - hangover) * 1000);
+        }
+      },
+    });
+
+    return () => {
+      clearTimers();
+      detector.close();
+      autoPausedRef.current = false;
+    };
+  }, [isListening, recordPluginRef]);
+
+  // A manual resume or pause takes over from the detector
+  useEffect(() => {
+    if (state !== RECORDER_STATES.PAUSED) autoPausedRef.current = false;
+  }, [state]);
+
+  // --- Speech regions on whatever the waveform is showing ---
+  const isMarking = enabled && showSegments && state === RECORDER_STATES.FINISHED;
+  useEffect(() => {
+    const ws = wavesurferRef?.current;
+    if (!isMarking || !ws) return;
+
+    const regions = ws.registerPlugin(RegionsPlugin.create());
+    const mark = () => {
+      const buffer = ws.getDecodedData();
+      if (!buffer) return;
+      const found = detectSpeechSegments(buffer, settingsRef.current);
+      regions.clearRegions();
+      found.forEach(({ start: from, end: to }) => {
+        regions.addRegion({ start: from, end: to, color: regionColor, drag: false, resize: false });
+      });
+      setSegments(found);
+    };
+
+    const unsubscribe = ws.on('decode', mark);
+    if (ws.getDecodedData()) Promise.resolve().then(mark);
+
+    return () => {
+      unsubscribe();
+      regions.destroy();
+    };
+  }, [isMarking, wavesurferRef, regionColor]);
+
+  return {
+    isArmed,
+    isSpeaking,
+    isAutoPaused,
+    segments: isMarking ? segments : [],
+  };
+};
+
+export default useVoiceActivity;
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+
+// --- Keeps the screen on while `active`, where the Screen Wake Lock API exists ---
+// The browser drops the lock whenever the page is hidden, so it's requested again on return.
+const useWakeLock = (active = false) => {
+  const [isLocked, setIsLocked] = useState(false);
+  const isSupported = typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+
+  useEffect(() => {
+    if (!active || !isSupported) return undefined;
+    let sentinel = null;
+    let pending = false;
+    let cancelled = false;
+
+    const request = async () => {
+      if (document.visibilityState !== 'visible' || sentinel || pending) return;
+      pending = true;
+      try {
+        const lock = await navigator.wakeLock.request('screen');
+        if (cancelled) {
+          lock.release().catch(() => {});
+          return;
+        }
+        sentinel = lock;
+        setIsLocked(true);
+        lock.addEventListener('release', () => {
+          if (sentinel === lock) sentinel = null;
+          setIsLocked(false);
+        });
+      } catch {
+        // Refused (e.g. battery saver); recording goes on, the screen may just turn off
+      } finally {
+        pending = false;
+      }
+    };
+
+    request();
+    document.addEventListener('visibilitychange', request);
+    return () => {
+      cancelled = true;
+      document.removeEventListener('visibilitychange', request);
+      sentinel?.release().catch(() => {}); // May already be let go by the browser
+    };
+  }, [active, isSupported]);
+
+  return { isSupported, isLocked: active && isLocked };
+};
+
+export default useWakeLock;
@@ -0,0 +1,49 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import useWakeLock from './useWakeLock';
+import { setVisibility } from '../test/fakes';
+
+const lastLock = async () => (await navigator.wakeLock.request.mock.results.at(-1).value);
+
+describe('useWakeLock', () => {
+  it('holds the screen lock only while active', async () => {
+    const { result, rerender } = renderHook(({ active }) => useWakeLock(active), { initialProps: { active: false } });
+    expect(result.current.isLocked).toBe(false);
+    expect(navigator.wakeLock.request).not.toHaveBeenCalled();
+
+    rerender({ active: true });
+    await waitFor(() => expect(result.current.isLocked).toBe(true));
+    expect(navigator.wakeLock.request).toHaveBeenCalledWith('screen');
+    const lock = await lastLock();
+
+    rerender({ active: false });
+    expect(lock.released).toBe(true);
+    expect(result.current.isLocked).toBe(false);
+  });
+
+  it('takes the lock again when the page comes back', async () => {
+    const { result } = renderHook(() => useWakeLock(true));
+    await waitFor(() => expect(result.current.isLocked).toBe(true));
+
+    // The browser lets go of the lock itself when the page is hidden
+    act(() => {
+      setVisibility('hidden');
+    });
+    await act(async () => {
+      await (await lastLock()).release();
+    });
+    expect(result.current.isLocked).toBe(false);
+
+    act(() => {
+      setVisibility('visible');
+    });
+    await waitFor(() => expect(result.current.isLocked).toBe(true));
+    expect(navigator.wakeLock.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('carries on without the API', () => {
+    delete navigator.wakeLock;
+    const { result } = renderHook(() => useWakeLock(true));
+    expect(result.current).toEqual({ isSupported: false, isLocked: false });
+  });
+});
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import RegionsPlugin from 'wavesurfer.js/dist/plugins/regions.esm.js';
+import { audioBufferToWav, decodeAudioBlob } from '../utils/audioExport';
+import { cutBuffer, sliceBuffer } from '../utils/audioEdit';
+
+// --- Trim / cut editor on top of a finished recording ---
+// Edits are previewed on the waveform and only replace the recording on apply()
+const useWaveformEditor = ({
+  wavesurferRef,
+  sourceBlob,
+  enabled = false,
+  regionColor = 'rgba(140, 255, 5, 0.2)',
+  onApply, // (editedBlob, { duration, edits: [{ type, start, end }] }) => void
+  onError,
+} = {}) => {
+  const regionsRef = useRef(null);
+
+  const [selection, setSelection] = useState(null); // { start, end } in seconds
+  const [history, setHistory] = useState([]); // [{ buffer, blob, edit }], index 0 is the original
+  const [historyIndex, setHistoryIndex] = useState(0);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // A new recording starts a fresh history
+  const [prevSourceBlob, setPrevSourceBlob] = useState(sourceBlob);
+  if (sourceBlob !== prevSourceBlob) {
+    setPrevSourceBlob(sourceBlob);
+    setHistory([]);
+    setHistoryIndex(0);
+    setSelection(null);
+  }
+
+  // --- Region selection ---
+  useEffect(() => {
+    const ws = wavesurferRef.current;
+    if (!enabled || !ws) return;
+
+    const regions = ws.registerPlugin(RegionsPlugin.create());
+    const disableDragSelection = regions.enableDragSelection({ color: regionColor });
+
+    // Only one selection at a time
+    regions.on('region-created', (region) => {
+      regions.getRegions().forEach((r) => r !== region && r.remove());
+      setSelection({ start: region.start, end: region.end });
+    });
+    regions.on('region-updated', (region) => {
+      setSelection({ start: region.start, end: region.end });
+    });
+
+    regionsRef.current = regions;
+
+    return () => {
+      disableDragSelection();
+      regions.destroy();
+      regionsRef.current = null;
+      setSelection(null);
+    };
+  }, [wavesurferRef, enabled, regionColor]);
+
+  // --- Edits ---
+  const loadEntry = useCallback((entry) => {
+    regionsRef.current?.clearRegions();
+    setSelection(null);
+    wavesurferRef.current?.loadBlob(entry.blob);
+  }, [wavesurferRef]);
+
+  const applyEdit = useCallback(async (type, edit) => {
+    if (!selection || !sourceBlob || isProcessing) return;
+    setIsProcessing(true);
+
+    try {
+      const entries = history.length > 0
+        ? history.slice(0, historyIndex + 1)
+        : [{ buffer: await decodeAudioBlob(sourceBlob), blob: sourceBlob }];
+      const buffer = edit(entries[entries.length - 1].buffer, selection.start, selection.end);
+      const entry = {
+        buffer,
+        blob: audioBufferToWav(buffer),
+        edit: { type, start: selection.start, end: selection.end },
+      };
+
+      setHistory([...entries, entry]);
+      setHistoryIndex(entries.length);
+      loadEntry(entry);
+    } catch (err) {
+      console.error('Edit error:', err);
+      onError?.(err);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [selection, sourceBlob, isProcessing, history, historyIndex, loadEntry, onError]);
+
+  const trim = useCallback(() => applyEdit('trim', sliceBuffer), [applyEdit]);
+  const cut = useCallback(() => applyEdit('cut', cutBuffer), [applyEdit]);
+
+  const undo = useCallback(() => {
+    if (historyIndex <= 0) return;
+    setHistoryIndex(historyIndex - 1);
+    loadEntry(history[historyIndex - 1]);
+  }, [history, historyIndex, loadEntry]);
+
+  const redo = useCallback(() => {
+    if (historyIndex >= history.length - 1) return;
+    setHistoryIndex(historyIndex + 1);
+    loadEntry(history[historyIndex + 1]);
+  }, [history, historyIndex, loadEntry]);
+
+  // Play just the selected region
+  const previewSelection = useCallback(() => {
+    regionsRef.current?.getRegions()[0]?.play(true);
+  }, []);
+
+  const apply = useCallback(() => {
+    if (historyIndex <= 0) return;
+    const { buffer, blob } = history[historyIndex];
+    // The edits let callers remap anything timed against the original (e.g. markers)
+    const edits = history.slice(1, historyIndex + 1).map((entry) => entry.edit);
+    onApply?.(blob, { duration: buffer.duration, edits });
+  }, [history, historyIndex, onApply]);
+
+  const discard = useCallback(() => {
+    if (history.length === 0) return;
+    loadEntry(history[0]);
+    setHistory([]);
+    setHistoryIndex(0);
+  }, [history, loadEntry]);
+
+  return {
+    selection,
+    isProcessing,
+    isDirty: historyIndex > 0,
+    canUndo: historyIndex > 0,
+    canRedo: historyIndex < history.length - 1,
+    trim,
+    cut,
+    undo,
+    redo,
+    previewSelection,
+    apply,
+    discard,
+  };
+};
+
+export default useWaveformEditor;
@@ -0,0 +1,108 @@
+// --- Library entry (npm run build:lib) ---
+export { default as AudioRecorder } from './components/AudioRecorder';
+export { default as AudioSettingsPanel } from './components/AudioSettingsPanel';
+export { default as Recorder } from './components/Recorder';
+export { default as MultitrackRecorder } from './components/MultitrackRecorder';
+export { default as MarkerList } from './components/MarkerList';
+export { default as PlaybackControls } from './components/PlaybackControls';
+export { default as RecordingsLibrary } from './components/RecordingsLibrary';
+export { default as SourceSelector } from './components/SourceSelector';
+export { default as TakeStack } from './components/TakeStack';
+export { default as TrackList } from './components/TrackList';
+export { default as Transcript } from './components/Transcript';
+export { default as useAnnouncements } from './hooks/useAnnouncements';
+export { default as useAudioDevices } from './hooks/useAudioDevices';
+export {
+  default as useAudioRecorder,
+  MAX_WAVEFORM_HISTORY,
+  RECORDER_STATES,
+  SCROLLING_WINDOW,
+  SPLICE_TYPES,
+} from './hooks/useAudioRecorder';
+export { default as useInputLevel } from './hooks/useInputLevel';
+export { default as useKeyboardControls, SEEK_STEP } from './hooks/useKeyboardControls';
+export { default as useLeaveWarning } from './hooks/useLeaveWarning';
+export { default as useLevelMeter } from './hooks/useLevelMeter';
+export { default as useLocale } from './hooks/useLocale';
+export { default as useLoudness } from './hooks/useLoudness';
+export { default as useMarkers } from './hooks/useMarkers';
+export { default as useMultitrack, TRACK_GAIN_RANGE } from './hooks/useMultitrack';
+export { default as usePlaybackControls, PLAYBACK_RATES } from './hooks/usePlaybackControls';
+export { default as useRecordingFile } from './hooks/useRecordingFile';
+export { default as useRecordingLibrary } from './hooks/useRecordingLibrary';
+export { default as useRecordingPersistence } from './hooks/useRecordingPersistence';
+export { default as useTakes } from './hooks/useTakes';
+export { default as useTheme } from './hooks/useTheme';
+export { default as useTranscription } from './hooks/useTranscription';
+export { default as useUploader } from './hooks/useUploader';
+export { default as useVoiceActivity } from './hooks/useVoiceActivity';
+export { default as useWakeLock } from './hooks/useWakeLock';
+export { default as useWaveformEditor } from './hooks/useWaveformEditor';
+export { createUploader, UploadError, DEFAULT_UPLOAD_OPTIONS } from './utils/uploader';
+export {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_OPTIONS,
+  exportRecording,
+  decodeAudioBlob,
+  encodeWav,
+} from './utils/audioExport';
+export {
+  DEFAULT_AUDIO_CONSTRAINTS,
+  DEFAULT_PROCESSING,
+  buildAudioConstraints,
+  createProcessingChain,
+} from './utils/audioProcessing';
+export {
+  AUDIO_SOURCES,
+  DEFAULT_SOURCE_GAINS,
+  createSourceMixer,
+  getDisplayAudio,
+  isDisplayAudioSupported,
+} from './utils/audioSources';
+export {
+  LOUDNESS_TARGETS,
+  measureLevels,
+  measureLoudness,
+  normalizationGain,
+} from './utils/loudness';
+export { audibleTracks, mixdownTracks, trackVolume } from './utils/mixdown';
+export { markersToCue, markersToJson, remapMarkers } from './utils/markers';
+export { downloadBlob, recordingFileName, shareFile } from './utils/download';
+export { embedMetadata } from './utils/audioMetadata';
+export {
+  DARK_THEME,
+  LIGHT_THEME,
+  THEMES,
+  resolveTheme,
+  themeToCssVars,
+  fadeColor,
+} from './utils/theme';
+export {
+  DEFAULT_LOCALE,
+  CATALOGS,
+  createTranslator,
+  isRtlLocale,
+  translateError,
+  translateUploadError,
+} from './utils/i18n';
+export * as recordingStore from './utils/recordingStore';
+export {
+  RECORDER_ERRORS,
+  RecorderError,
+  checkRecordingSupport,
+} from './utils/recorderErrors';
+export {
+  TranscriptionError,
+  createWebSpeechTranscriber,
+  createHttpTranscriber,
+  remapSegments,
+} from './utils/transcription';
+export {
+  DEFAULT_VAD_OPTIONS,
+  createVoiceDetector,
+  detectSpeechSegments,
+  trimSilence,
+} from './utils/voiceActivity';
+export { default as formatTime, formatSpokenTime } from './utils/formatTime';
+export { default as formatSize } from './utils/formatSize';
+export { MODES } from './constants';
@@ -0,0 +1,211 @@
+// --- Arabic (right-to-left) ---
+const ar = {
+  // Recorder card
+  'recorder.close': 'إغلاق',
+  'recorder.closeLabel': 'إغلاق المسجل',
+  'error.tryAgain': 'أعد المحاولة',
+  'error.dismiss': 'تجاهل',
+
+  // Errors, by RecorderError code
+  'errors.permission-denied': 'تم رفض الوصول إلى الميكروفون. اسمح به في إعدادات المتصفح ثم أعد المحاولة.',
+  'errors.no-device': 'لم يتم العثور على ميكروفون. وصّل ميكروفونًا ثم أعد المحاولة.',
+  'errors.device-busy': 'الميكروفون قيد الاستخدام من تطبيق آخر.',
+  'errors.device-lost': 'تم فصل الميكروفون. توقف التسجيل.',
+  'errors.unsupported': 'التسجيل غير مدعوم في هذا المتصفح.',
+  'errors.insecure-context': 'يتطلب التسجيل اتصالًا آمنًا (https).',
+  'errors.no-system-audio': 'لم تتم مشاركة صوت علامة تبويب أو صوت النظام. اختر علامة تبويب أو شاشة وفعّل مشاركة الصوت.',
+  'errors.system-audio-unsupported': 'لا يمكن لهذا المتصفح تسجيل صوت علامة التبويب أو صوت النظام.',
+  'errors.unknown': 'تعذر بدء التسجيل.',
+
+  // Input setup
+  'input.microphone': 'الميكروفون',
+  'input.defaultMicrophone': 'الميكروفون الافتراضي',
+  'input.device': 'الميكروفون {number}',
+  'input.test': 'اختبار الميكروفون',
+  'input.stopTest': 'إيقاف اختبار الميكروفون',
+  'input.level': 'مستوى الإدخال',
+  'input.settings': 'إعدادات الصوت',
+
+  // Capture source
+  'source.label': 'المصدر',
+  'source.mic': 'الميكروفون',
+  'source.system': 'صوت علامة التبويب',
+  'source.mixed': 'الميكروفون + علامة التبويب',
+  'source.micGain': 'الميكروفون',
+  'source.systemGain': 'علامة التبويب',
+
+  // Waveform
+  'waveform.idle': 'الموجة الصوتية',
+  'waveform.live': 'الموجة الصوتية المباشرة',
+  'waveform.position': 'موضع التشغيل',
+  'waveform.positionValue': '{current} من {total}',
+
+  // Voice activity
+  'vad.waiting': 'بانتظار الكلام',
+  'vad.autoPaused': 'متوقف بسبب الصمت',
+  'vad.speech': 'كلام',
+  'vad.silence': 'صمت',
+
+  // Edit toolbar
+  'edit.trim': 'قص إلى التحديد',
+  'edit.cut': 'حذف التحديد',
+  'edit.preview': 'تشغيل التحديد',
+  'edit.undo': 'تراجع',
+  'edit.redo': 'إعادة',
+  'edit.append': 'متابعة التسجيل في النهاية',
+  'edit.punchIn': 'إعادة تسجيل التحديد',
+  'edit.pending': 'طبّق التعديلات أو تجاهلها أولًا',
+  'edit.apply': 'تطبيق',
+  'edit.applyTitle': 'تطبيق التعديلات',
+  'edit.discard': 'تجاهل التعديلات',
+
+  // Controls
+  'controls.start': 'بدء التسجيل',
+  'controls.stop': 'إيقاف التسجيل',
+  'controls.pause': 'إيقاف مؤقت',
+  'controls.resume': 'استئناف',
+  'controls.cancel': 'إلغاء',
+  'controls.countdown': 'البدء خلال {count}، إلغاء',
+  'controls.minDuration': 'سجّل {time} على الأقل',
+  'controls.delete': 'حذف',
+  'controls.deleteRecording': 'حذف التسجيل',
+  'controls.discardSplice': 'تجاهل الصوت الجديد',
+  'controls.newTake': 'لقطة جديدة',
+  'controls.startAgain': 'البدء من جديد',
+  'controls.addMarker': 'إضافة علامة',
+  'controls.addMarkerKey': 'إضافة علامة ({key})',
+  'controls.play': 'تشغيل التسجيل',
+  'controls.pausePlayback': 'إيقاف التشغيل مؤقتًا',
+
+  // Upload
+  'upload.upload': 'رفع',
+  'upload.encoding': 'جارٍ الترميز…',
+  'upload.retry': 'إعادة المحاولة',
+  'upload.done': 'تم الرفع',
+  'upload.cancel': 'إلغاء الرفع',
+  'upload.cancelled': 'تم إلغاء الرفع',
+  'upload.error.config': 'لم يتم إعداد وجهة للرفع',
+  'upload.error.network': 'خطأ في الشبكة أثناء الرفع',
+  'upload.error.http': 'فشل الرفع (HTTP {status})',
+  'upload.error.cancelled': 'تم إلغاء الرفع',
+
+  // Playback controls
+  'playback.back': 'رجوع {time}',
+  'playback.forward': 'تقديم {time}',
+  'playback.speed': 'سرعة التشغيل',
+  'playback.rate': '×{rate}',
+  'playback.mute': 'كتم الصوت',
+  'playback.unmute': 'إلغاء الكتم',
+  'playback.volume': 'مستوى الصوت',
+  'playback.loop': 'تكرار',
+  'playback.loopSelection': 'تكرار التحديد',
+
+  // Download & share
+  'file.download': 'تنزيل {name}',
+  'file.downloadLabel': 'تنزيل التسجيل',
+  'file.share': 'مشاركة التسجيل',
+  'file.shared': 'تمت المشاركة',
+  'file.copied': 'تم نسخ الرابط',
+  'file.unsupported': 'المشاركة غير متاحة',
+
+  // Markers
+  'markers.jump': 'الانتقال إلى العلامة',
+  'markers.placeholder': 'علامة {number}',
+  'markers.remove': 'إزالة العلامة',
+  'markers.downloadCue': 'تنزيل ملف cue',
+  'markers.downloadJson': 'تنزيل العلامات بصيغة JSON',
+
+  // Takes
+  'takes.play': 'تشغيل',
+  'takes.pause': 'إيقاف مؤقت',
+  'takes.selected': 'محددة للرفع',
+  'takes.use': 'استخدام هذه اللقطة',
+  'takes.delete': 'حذف اللقطة',
+
+  // Levels
+  'meter.label': 'مستوى التسجيل',
+  'meter.value': 'الذروة {peak} dB، RMS {rms} dB',
+  'meter.clip': 'تشبّع',
+  'meter.clipped': 'تشبّع الإدخال أثناء هذا التسجيل؛ اخفض الكسب',
+  'meter.noClipping': 'لا تشبّع حتى الآن',
+  'loudness.measuring': 'جارٍ قياس علو الصوت…',
+  'loudness.integrated': '{value} LUFS',
+  'loudness.integratedTitle': 'علو الصوت المتكامل (EBU R128)',
+  'loudness.peak': 'الذروة {value} dBFS',
+  'loudness.clipped': '{count} عينة متشبّعة',
+
+  // Multitrack
+  'multitrack.record': 'تسجيل مسار جديد',
+  'multitrack.stop': 'إيقاف التسجيل',
+  'multitrack.play': 'تشغيل كل المسارات',
+  'multitrack.pause': 'إيقاف كل المسارات مؤقتًا',
+  'multitrack.rewind': 'العودة إلى البداية',
+  'multitrack.monitor': 'تشغيل المسارات الأخرى أثناء التسجيل',
+  'multitrack.monitorHint': 'استخدم سماعات الرأس، وإلا سيُسجَّل صوت السماعات في المسار الجديد',
+  'multitrack.empty': 'سجّل المسار الأول، ثم أضف مسارات أخرى فوقه',
+  'multitrack.full': 'لا مزيد من المسارات: الحد الأقصى {count}',
+  'multitrack.track': 'المسار {number}',
+  'multitrack.name': 'اسم المسار',
+  'multitrack.mute': 'كتم',
+  'multitrack.solo': 'منفرد',
+  'multitrack.gain': 'مستوى الصوت',
+  'multitrack.delete': 'حذف المسار',
+  'multitrack.download': 'تنزيل المزج',
+  'multitrack.mixing': 'جارٍ المزج…',
+  'multitrack.mixFailed': 'فشل المزج: {message}',
+
+  // Transcript
+  'transcript.transcribing': 'جارٍ التفريغ النصي…',
+
+  // Audio settings
+  'settings.browser': 'المتصفح',
+  'settings.echoCancellation': 'إلغاء الصدى',
+  'settings.noiseSuppression': 'إلغاء الضوضاء',
+  'settings.autoGainControl': 'الكسب التلقائي',
+  'settings.channels': 'القنوات',
+  'settings.sampleRate': 'معدل العينة',
+  'settings.auto': 'تلقائي',
+  'settings.mono': 'أحادي',
+  'settings.stereo': 'ستيريو',
+  'settings.processing': 'المعالجة',
+  'settings.gain': 'الكسب',
+  'settings.highPass': 'تمرير عالٍ',
+  'settings.gate': 'بوابة',
+  'settings.limiter': 'محدِّد',
+  'settings.off': 'إيقاف',
+
+  // Recordings library
+  'library.title': 'التسجيلات',
+  'library.unsaved': 'تسجيل غير محفوظ',
+  'library.recover': 'استعادة',
+  'library.discard': 'تجاهل',
+  'library.empty': 'لا توجد تسجيلات بعد',
+  'library.play': 'تشغيل',
+  'library.pause': 'إيقاف مؤقت',
+  'library.rename': 'إعادة تسمية',
+  'library.download': 'تنزيل',
+  'library.delete': 'حذف',
+  'library.untitled': 'تسجيل {date}',
+  'library.recovered': 'تسجيل مستعاد {date}',
+
+  // Demo page
+  'app.limited': 'مدة ثابتة ({seconds} ث)',
+  'app.unlimited': 'تمرير غير محدود',
+  'app.multitrack': 'متعدد المسارات',
+  'app.lightTheme': 'المظهر الفاتح',
+  'app.darkTheme': 'المظهر الداكن',
+  'app.switchToLight': 'التبديل إلى المظهر الفاتح',
+  'app.switchToDark': 'التبديل إلى المظهر الداكن',
+  'app.language': 'اللغة',
+
+  // Screen-reader announcements
+  'announce.ready': 'جاهز للتسجيل',
+  'announce.recording': 'جارٍ التسجيل',
+  'announce.resumed': 'تم استئناف التسجيل',
+  'announce.paused': 'متوقف مؤقتًا عند {time}',
+  'announce.finished': 'انتهى التسجيل، {time}',
+  'announce.remaining': 'متبقٍ {time}',
+  'announce.elapsed': 'تم تسجيل {time}',
+};
+
+export default ar;
@@ -0,0 +1,211 @@
+// --- German ---
+const de = {
+  // Recorder card
+  'recorder.close': 'Schließen',
+  'recorder.closeLabel': 'Rekorder schließen',
+  'error.tryAgain': 'ERNEUT VERSUCHEN',
+  'error.dismiss': 'Ausblenden',
+
+  // Errors, by RecorderError code
+  'errors.permission-denied': 'Der Mikrofonzugriff wurde verweigert. Erlaube ihn in den Browsereinstellungen und versuche es erneut.',
+  'errors.no-device': 'Kein Mikrofon gefunden. Schließe eines an und versuche es erneut.',
+  'errors.device-busy': 'Das Mikrofon wird von einer anderen Anwendung verwendet.',
+  'errors.device-lost': 'Das Mikrofon wurde getrennt. Die Aufnahme wurde beendet.',
+  'errors.unsupported': 'Dieser Browser unterstützt keine Aufnahmen.',
+  'errors.insecure-context': 'Aufnahmen erfordern eine sichere (https) Verbindung.',
+  'errors.no-system-audio': 'Es wurde kein Tab- oder Systemton geteilt. Wähle einen Tab oder Bildschirm und aktiviere das Teilen des Tons.',
+  'errors.system-audio-unsupported': 'Dieser Browser kann keinen Tab- oder Systemton aufnehmen.',
+  'errors.unknown': 'Die Aufnahme konnte nicht gestartet werden.',
+
+  // Input setup
+  'input.microphone': 'Mikrofon',
+  'input.defaultMicrophone': 'Standardmikrofon',
+  'input.device': 'Mikrofon {number}',
+  'input.test': 'Mikrofon testen',
+  'input.stopTest': 'Mikrofontest beenden',
+  'input.level': 'Eingangspegel',
+  'input.settings': 'Audioeinstellungen',
+
+  // Capture source
+  'source.label': 'Quelle',
+  'source.mic': 'Mikrofon',
+  'source.system': 'Tab-Ton',
+  'source.mixed': 'Mikro + Tab',
+  'source.micGain': 'Mikro',
+  'source.systemGain': 'Tab',
+
+  // Waveform
+  'waveform.idle': 'Wellenform',
+  'waveform.live': 'Live-Wellenform',
+  'waveform.position': 'Wiedergabeposition',
+  'waveform.positionValue': '{current} von {total}',
+
+  // Voice activity
+  'vad.waiting': 'WARTE AUF SPRACHE',
+  'vad.autoPaused': 'PAUSE BEI STILLE',
+  'vad.speech': 'SPRACHE',
+  'vad.silence': 'STILLE',
+
+  // Edit toolbar
+  'edit.trim': 'Auf Auswahl zuschneiden',
+  'edit.cut': 'Auswahl ausschneiden',
+  'edit.preview': 'Auswahl abspielen',
+  'edit.undo': 'Rückgängig',
+  'edit.redo': 'Wiederholen',
+  'edit.append': 'Am Ende weiter aufnehmen',
+  'edit.punchIn': 'Auswahl neu aufnehmen',
+  'edit.pending': 'Änderungen zuerst übernehmen oder verwerfen',
+  'edit.apply': 'ÜBERNEHMEN',
+  'edit.applyTitle': 'Änderungen übernehmen',
+  'edit.discard': 'Änderungen verwerfen',
+
+  // Controls
+  'controls.start': 'Aufnahme starten',
+  'controls.stop': 'Aufnahme beenden',
+  'controls.pause': 'PAUSE',
+  'controls.resume': 'FORTSETZEN',
+  'controls.cancel': 'Abbrechen',
+  'controls.countdown': 'Start in {count}, abbrechen',
+  'controls.minDuration': 'Mindestens {time} aufnehmen',
+  'controls.delete': 'Löschen',
+  'controls.deleteRecording': 'Aufnahme löschen',
+  'controls.discardSplice': 'Neue Aufnahme verwerfen',
+  'controls.newTake': 'Neuer Take',
+  'controls.startAgain': 'Neu beginnen',
+  'controls.addMarker': 'Marker setzen',
+  'controls.addMarkerKey': 'Marker setzen ({key})',
+  'controls.play': 'Aufnahme abspielen',
+  'controls.pausePlayback': 'Wiedergabe pausieren',
+
+  // Upload
+  'upload.upload': 'HOCHLADEN',
+  'upload.encoding': 'KODIERE…',
+  'upload.retry': 'WIEDERHOLEN',
+  'upload.done': 'HOCHGELADEN',
+  'upload.cancel': 'Hochladen abbrechen',
+  'upload.cancelled': 'Hochladen abgebrochen',
+  'upload.error.config': 'Es ist kein Upload-Ziel konfiguriert',
+  'upload.error.network': 'Netzwerkfehler beim Hochladen',
+  'upload.error.http': 'Hochladen fehlgeschlagen (HTTP {status})',
+  'upload.error.cancelled': 'Hochladen abgebrochen',
+
+  // Playback controls
+  'playback.back': '{time} zurück',
+  'playback.forward': '{time} vor',
+  'playback.speed': 'Wiedergabegeschwindigkeit',
+  'playback.rate': '{rate}×',
+  'playback.mute': 'Stummschalten',
+  'playback.unmute': 'Ton an',
+  'playback.volume': 'Lautstärke',
+  'playback.loop': 'Wiederholen',
+  'playback.loopSelection': 'Auswahl wiederholen',
+
+  // Download & share
+  'file.download': '{name} herunterladen',
+  'file.downloadLabel': 'Aufnahme herunterladen',
+  'file.share': 'Aufnahme teilen',
+  'file.shared': 'GETEILT',
+  'file.copied': 'LINK KOPIERT',
+  'file.unsupported': 'TEILEN NICHT MÖGLICH',
+
+  // Markers
+  'markers.jump': 'Zum Marker springen',
+  'markers.placeholder': 'Marker {number}',
+  'markers.remove': 'Marker entfernen',
+  'markers.downloadCue': 'Cue-Sheet herunterladen',
+  'markers.downloadJson': 'Marker als JSON herunterladen',
+
+  // Takes
+  'takes.play': 'Abspielen',
+  'takes.pause': 'Pause',
+  'takes.selected': 'Zum Hochladen ausgewählt',
+  'takes.use': 'Diesen Take verwenden',
+  'takes.delete': 'Take löschen',
+
+  // Levels
+  'meter.label': 'Aufnahmepegel',
+  'meter.value': 'Spitze {peak} dB, RMS {rms} dB',
+  'meter.clip': 'CLIP',
+  'meter.clipped': 'Der Eingang hat in dieser Aufnahme übersteuert; Verstärkung verringern',
+  'meter.noClipping': 'Bisher keine Übersteuerung',
+  'loudness.measuring': 'Lautheit wird gemessen…',
+  'loudness.integrated': '{value} LUFS',
+  'loudness.integratedTitle': 'Integrierte Lautheit (EBU R128)',
+  'loudness.peak': 'Spitze {value} dBFS',
+  'loudness.clipped': '{count} übersteuerte Samples',
+
+  // Multitrack
+  'multitrack.record': 'Neue Spur aufnehmen',
+  'multitrack.stop': 'Aufnahme beenden',
+  'multitrack.play': 'Alle Spuren abspielen',
+  'multitrack.pause': 'Alle Spuren anhalten',
+  'multitrack.rewind': 'Zurück zum Anfang',
+  'multitrack.monitor': 'Andere Spuren während der Aufnahme abspielen',
+  'multitrack.monitorHint': 'Kopfhörer verwenden, sonst landen die Lautsprecher auf der neuen Spur',
+  'multitrack.empty': 'Erste Spur aufnehmen, dann weitere darüber einspielen',
+  'multitrack.full': 'Keine weiteren Spuren: höchstens {count}',
+  'multitrack.track': 'Spur {number}',
+  'multitrack.name': 'Spurname',
+  'multitrack.mute': 'Stumm',
+  'multitrack.solo': 'Solo',
+  'multitrack.gain': 'Lautstärke',
+  'multitrack.delete': 'Spur löschen',
+  'multitrack.download': 'Mixdown herunterladen',
+  'multitrack.mixing': 'Mische…',
+  'multitrack.mixFailed': 'Mixdown fehlgeschlagen: {message}',
+
+  // Transcript
+  'transcript.transcribing': 'Transkribiere…',
+
+  // Audio settings
+  'settings.browser': 'Browser',
+  'settings.echoCancellation': 'Echounterdrückung',
+  'settings.noiseSuppression': 'Rauschunterdrückung',
+  'settings.autoGainControl': 'Automatische Verstärkung',
+  'settings.channels': 'Kanäle',
+  'settings.sampleRate': 'Abtastrate',
+  'settings.auto': 'Auto',
+  'settings.mono': 'Mono',
+  'settings.stereo': 'Stereo',
+  'settings.processing': 'Bearbeitung',
+  'settings.gain': 'Verstärkung',
+  'settings.highPass': 'Hochpass',
+  'settings.gate': 'Gate',
+  'settings.limiter': 'Limiter',
+  'settings.off': 'Aus',
+
+  // Recordings library
+  'library.title': 'AUFNAHMEN',
+  'library.unsaved': 'Ungespeicherte Aufnahme',
+  'library.recover': 'Wiederherstellen',
+  'library.discard': 'Verwerfen',
+  'library.empty': 'Noch keine Aufnahmen',
+  'library.play': 'Abspielen',
+  'library.pause': 'Pause',
+  'library.rename': 'Umbenennen',
+  'library.download': 'Herunterladen',
+  'library.delete': 'Löschen',
+  'library.untitled': 'Aufnahme {date}',
+  'library.recovered': 'Wiederhergestellt {date}',
+
+  // Demo page
+  'app.limited': 'Feste Länge ({seconds} s)',
+  'app.unlimited': 'Unbegrenzt',
+  'app.multitrack': 'Mehrspur',
+  'app.lightTheme': 'Helles Design',
+  'app.darkTheme': 'Dunkles Design',
+  'app.switchToLight': 'Zum hellen Design wechseln',
+  'app.switchToDark': 'Zum dunklen Design wechseln',
+  'app.language': 'Sprache',
+
+  // Screen-reader announcements
+  'announce.ready': 'Bereit zur Aufnahme',
+  'announce.recording': 'Aufnahme läuft',
+  'announce.resumed': 'Aufnahme fortgesetzt',
+  'announce.paused': 'Pausiert bei {time}',
+  'announce.finished': 'Aufnahme beendet, {time}',
+  'announce.remaining': 'Noch {time}',
+  'announce.elapsed': '{time} aufgenommen',
+};
+
+export default de;
@@ -0,0 +1,212 @@
+// --- English (the fallback for every missing key) ---
+// Placeholders in braces are filled in by the translator: t('markers.placeholder', { number: 2 })
+const en = {
+  // Recorder card
+  'recorder.close': 'Close',
+  'recorder.closeLabel': 'Close recorder',
+  'error.tryAgain': 'TRY AGAIN',
+  'error.dismiss': 'Dismiss',
+
+  // Errors, by RecorderError code
+  'errors.permission-denied': 'Microphone access was denied. Allow it in your browser settings and try again.',
+  'errors.no-device': 'No microphone was found. Connect one and try again.',
+  'errors.device-busy': 'The microphone is in use by another application.',
+  'errors.device-lost': 'The microphone was disconnected. The recording was stopped.',
+  'errors.unsupported': 'Recording is not supported in this browser.',
+  'errors.insecure-context': 'Recording requires a secure (https) connection.',
+  'errors.no-system-audio': 'No tab or system audio was shared. Pick a tab or screen and turn on sharing its audio.',
+  'errors.system-audio-unsupported': 'This browser can\'t record tab or system audio.',
+  'errors.unknown': 'Could not start recording.',
+
+  // Input setup
+  'input.microphone': 'Microphone',
+  'input.defaultMicrophone': 'Default microphone',
+  'input.device': 'Microphone {number}',
+  'input.test': 'Test microphone',
+  'input.stopTest': 'Stop mic test',
+  'input.level': 'Input level',
+  'input.settings': 'Audio settings',
+
+  // Capture source
+  'source.label': 'Source',
+  'source.mic': 'Microphone',
+  'source.system': 'Tab audio',
+  'source.mixed': 'Mic + tab',
+  'source.micGain': 'Mic',
+  'source.systemGain': 'Tab',
+
+  // Waveform
+  'waveform.idle': 'Waveform',
+  'waveform.live': 'Live waveform',
+  'waveform.position': 'Playback position',
+  'waveform.positionValue': '{current} of {total}',
+
+  // Voice activity
+  'vad.waiting': 'WAITING FOR SPEECH',
+  'vad.autoPaused': 'PAUSED ON SILENCE',
+  'vad.speech': 'SPEECH',
+  'vad.silence': 'SILENCE',
+
+  // Edit toolbar
+  'edit.trim': 'Trim to selection',
+  'edit.cut': 'Cut selection',
+  'edit.preview': 'Play selection',
+  'edit.undo': 'Undo',
+  'edit.redo': 'Redo',
+  'edit.append': 'Continue recording at the end',
+  'edit.punchIn': 'Re-record the selection',
+  'edit.pending': 'Apply or discard edits first',
+  'edit.apply': 'APPLY',
+  'edit.applyTitle': 'Apply edits',
+  'edit.discard': 'Discard edits',
+
+  // Controls
+  'controls.start': 'Start recording',
+  'controls.stop': 'Stop recording',
+  'controls.pause': 'PAUSE',
+  'controls.resume': 'RESUME',
+  'controls.cancel': 'Cancel',
+  'controls.countdown': 'Starting in {count}, cancel',
+  'controls.minDuration': 'Record at least {time}',
+  'controls.delete': 'Delete',
+  'controls.deleteRecording': 'Delete recording',
+  'controls.discardSplice': 'Discard the new audio',
+  'controls.newTake': 'New take',
+  'controls.startAgain': 'Start Again',
+  'controls.addMarker': 'Add marker',
+  'controls.addMarkerKey': 'Add marker ({key})',
+  'controls.play': 'Play recording',
+  'controls.pausePlayback': 'Pause playback',
+
+  // Upload
+  'upload.upload': 'UPLOAD',
+  'upload.encoding': 'ENCODING…',
+  'upload.retry': 'RETRY',
+  'upload.done': 'UPLOADED',
+  'upload.cancel': 'Cancel upload',
+  'upload.cancelled': 'Upload cancelled',
+  'upload.error.config': 'No upload endpoint is configured',
+  'upload.error.network': 'Network error during upload',
+  'upload.error.http': 'Upload failed (HTTP {status})',
+  'upload.error.cancelled': 'Upload cancelled',
+
+  // Playback controls
+  'playback.back': 'Back {time}',
+  'playback.forward': 'Forward {time}',
+  'playback.speed': 'Playback speed',
+  'playback.rate': '{rate}×',
+  'playback.mute': 'Mute',
+  'playback.unmute': 'Unmute',
+  'playback.volume': 'Volume',
+  'playback.loop': 'Loop',
+  'playback.loopSelection': 'Loop selection',
+
+  // Download & share
+  'file.download': 'Download {name}',
+  'file.downloadLabel': 'Download recording',
+  'file.share': 'Share recording',
+  'file.shared': 'SHARED',
+  'file.copied': 'LINK COPIED',
+  'file.unsupported': 'CAN\'T SHARE',
+
+  // Markers
+  'markers.jump': 'Jump to marker',
+  'markers.placeholder': 'Marker {number}',
+  'markers.remove': 'Remove marker',
+  'markers.downloadCue': 'Download cue sheet',
+  'markers.downloadJson': 'Download markers as JSON',
+
+  // Takes
+  'takes.play': 'Play',
+  'takes.pause': 'Pause',
+  'takes.selected': 'Selected for upload',
+  'takes.use': 'Use this take',
+  'takes.delete': 'Delete take',
+
+  // Levels
+  'meter.label': 'Recording level',
+  'meter.value': 'Peak {peak} dB, RMS {rms} dB',
+  'meter.clip': 'CLIP',
+  'meter.clipped': 'The input clipped during this take; lower the gain',
+  'meter.noClipping': 'No clipping so far',
+  'loudness.measuring': 'Measuring loudness…',
+  'loudness.integrated': '{value} LUFS',
+  'loudness.integratedTitle': 'Integrated loudness (EBU R128)',
+  'loudness.peak': 'Peak {value} dBFS',
+  'loudness.clipped': '{count} clipped samples',
+
+  // Multitrack
+  'multitrack.record': 'Record a new track',
+  'multitrack.stop': 'Stop recording',
+  'multitrack.play': 'Play all tracks',
+  'multitrack.pause': 'Pause all tracks',
+  'multitrack.rewind': 'Back to the start',
+  'multitrack.monitor': 'Play the other tracks while recording',
+  'multitrack.monitorHint': 'Use headphones, or the speakers end up on the new track',
+  'multitrack.empty': 'Record a first track, then overdub more on top',
+  'multitrack.full': 'No more tracks: {count} is the limit',
+  'multitrack.track': 'Track {number}',
+  'multitrack.name': 'Track name',
+  'multitrack.mute': 'Mute',
+  'multitrack.solo': 'Solo',
+  'multitrack.gain': 'Volume',
+  'multitrack.delete': 'Delete track',
+  'multitrack.download': 'Download mixdown',
+  'multitrack.mixing': 'Mixing…',
+  'multitrack.mixFailed': 'The mixdown failed: {message}',
+
+  // Transcript
+  'transcript.transcribing': 'Transcribing…',
+
+  // Audio settings
+  'settings.browser': 'Browser',
+  'settings.echoCancellation': 'Echo cancellation',
+  'settings.noiseSuppression': 'Noise suppression',
+  'settings.autoGainControl': 'Auto gain',
+  'settings.channels': 'Channels',
+  'settings.sampleRate': 'Sample rate',
+  'settings.auto': 'Auto',
+  'settings.mono': 'Mono',
+  'settings.stereo': 'Stereo',
+  'settings.processing': 'Processing',
+  'settings.gain': 'Gain',
+  'settings.highPass': 'High-pass',
+  'settings.gate': 'Gate',
+  'settings.limiter': 'Limiter',
+  'settings.off': 'Off',
+
+  // Recordings library
+  'library.title': 'RECORDINGS',
+  'library.unsaved': 'Unsaved recording',
+  'library.recover': 'Recover',
+  'library.discard': 'Discard',
+  'library.empty': 'No recordings yet',
+  'library.play': 'Play',
+  'library.pause': 'Pause',
+  'library.rename': 'Rename',
+  'library.download': 'Download',
+  'library.delete': 'Delete',
+  'library.untitled': 'Recording {date}',
+  'library.recovered': 'Recovered {date}',
+
+  // Demo page
+  'app.limited': 'Fixed Length ({seconds}s)',
+  'app.unlimited': 'Unlimited Scroll',
+  'app.multitrack': 'Multitrack',
+  'app.lightTheme': 'Light theme',
+  'app.darkTheme': 'Dark theme',
+  'app.switchToLight': 'Switch to the light theme',
+  'app.switchToDark': 'Switch to the dark theme',
+  'app.language': 'Language',
+
+  // Screen-reader announcements
+  'announce.ready': 'Ready to record',
+  'announce.recording': 'Recording',
+  'announce.resumed': 'Recording resumed',
+  'announce.paused': 'Paused at {time}',
+  'announce.finished': 'Recording finished, {time}',
+  'announce.remaining': '{time} left',
+  'announce.elapsed': '{time} recorded',
+};
+
+export default en;
@@ -0,0 +1,574 @@
+import { vi } from 'vitest';
+
+// --- Browser audio fakes for jsdom ---
+// Enough of getUserMedia, MediaRecorder, Web Audio, WaveSurfer and its plugins for the
+// recorder to run its whole state machine; tests drive time and playback by hand.
+
+// --- Media streams ---
+export class FakeMediaStreamTrack extends EventTarget {
+  readyState = 'live';
+  enabled = true;
+
+  constructor(kind = 'audio') {
+    super();
+    this.kind = kind;
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+
+  getSettings() {
+    return { deviceId: 'default', sampleRate: 48000, channelCount: 1 };
+  }
+
+  // The device going away (e.g. unplugged) rather than us stopping it
+  end() {
+    this.readyState = 'ended';
+    this.dispatchEvent(new Event('ended'));
+  }
+}
+
+export class FakeMediaStream {
+  constructor(tracks = [new FakeMediaStreamTrack()]) {
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter((track) => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter((track) => track.kind === 'video');
+  }
+}
+
+// What the share dialog hands back for a tab shared with its audio
+export const createDisplayStream = () => new FakeMediaStream([
+  new FakeMediaStreamTrack('video'),
+  new FakeMediaStreamTrack('audio'),
+]);
+
+// --- MediaRecorder ---
+// Every start/requestData/stop hands out one small chunk; events fire asynchronously like the real one.
+export class FakeMediaRecorder extends EventTarget {
+  static isTypeSupported = vi.fn(() => true);
+
+  constructor(stream, { mimeType = 'audio/webm' } = {}) {
+    super();
+    this.stream = stream;
+    this.mimeType = mimeType;
+    this.state = 'inactive';
+    this.ondataavailable = null;
+    this.onstop = null;
+  }
+
+  emitData() {
+    const event = new Event('dataavailable');
+    event.data = new Blob([new Uint8Array(16)], { type: this.mimeType });
+    this.dispatchEvent(event);
+    this.ondataavailable?.(event);
+  }
+
+  start() {
+    this.state = 'recording';
+    queueMicrotask(() => this.dispatchEvent(new Event('start')));
+  }
+
+  pause() {
+    this.state = 'paused';
+    queueMicrotask(() => this.dispatchEvent(new Event('pause')));
+  }
+
+  resume() {
+    this.state = 'recording';
+    queueMicrotask(() => this.dispatchEvent(new Event('resume')));
+  }
+
+  requestData() {
+    queueMicrotask(() => this.emitData());
+  }
+
+  stop() {
+    if (this.state === 'inactive') return;
+    this.state = 'inactive';
+    queueMicrotask(() => {
+      this.emitData();
+      const event = new Event('stop');
+      this.dispatchEvent(event);
+      this.onstop?.(event);
+    });
+  }
+}
+
+// --- Web Audio ---
+const createParam = (value = 0) => ({
+  value,
+  setValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn(),
+});
+
+const createNode = (extra = {}) => ({
+  connect: vi.fn((target) => target),
+  disconnect: vi.fn(),
+  ...extra,
+});
+
+// Stands in for an AudioBuffer, one array of samples per channel
+export const createAudioBuffer = (channels, sampleRate = 48000) => ({
+  numberOfChannels: channels.length,
+  sampleRate,
+  length: channels[0].length,
+  duration: channels[0].length / sampleRate,
+  getChannelData: (i) => channels[i],
+});
+
+export class FakeAudioContext {
+  static decoded = null; // What decodeAudioData resolves to, one second of silence by default
+
+  state = 'running';
+  currentTime = 0;
+  sampleRate = 48000;
+  destination = createNode();
+
+  createMediaStreamSource() {
+    return createNode();
+  }
+
+  createMediaStreamDestination() {
+    return createNode({ stream: new FakeMediaStream() });
+  }
+
+  createGain() {
+    return createNode({ gain: createParam(1) });
+  }
+
+  createBiquadFilter() {
+    return createNode({ type: 'lowpass', frequency: createParam(350), Q: createParam(1) });
+  }
+
+  createDynamicsCompressor() {
+    return createNode({
+      threshold: createParam(-24),
+      knee: createParam(30),
+      ratio: createParam(12),
+      attack: createParam(0.003),
+      release: createParam(0.25),
+    });
+  }
+
+  createAnalyser() {
+    // Silence: every sample at zero
+    return createNode({
+      fftSize: 2048,
+      getFloatTimeDomainData: vi.fn((data) => data.fill(0)),
+      getByteTimeDomainData: vi.fn((data) => data.fill(128)),
+    });
+  }
+
+  createOscillator() {
+    return createNode({ frequency: createParam(440), start: vi.fn(), stop: vi.fn() });
+  }
+
+  decodeAudioData() {
+    return Promise.resolve(FakeAudioContext.decoded);
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+
+// --- Event emitter shared by the WaveSurfer fakes ---
+class FakeEmitter {
+  listeners = new Map();
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.un(event, listener);
+  }
+
+  once(event, listener) {
+    const unsubscribe = this.on(event, (...args) => {
+      unsubscribe();
+      listener(...args);
+    });
+    return unsubscribe;
+  }
+
+  un(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  unAll() {
+    this.listeners.clear();
+  }
+
+  emit(event, ...args) {
+    [...(this.listeners.get(event) ?? [])].forEach((listener) => listener(...args));
+  }
+}
+
+// --- WaveSurfer ---
+// `FakeWaveSurfer.instances` holds every instance created; tests play, seek and finish by hand.
+export class FakeWaveSurfer extends FakeEmitter {
+  static instances = [];
+
+  static create(options) {
+    const ws = new FakeWaveSurfer(options);
+    FakeWaveSurfer.instances.push(ws);
+    return ws;
+  }
+
+  static latest() {
+    return FakeWaveSurfer.instances[FakeWaveSurfer.instances.length - 1];
+  }
+
+  constructor(options) {
+    super();
+    this.options = { ...options };
+    this.plugins = [];
+    this.url = null;
+    this.duration = 0;
+    this.currentTime = 0;
+    this.playing = false;
+    this.destroyed = false;
+    this.playbackRate = 1;
+    this.volume = 1;
+    this.muted = false;
+    if (options?.url) this.load(options.url);
+  }
+
+  registerPlugin(plugin) {
+    plugin.wavesurfer = this;
+    this.plugins.push(plugin);
+    return plugin;
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  // Loading a recording decodes it right away, as `duration` seconds of audio
+  load(url, peaks, duration) {
+    this.url = url;
+    this.currentTime = 0;
+    this.duration = duration ?? FakeWaveSurfer.decodedDuration;
+    if (url) {
+      queueMicrotask(() => {
+        this.emit('decode', this.duration);
+        this.emit('ready', this.duration);
+      });
+    }
+    return Promise.resolve();
+  }
+
+  loadBlob(blob) {
+    return this.load(URL.createObjectURL(blob));
+  }
+
+  empty() {
+    this.url = null;
+    this.duration = 0;
+  }
+
+  getDecodedData() {
+    // Silence at a low rate, enough for analysis that walks the samples
+    return this.url ? createAudioBuffer([new Float32Array(Math.round(this.duration * 8000))], 8000) : null;
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  getCurrentTime() {
+    return this.currentTime;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  play() {
+    this.playing = true;
+    this.emit('play');
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.emit('pause');
+  }
+
+  playPause() {
+    return this.playing ? this.pause() : this.play();
+  }
+
+  stop() {
+    this.pause();
+    this.setTime(0);
+  }
+
+  setTime(time) {
+    this.currentTime = time;
+    this.emit('timeupdate', time);
+  }
+
+  // Test helper: playback reaches the end
+  finish() {
+    this.setTime(this.duration);
+    this.playing = false;
+    this.emit('finish');
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+  }
+
+  setVolume(volume) {
+    this.volume = volume;
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+  }
+
+  getWrapper() {
+    return this.options.container;
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.plugins.forEach((plugin) => plugin.destroy());
+    this.emit('destroy');
+    this.unAll();
+  }
+}
+
+FakeWaveSurfer.decodedDuration = 5; // Seconds a loaded recording decodes to
+
+// --- Record plugin ---
+// Records through the global MediaRecorder like the real plugin, including its quirks: the mic is
+// let go on record-end, which drops the MediaRecorder, and isActive() is true without one.
+// The clock only moves on tick().
+export class FakeRecordPlugin extends FakeEmitter {
+  static create(options) {
+    return new this(options || {});
+  }
+
+  constructor(options) {
+    super();
+    this.options = options;
+    this.stream = null;
+    this.micStream = null;
+    this.mediaRecorder = null;
+    this.duration = 0;
+  }
+
+  renderMicStream() {
+    return { onDestroy: () => {}, onEnd: () => this.stopMic() };
+  }
+
+  async startMic(constraints) {
+    if (this.micStream) this.stopMic();
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: constraints ?? true });
+    const micStream = this.renderMicStream(stream);
+    this.micStream = micStream;
+    this.unsubscribeDestroy = this.once('destroy', micStream.onDestroy);
+    this.unsubscribeRecordEnd = this.once('record-end', micStream.onEnd);
+    this.stream = stream;
+    return stream;
+  }
+
+  stopMic() {
+    this.micStream?.onDestroy();
+    this.unsubscribeDestroy?.();
+    this.unsubscribeRecordEnd?.();
+    this.micStream = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+      this.mediaRecorder = null;
+    }
+  }
+
+  async startRecording(constraints) {
+    const stream = this.stream || await this.startMic(constraints);
+    const mimeType = this.options.mimeType || 'audio/webm';
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      chunks.push(event.data);
+      this.emit('record-data-available', event.data);
+    };
+    recorder.onstop = () => {
+      this.emit('record-end', new Blob(chunks, { type: mimeType }));
+    };
+    this.mediaRecorder = recorder;
+    this.duration = 0;
+    recorder.start(this.options.mediaRecorderTimeslice);
+    this.emit('record-start');
+  }
+
+  isRecording() {
+    return this.mediaRecorder?.state === 'recording';
+  }
+
+  isPaused() {
+    return this.mediaRecorder?.state === 'paused';
+  }
+
+  isActive() {
+    return this.mediaRecorder?.state !== 'inactive';
+  }
+
+  pauseRecording() {
+    if (!this.isRecording()) return;
+    this.mediaRecorder.requestData();
+    this.mediaRecorder.pause();
+    this.emit('record-pause');
+  }
+
+  resumeRecording() {
+    if (!this.isPaused()) return;
+    this.mediaRecorder.resume();
+    this.emit('record-resume');
+  }
+
+  // The mic is let go on record-end
+  stopRecording() {
+    if (!this.isActive()) return;
+    this.mediaRecorder?.stop();
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  // Test helper: advance the recording clock by `ms` while recording
+  tick(ms) {
+    if (!this.isRecording()) return;
+    this.duration += ms;
+    this.emit('record-progress', this.duration);
+  }
+
+  destroy() {
+    this.emit('destroy');
+    this.unAll();
+    this.stopRecording();
+    this.stopMic();
+  }
+}
+
+// --- Regions plugin ---
+export class FakeRegionsPlugin extends FakeEmitter {
+  static create(options) {
+    return new FakeRegionsPlugin(options);
+  }
+
+  regions = [];
+
+  addRegion(options) {
+    const region = { ...options, remove: () => this.removeRegion(region), setOptions: vi.fn() };
+    this.regions.push(region);
+    return region;
+  }
+
+  removeRegion(region) {
+    this.regions = this.regions.filter((r) => r !== region);
+  }
+
+  getRegions() {
+    return this.regions;
+  }
+
+  clearRegions() {
+    this.regions = [];
+  }
+
+  enableDragSelection() {
+    return () => {};
+  }
+
+  destroy() {
+    this.regions = [];
+    this.unAll();
+  }
+}
+
+// --- Screen Wake Lock ---
+export class FakeWakeLockSentinel extends EventTarget {
+  type = 'screen';
+  released = false;
+
+  release() {
+    if (this.released) return Promise.resolve();
+    this.released = true;
+    this.dispatchEvent(new Event('release'));
+    return Promise.resolve();
+  }
+}
+
+// --- Page visibility ---
+// Hides or shows the page the way switching tabs does
+export const setVisibility = (state) => {
+  Object.defineProperty(document, 'visibilityState', { configurable: true, value: state });
+  Object.defineProperty(document, 'hidden', { configurable: true, value: state === 'hidden' });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+// --- Install on the jsdom globals ---
+export const installBrowserFakes = () => {
+  FakeWaveSurfer.instances = [];
+  FakeAudioContext.decoded = createAudioBuffer([new Float32Array(48000)]);
+
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia: vi.fn(async () => new FakeMediaStream()),
+      getDisplayMedia: vi.fn(async () => createDisplayStream()),
+      enumerateDevices: vi.fn(async () => [
+        { kind: 'audioinput', deviceId: 'default', label: 'Default microphone', groupId: 'g1' },
+      ]),
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+    },
+  });
+  Object.defineProperty(navigator, 'wakeLock', {
+    configurable: true,
+    value: { request: vi.fn(async () => new FakeWakeLockSentinel()) },
+  });
+  Object.defineProperty(window, 'isSecureContext', { configurable: true, value: true });
+  Object.defineProperty(document, 'visibilityState', { configurable: true, value: 'visible' });
+  Object.defineProperty(document, 'hidden', { configurable: true, value: false });
+  window.matchMedia = vi.fn((query) => ({
+    matches: query.includes('dark'),
+    media: query,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  }));
+
+  globalThis.MediaStream = FakeMediaStream;
+  globalThis.MediaRecorder = FakeMediaRecorder;
+  globalThis.AudioContext = FakeAudioContext;
+  globalThis.OfflineAudioContext = FakeAudioContext;
+
+  // jsdom has no object URLs
+  URL.createObjectURL = vi.fn(() => `blob:fake/${Math.random().toString(36).slice(2)}`);
+  URL.revokeObjectURL = vi.fn();
+};
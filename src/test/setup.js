@@ -0,0 +1,26 @@
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { installBrowserFakes } from './fakes';
+
+// --- WaveSurfer and its plugins are swapped for the fakes in every test ---
+vi.mock('wavesurfer.js', async () => ({ default: (await import('./fakes')).FakeWaveSurfer }));
+vi.mock('wavesurfer.js/dist/plugins/record.esm.js', async () => ({
+  default: (await import('./fakes')).FakeRecordPlugin,
+}));
+vi.mock('wavesurfer.js/dist/plugins/regions.esm.js', async () => ({
+  default: (await import('./fakes')).FakeRegionsPlugin,
+}));
+
+beforeEach(() => {
+  installBrowserFakes();
+  localStorage.clear();
+  // The recorder logs the errors it reports; tests assert on them instead
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
@@ -0,0 +1,46 @@
+import RecordPlugin from 'wavesurfer.js/dist/plugins/record.esm.js';
+
+// Record plugin whose input stream comes from an injectable `getStream(constraints)`,
+// with an optional `releaseStream(stream)` called when the mic is let go.
+// flush() and setWaveformPaused() rely on the same internals (mediaRecorder, isWaveformPaused).
+// The stock startMic() also rewraps getUserMedia errors in a plain Error, which
+// loses the DOMException name we need for error codes.
+class StreamRecordPlugin extends RecordPlugin {
+  static create(options) {
+    return new StreamRecordPlugin(options || {});
+  }
+
+  async startMic(constraints) {
+    if (this.micStream) this.stopMic();
+
+    const getStream = this.options.getStream
+      || ((audio) => navigator.mediaDevices.getUserMedia({ audio: audio ?? true }));
+    const stream = await getStream(constraints);
+
+    // Same bookkeeping as RecordPlugin.startMic
+    const micStream = this.renderMicStream(stream);
+    this.micStream = micStream;
+    this.unsubscribeDestroy = this.once('destroy', micStream.onDestroy);
+    this.unsubscribeRecordEnd = this.once('record-end', micStream.onEnd);
+    this.stream = stream;
+    return stream;
+  }
+
+  // Delivers what was recorded since the last chunk now instead of at the next timeslice
+  flush() {
+    if (this.mediaRecorder?.state === 'recording') this.mediaRecorder.requestData();
+  }
+
+  // Stops drawing the live waveform while recording carries on, e.g. in a hidden tab
+  setWaveformPaused(paused) {
+    this.isWaveformPaused = paused;
+  }
+
+  stopMic() {
+    const { stream } = this;
+    super.stopMic();
+    if (stream) this.options.releaseStream?.(stream);
+  }
+}
+
+export default StreamRecordPlugin;
@@ -0,0 +1,93 @@
+// --- AudioBuffer editing helpers (all return new buffers) ---
+
+const toFrame = (buffer, seconds) => (
+  Math.max(0, Math.min(buffer.length, Math.round(seconds * buffer.sampleRate)))
+);
+
+const createBuffer = (template, length) => new AudioBuffer({
+  numberOfChannels: template.numberOfChannels,
+  length: Math.max(1, length),
+  sampleRate: template.sampleRate,
+});
+
+// Keep only [start, end] (trims head and tail)
+export const sliceBuffer = (buffer, start, end) => {
+  const from = toFrame(buffer, start);
+  const to = toFrame(buffer, end);
+  const out = createBuffer(buffer, to - from);
+
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    out.copyToChannel(buffer.getChannelData(c).subarray(from, to), c);
+  }
+  return out;
+};
+
+// Remove [start, end] and join what's left
+export const cutBuffer = (buffer, start, end) => {
+  const from = toFrame(buffer, start);
+  const to = toFrame(buffer, end);
+  const out = createBuffer(buffer, buffer.length - (to - from));
+
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    out.copyToChannel(data.subarray(0, from), c, 0);
+    out.copyToChannel(data.subarray(to), c, from);
+  }
+  return out;
+};
+
+// Keep only the given [{ start, end }] ranges, in order, joined end to end
+export const keepRanges = (buffer, ranges) => {
+  const frames = ranges
+    .map(({ start, end }) => [toFrame(buffer, start), toFrame(buffer, end)])
+    .filter(([from, to]) => to > from);
+  const out = createBuffer(buffer, frames.reduce((total, [from, to]) => total + (to - from), 0));
+
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    let offset = 0;
+    frames.forEach(([from, to]) => {
+      out.copyToChannel(data.subarray(from, to), c, offset);
+      offset += to - from;
+    });
+  }
+  return out;
+};
+
+// What keepRanges removes, as cut edits for remapMarkers: the last gap first, so the
+// times of the gaps before it still hold when they're applied
+export const keepRangesEdits = (ranges, duration) => {
+  const bounds = [0, ...ranges.flatMap(({ start, end }) => [start, end]), duration];
+  const cuts = [];
+  for (let i = 0; i < bounds.length; i += 2) {
+    if (bounds[i + 1] > bounds[i]) cuts.push({ type: 'cut', start: bounds[i], end: bounds[i + 1] });
+  }
+  return cuts.reverse();
+};
+
+// Join buffers end to end; channels missing from one buffer repeat its last channel
+export const concatBuffers = (...buffers) => {
+  const numberOfChannels = Math.max(...buffers.map((b) => b.numberOfChannels));
+  const out = new AudioBuffer({
+    numberOfChannels,
+    length: Math.max(1, buffers.reduce((total, b) => total + b.length, 0)),
+    sampleRate: buffers[0].sampleRate,
+  });
+
+  let offset = 0;
+  buffers.forEach((b) => {
+    for (let c = 0; c < numberOfChannels; c++) {
+      out.copyToChannel(b.getChannelData(Math.min(c, b.numberOfChannels - 1)), c, offset);
+    }
+    offset += b.length;
+  });
+  return out;
+};
+
+// Replace [start, end] with `insert` (punch-in); the rest keeps its timing if the lengths match
+export const spliceBuffer = (buffer, start, end, insert) => {
+  const pieces = [insert];
+  if (start > 0) pieces.unshift(sliceBuffer(buffer, 0, start));
+  if (end < buffer.duration) pieces.push(sliceBuffer(buffer, end, buffer.duration));
+  return concatBuffers(...pieces);
+};
@@ -0,0 +1,133 @@
+// Inlined so the library build doesn't point consumers at a worker file their app doesn't serve
+import Mp3EncoderWorker from '../workers/mp3Encoder.worker.js?worker&inline';
+import { fromDecibels, measureLoudness, normalizationGain } from './loudness';
+
+// --- Export Formats ---
+export const EXPORT_FORMATS = {
+  ORIGINAL: 'original', // Whatever container MediaRecorder produced
+  WAV: 'wav',
+  MP3: 'mp3',
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  sampleRate: 44100,
+  mono: true,
+  bitRate: 128, // kbps, MP3 only
+  normalize: null, // Target loudness in LUFS, e.g. -16; null keeps the recorded level
+  peakCeiling: -1, // dBFS the normalization gain never pushes peaks past
+};
+
+// --- Decoding ---
+export const decodeAudioBlob = async (blob) => {
+  const ctx = new AudioContext();
+  try {
+    return await ctx.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    ctx.close();
+  }
+};
+
+// Resample and/or downmix through an OfflineAudioContext
+export const renderAudioBuffer = async (buffer, { sampleRate, mono }) => {
+  const channelCount = mono ? 1 : Math.min(buffer.numberOfChannels, 2);
+  if (buffer.sampleRate === sampleRate && buffer.numberOfChannels === channelCount) {
+    return buffer;
+  }
+
+  const ctx = new OfflineAudioContext(channelCount, Math.ceil(buffer.duration * sampleRate), sampleRate);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(ctx.destination);
+  source.start();
+  return ctx.startRendering();
+};
+
+const getChannels = (buffer) => (
+  Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i))
+);
+
+// --- WAV (16-bit PCM) ---
+const writeString = (view, offset, str) => {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+};
+
+export const encodeWav = (channels, sampleRate) => {
+  const channelCount = channels.length;
+  const frames = channels[0].length;
+  const blockAlign = channelCount * 2;
+  const dataSize = frames * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave channels
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+export const audioBufferToWav = (buffer) => encodeWav(getChannels(buffer), buffer.sampleRate);
+
+// --- MP3 (encoded off the main thread) ---
+export const encodeMp3 = (channels, sampleRate, bitRate) => new Promise((resolve, reject) => {
+  const worker = new Mp3EncoderWorker();
+  // Copy so the transfer doesn't detach the AudioBuffer's own data
+  const copies = channels.map((data) => data.slice());
+
+  worker.onmessage = ({ data }) => {
+    worker.terminate();
+    if (data.error) {
+      reject(new Error(`MP3 encoding failed: ${data.error}`));
+    } else {
+      resolve(new Blob(data.data, { type: 'audio/mpeg' }));
+    }
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(`MP3 encoding failed: ${e.message}`));
+  };
+
+  worker.postMessage({ channels: copies, sampleRate, bitRate }, copies.map((data) => data.buffer));
+});
+
+// --- Entry points ---
+export const encodeAudioBuffer = async (buffer, format, options = {}) => {
+  const { sampleRate, mono, bitRate, normalize, peakCeiling } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const rendered = await renderAudioBuffer(buffer, { sampleRate, mono });
+  let channels = getChannels(rendered);
+
+  // Measured after the downmix, which changes the loudness; the copies leave `buffer` untouched
+  if (normalize !== null && normalize !== undefined) {
+    const gain = fromDecibels(normalizationGain(measureLoudness(rendered), normalize, peakCeiling));
+    channels = channels.map((data) => data.map((sample) => sample * gain));
+  }
+
+  if (format === EXPORT_FORMATS.MP3) {
+    return encodeMp3(channels, rendered.sampleRate, bitRate);
+  }
+  return encodeWav(channels, rendered.sampleRate);
+};
+
+export const exportRecording = async (blob, format = EXPORT_FORMATS.ORIGINAL, options = {}) => {
+  if (format === EXPORT_FORMATS.ORIGINAL) return blob;
+  return encodeAudioBuffer(await decodeAudioBlob(blob), format, options);
+};
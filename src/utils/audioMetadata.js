@@ -0,0 +1,132 @@
+import { baseMimeType } from './mimeTypes';
+
+// --- Metadata embedded into downloaded files: { title, date, markers } ---
+// WAV gets LIST/INFO plus cue points with labels, MP3 an ID3v2.4 tag.
+// Container formats from MediaRecorder (WebM, MP4, Ogg) are returned unchanged.
+
+const SOFTWARE = 'vite-audio-recorder';
+const encoder = new TextEncoder();
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+const ascii = (str) => Uint8Array.from(str, (char) => char.charCodeAt(0));
+
+const uint32 = (value, littleEndian) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, littleEndian);
+  return bytes;
+};
+
+const isoDate = (date) => new Date(date ?? Date.now()).toISOString();
+
+// --- WAV ---
+// RIFF chunks are word aligned: odd sizes get a pad byte that isn't counted
+const riffChunk = (id, body) => concat([
+  ascii(id),
+  uint32(body.length, true),
+  body,
+  new Uint8Array(body.length % 2),
+]);
+
+const zString = (str) => concat([encoder.encode(str), new Uint8Array(1)]);
+
+const findChunk = (view, id) => {
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    const size = view.getUint32(offset + 4, true);
+    if (chunkId === id) return offset + 8;
+    offset += 8 + size + (size % 2);
+  }
+  return -1;
+};
+
+const embedWav = async (blob, { title, date, markers = [] }) => {
+  const header = new DataView(await blob.slice(0, Math.min(blob.size, 4096)).arrayBuffer());
+  const fmt = findChunk(header, 'fmt ');
+  if (header.byteLength < 12 || fmt < 0) return blob;
+  const sampleRate = header.getUint32(fmt + 4, true);
+
+  const info = [
+    title && riffChunk('INAM', zString(title)),
+    riffChunk('ICRD', zString(isoDate(date).slice(0, 10))),
+    riffChunk('ISFT', zString(SOFTWARE)),
+  ].filter(Boolean);
+  const chunks = [riffChunk('LIST', concat([ascii('INFO'), ...info]))];
+
+  if (markers.length > 0) {
+    const points = markers.map((marker, i) => {
+      const position = Math.round(marker.time * sampleRate);
+      // dwName, dwPosition, fccChunk, dwChunkStart, dwBlockStart, dwSampleOffset
+      return concat([uint32(i + 1, true), uint32(position, true), ascii('data'),
+        uint32(0, true), uint32(0, true), uint32(position, true)]);
+    });
+    const labels = markers.map((marker, i) => (
+      riffChunk('labl', concat([uint32(i + 1, true), zString(marker.label || `Marker ${i + 1}`)]))
+    ));
+    chunks.push(
+      riffChunk('cue ', concat([uint32(markers.length, true), ...points])),
+      riffChunk('LIST', concat([ascii('adtl'), ...labels])),
+    );
+  }
+
+  const extra = concat(chunks);
+  const padding = new Uint8Array(blob.size % 2);
+  const riff = concat([ascii('RIFF'), uint32(blob.size - 8 + padding.length + extra.length, true)]);
+  return new Blob([riff, blob.slice(8), padding, extra], { type: blob.type });
+};
+
+// --- MP3 (ID3v2.4, UTF-8 text frames) ---
+const syncsafe = (value) => Uint8Array.of(
+  (value >> 21) & 0x7f,
+  (value >> 14) & 0x7f,
+  (value >> 7) & 0x7f,
+  value & 0x7f,
+);
+
+const id3Frame = (id, body) => concat([ascii(id), syncsafe(body.length), new Uint8Array(2), body]);
+const id3Text = (id, text) => id3Frame(id, concat([Uint8Array.of(3), encoder.encode(text)]));
+
+const formatMarkerTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${mins}:${secs}`;
+};
+
+const embedMp3 = async (blob, { title, date, markers = [] }) => {
+  const frames = [
+    title && id3Text('TIT2', title),
+    id3Text('TDRC', isoDate(date).slice(0, 19)),
+    id3Text('TSSE', SOFTWARE),
+    // No standard frame for plain markers; a user-defined text frame, one "m:ss.sss label" per line
+    markers.length > 0 && id3Frame('TXXX', concat([
+      Uint8Array.of(3),
+      zString('MARKERS'),
+      encoder.encode(markers.map((marker) => `${formatMarkerTime(marker.time)} ${marker.label}`.trim()).join('\n')),
+    ])),
+  ].filter(Boolean);
+
+  const body = concat(frames);
+  const header = concat([ascii('ID3'), Uint8Array.of(4, 0, 0), syncsafe(body.length)]);
+  return new Blob([header, body, blob], { type: blob.type });
+};
+
+// Returns a new Blob with the metadata, or the same one when the format has no place for it
+export const embedMetadata = async (blob, metadata = {}) => {
+  const type = baseMimeType(blob?.type);
+  try {
+    if (type === 'audio/wav' || type === 'audio/x-wav') return await embedWav(blob, metadata);
+    if (type === 'audio/mpeg' || type === 'audio/mp3') return await embedMp3(blob, metadata);
+  } catch {
+    // A file we can't parse is still worth saving as it is
+  }
+  return blob;
+};
@@ -0,0 +1,114 @@
+// --- Mic constraints and the optional Web Audio processing chain ---
+
+// Browser-side processing asked of getUserMedia; null leaves the browser default
+export const DEFAULT_AUDIO_CONSTRAINTS = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  channelCount: null,
+  sampleRate: null,
+};
+
+// Our own chain between the mic and the recorder; every stage starts bypassed
+export const DEFAULT_PROCESSING = {
+  gain: 0, // Input gain in dB
+  highPass: 0, // Cutoff in Hz, 0 = off
+  gate: null, // Threshold in dBFS, null = off
+  limiter: false, // Brick-wall at -1 dBFS
+};
+
+const GATE_INTERVAL = 10; // ms between gate level checks
+const GATE_HOLD = 0.15; // Seconds the gate stays open after the level drops
+const GATE_ATTACK = 0.005;
+const GATE_RELEASE = 0.08;
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// MediaTrackConstraints for getUserMedia({ audio })
+export const buildAudioConstraints = (deviceId, constraints = {}) => {
+  const audio = {};
+  Object.entries({ ...DEFAULT_AUDIO_CONSTRAINTS, ...constraints }).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) audio[key] = value;
+  });
+  if (deviceId) audio.deviceId = { exact: deviceId };
+  return audio;
+};
+
+export const isProcessingActive = (processing = {}) => {
+  const { gain, highPass, gate, limiter } = { ...DEFAULT_PROCESSING, ...processing };
+  return gain !== 0 || highPass > 0 || gate !== null || limiter;
+};
+
+// Routes `stream` through gain -> high-pass -> gate -> limiter and returns the
+// processed stream. Settings can be changed live with update(); close() stops
+// the input tracks as well as the graph.
+export const createProcessingChain = (stream, processing = {}) => {
+  const { sampleRate } = stream.getAudioTracks()[0]?.getSettings() ?? {};
+  const ctx = new AudioContext(sampleRate ? { sampleRate } : undefined);
+
+  const source = ctx.createMediaStreamSource(stream);
+  const input = ctx.createGain();
+  const highPass = ctx.createBiquadFilter();
+  highPass.type = 'highpass';
+  const detector = ctx.createAnalyser();
+  detector.fftSize = 512;
+  const gate = ctx.createGain();
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.knee.value = 0;
+  limiter.attack.value = 0.003;
+  limiter.release.value = 0.1;
+  const destination = ctx.createMediaStreamDestination();
+
+  source.connect(input).connect(highPass).connect(gate).connect(limiter).connect(destination);
+  highPass.connect(detector);
+
+  let settings = { ...DEFAULT_PROCESSING };
+  let gateOpenUntil = 0;
+  let gateTimer = null;
+  const samples = new Float32Array(detector.fftSize);
+
+  // Opens on signal above the threshold, closes after a short hold
+  const checkGate = () => {
+    detector.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const level = 10 * Math.log10(sum / samples.length || 1e-12);
+
+    const now = ctx.currentTime;
+    if (level >= settings.gate) gateOpenUntil = now + GATE_HOLD;
+    const open = now < gateOpenUntil;
+    gate.gain.setTargetAtTime(open ? 1 : 0, now, open ? GATE_ATTACK : GATE_RELEASE);
+  };
+
+  const update = (next = {}) => {
+    settings = { ...DEFAULT_PROCESSING, ...next };
+    const now = ctx.currentTime;
+
+    input.gain.setValueAtTime(dbToGain(settings.gain), now);
+    highPass.frequency.setValueAtTime(Math.max(0, settings.highPass), now);
+
+    // A 1:1 ratio at 0 dB threshold leaves the signal untouched
+    limiter.threshold.setValueAtTime(settings.limiter ? -1 : 0, now);
+    limiter.ratio.setValueAtTime(settings.limiter ? 20 : 1, now);
+
+    if (settings.gate === null) {
+      clearInterval(gateTimer);
+      gateTimer = null;
+      gate.gain.cancelScheduledValues(now);
+      gate.gain.setValueAtTime(1, now);
+    } else if (!gateTimer) {
+      gateTimer = setInterval(checkGate, GATE_INTERVAL);
+    }
+  };
+
+  const close = () => {
+    clearInterval(gateTimer);
+    stream.getTracks().forEach((track) => track.stop());
+    destination.stream.getTracks().forEach((track) => track.stop());
+    ctx.close();
+  };
+
+  update(processing);
+
+  return { stream: destination.stream, update, close };
+};
@@ -0,0 +1,81 @@
+import { RECORDER_ERRORS, RecorderError } from './recorderErrors';
+
+// --- Capture sources: the mic, tab/system audio from getDisplayMedia, or both mixed ---
+export const AUDIO_SOURCES = {
+  MIC: 'mic',
+  SYSTEM: 'system', // Tab, window or screen audio picked in the browser's share dialog
+  MIXED: 'mixed', // Mic and system audio through the mixer below
+};
+
+// Per-source gain in dB, applied by the mixer
+export const DEFAULT_SOURCE_GAINS = {
+  mic: 0,
+  system: 0,
+};
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+export const isDisplayAudioSupported = () => (
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getDisplayMedia)
+);
+
+export const usesMic = (source) => source !== AUDIO_SOURCES.SYSTEM;
+export const usesDisplayAudio = (source) => source === AUDIO_SOURCES.SYSTEM || source === AUDIO_SOURCES.MIXED;
+
+// Opens the share dialog and returns a stream with just its audio.
+// Browsers only offer the dialog for video, so the video track is stopped right away;
+// sharing a tab without ticking "share audio" gives no audio track at all.
+export const getDisplayAudio = async () => {
+  if (!isDisplayAudioSupported()) throw new RecorderError(RECORDER_ERRORS.SYSTEM_AUDIO_UNSUPPORTED);
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getDisplayMedia({
+      video: true,
+      // Processing meant for voices mangles music and speech from the other end of a call
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      systemAudio: 'include',
+    });
+  } catch (err) {
+    // Closing the dialog is a NotAllowedError too, which isn't about the microphone
+    if (err?.name === 'NotAllowedError') throw new RecorderError(RECORDER_ERRORS.NO_SYSTEM_AUDIO, { cause: err });
+    throw err;
+  }
+
+  stream.getVideoTracks().forEach((track) => track.stop());
+  if (stream.getAudioTracks().length === 0) {
+    throw new RecorderError(RECORDER_ERRORS.NO_SYSTEM_AUDIO);
+  }
+  return new MediaStream(stream.getAudioTracks());
+};
+
+// Mixes the given streams ({ mic, system }, either may be missing) into one through a gain
+// per source. Gains can be changed live with update(); close() stops the input tracks too.
+export const createSourceMixer = (streams, gains = {}) => {
+  const ctx = new AudioContext();
+  const destination = ctx.createMediaStreamDestination();
+
+  const inputs = Object.entries(streams)
+    .filter(([, stream]) => stream)
+    .map(([name, stream]) => {
+      const gain = ctx.createGain();
+      ctx.createMediaStreamSource(stream).connect(gain).connect(destination);
+      return { name, stream, gain };
+    });
+
+  const update = (next = {}) => {
+    const levels = { ...DEFAULT_SOURCE_GAINS, ...next };
+    const now = ctx.currentTime;
+    inputs.forEach(({ name, gain }) => gain.gain.setValueAtTime(dbToGain(levels[name] ?? 0), now));
+  };
+
+  const close = () => {
+    inputs.forEach(({ stream }) => stream.getTracks().forEach((track) => track.stop()));
+    destination.stream.getTracks().forEach((track) => track.stop());
+    ctx.close();
+  };
+
+  update(gains);
+
+  return { stream: destination.stream, update, close };
+};
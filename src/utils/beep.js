@@ -0,0 +1,20 @@
+// --- Short sine beep for the countdown and limit warnings ---
+// One context for every beep; browsers cap how many can be open.
+let context = null;
+
+export const playBeep = ({ frequency = 880, duration = 0.12, volume = 0.2 } = {}) => {
+  if (typeof AudioContext === 'undefined') return;
+  context ??= new AudioContext();
+  if (context.state === 'suspended') context.resume();
+
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  const now = context.currentTime;
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(volume, now);
+  gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(now);
+  oscillator.stop(now + duration);
+};
@@ -0,0 +1,44 @@
+import { extensionForMimeType } from './mimeTypes';
+
+// --- Save a Blob through a temporary <a download> ---
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "My take" -> "My-take.webm"; without a title, "recording-2026-03-14-09-26-53.wav" in local time
+export const recordingFileName = ({ title, date, mimeType } = {}) => {
+  const extension = extensionForMimeType(mimeType);
+  const base = (title || '').trim().replace(/[^\p{L}\p{N}\- ]+/gu, '').replace(/\s+/g, '-');
+  if (base) return `${base}.${extension}`;
+
+  const d = new Date(date ?? Date.now());
+  const stamp = [d.getFullYear(), pad(d.getMonth() + 1), pad(d.getDate()), pad(d.getHours()), pad(d.getMinutes()), pad(d.getSeconds())];
+  return `recording-${stamp.join('-')}.${extension}`;
+};
+
+// --- Web Share, with copying a link as the fallback ---
+// Resolves to 'shared', 'copied', 'cancelled' or 'unsupported'.
+export const shareFile = async (file, { title, url } = {}) => {
+  try {
+    if (navigator.canShare?.({ files: [file] })) {
+      await navigator.share({ files: [file], title });
+      return 'shared';
+    }
+    if (url && navigator.clipboard) {
+      await navigator.clipboard.writeText(url);
+      return 'copied';
+    }
+  } catch (err) {
+    // Closing the share sheet rejects with AbortError
+    if (err?.name === 'AbortError') return 'cancelled';
+    throw err;
+  }
+  return 'unsupported';
+};
@@ -0,0 +1,20 @@
+// --- Helper: Format Size ---
+const UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte']; // Intl.NumberFormat unit names
+
+const formatSize = (bytes, locale = 'en') => {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const digits = unit === 0 ? 0 : 1;
+  return new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit: UNITS[unit],
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(value);
+};
+
+export default formatSize;
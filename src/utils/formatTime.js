@@ -0,0 +1,38 @@
+// --- Helper: Format Time ---
+// m:ss, or h:mm:ss from an hour up, with the digits of `locale` (e.g. Arabic-Indic for 'ar-EG')
+const numberFormats = new Map();
+const getNumberFormat = (locale, options) => {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, options));
+  return numberFormats.get(key);
+};
+
+const formatTime = (seconds, locale = 'en') => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  const plain = getNumberFormat(locale, { useGrouping: false });
+  const padded = getNumberFormat(locale, { useGrouping: false, minimumIntegerDigits: 2 });
+  if (hours > 0) return `${plain.format(hours)}:${padded.format(mins)}:${padded.format(secs)}`;
+  return `${plain.format(mins)}:${padded.format(secs)}`;
+};
+
+// Reads better than "1:05" in a screen reader: "1 minute 5 seconds", in the words of `locale`
+export const formatSpokenTime = (seconds, locale = 'en') => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const units = [
+    ['hour', Math.floor(total / 3600)],
+    ['minute', Math.floor((total % 3600) / 60)],
+    ['second', total % 60],
+  ];
+  const parts = units
+    .filter(([unit, value]) => value > 0 || (unit === 'second' && total === 0))
+    .map(([unit, value]) => getNumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long' }).format(value));
+
+  if (typeof Intl.ListFormat === 'undefined') return parts.join(' ');
+  return new Intl.ListFormat(locale, { style: 'narrow', type: 'unit' }).format(parts);
+};
+
+export default formatTime;
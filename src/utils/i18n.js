@@ -0,0 +1,46 @@
+import en from '../locales/en';
+import de from '../locales/de';
+import ar from '../locales/ar';
+
+// --- Message catalogs ---
+// Keyed by language; a regional locale ('de-AT') uses its language's catalog.
+export const DEFAULT_LOCALE = 'en';
+
+export const CATALOGS = { en, de, ar };
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const getLanguage = (locale) => (locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+
+export const isRtlLocale = (locale) => RTL_LANGUAGES.includes(getLanguage(locale));
+
+// Fills {name} placeholders; unknown ones are left as they are
+const interpolate = (message, params) => {
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// `messages` overrides single keys on top of the catalog, e.g. { 'controls.pause': 'Hold' }.
+// Missing keys fall back to English, then to the key itself.
+export const createTranslator = (locale = DEFAULT_LOCALE, messages = null) => {
+  const catalog = { ...en, ...CATALOGS[getLanguage(locale)], ...messages };
+  return (key, params) => interpolate(catalog[key] ?? key, params);
+};
+
+export const defaultTranslate = createTranslator();
+
+// A RecorderError's text in the current language; other errors keep their own message
+export const translateError = (t, err) => {
+  if (!err) return '';
+  const key = `errors.${err.code}`;
+  const message = t(key);
+  return err.name === 'RecorderError' && message !== key ? message : err.message;
+};
+
+// Same for an UploadError from the uploader
+export const translateUploadError = (t, err) => {
+  if (!err) return '';
+  const key = `upload.error.${err.code}`;
+  const message = t(key, { status: err.status });
+  return err.name === 'UploadError' && message !== key ? message : err.message;
+};
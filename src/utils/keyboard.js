@@ -0,0 +1,14 @@
+// --- Keyboard helpers shared by the shortcut hooks ---
+
+// Keys typed into a field are text, not shortcuts
+export const isTyping = (target) => (
+  target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+// Space and Enter already activate a focused button or link
+export const isActivatable = (target) => (
+  target instanceof HTMLElement && ['BUTTON', 'A', 'SUMMARY'].includes(target.tagName)
+);
+
+export const hasModifier = (e) => e.ctrlKey || e.metaKey || e.altKey;
@@ -0,0 +1,141 @@
+// --- Loudness: integrated LUFS (ITU-R BS.1770 / EBU R128), sample peak and RMS ---
+// Works on anything shaped like an AudioBuffer: numberOfChannels, sampleRate, length, getChannelData().
+
+export const LOUDNESS_TARGETS = {
+  STREAMING: -14, // Spotify, YouTube
+  PODCAST: -16, // Apple Podcasts, most podcast hosts
+  BROADCAST: -23, // EBU R128
+};
+
+export const CLIP_LEVEL = 0.999; // Samples this close to full scale count as clipped
+export const SILENCE_FLOOR = -60; // dB shown for silence, e.g. on meters
+
+export const toDecibels = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+export const fromDecibels = (db) => 10 ** (db / 20);
+
+// L, R, C, LFE (left out), Ls, Rs; channels past these count fully
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+const BLOCK = 0.4; // s, gating block
+const STEP = 0.1; // s, blocks overlap by 75%
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the absolutely gated loudness
+
+// K-weighting: a high shelf for the head, then a high-pass; coefficients for any sample rate
+// (the biquads of BS.1770 are given for 48 kHz, these are their analog prototypes)
+const kWeightingFilters = (sampleRate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  return [shelf, highPass];
+};
+
+const biquad = (input, { b, a }) => {
+  const output = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+};
+
+const powerToLufs = (power) => -0.691 + 10 * Math.log10(power);
+
+// Mean square of the K-weighted signal per STEP, summed over the weighted channels
+const stepPowers = (buffer) => {
+  const stepLength = Math.round(STEP * buffer.sampleRate);
+  const steps = new Float64Array(Math.floor(buffer.length / stepLength));
+  const filters = kWeightingFilters(buffer.sampleRate);
+
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const weight = CHANNEL_WEIGHTS[c] ?? 1;
+    if (weight === 0) continue;
+    const weighted = filters.reduce(biquad, buffer.getChannelData(c));
+    for (let s = 0; s < steps.length; s++) {
+      let sum = 0;
+      for (let i = s * stepLength; i < (s + 1) * stepLength; i++) sum += weighted[i] * weighted[i];
+      steps[s] += (weight * sum) / stepLength;
+    }
+  }
+  return steps;
+};
+
+// Gated integrated loudness in LUFS; -Infinity for silence or takes shorter than one block
+const integratedLoudness = (buffer) => {
+  const steps = stepPowers(buffer);
+  const perBlock = Math.round(BLOCK / STEP);
+  const blocks = [];
+  for (let i = 0; i + perBlock <= steps.length; i++) {
+    let sum = 0;
+    for (let j = i; j < i + perBlock; j++) sum += steps[j];
+    blocks.push(sum / perBlock);
+  }
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+  const audible = blocks.filter((power) => powerToLufs(power) > ABSOLUTE_GATE);
+  if (audible.length === 0) return -Infinity;
+  const threshold = powerToLufs(mean(audible)) + RELATIVE_GATE;
+  const gated = audible.filter((power) => powerToLufs(power) > threshold);
+  return powerToLufs(mean(gated));
+};
+
+// Peak, RMS and clipped samples of a block of samples, e.g. one analyser frame
+export const measureLevels = (samples) => {
+  let peak = 0;
+  let sum = 0;
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const level = Math.abs(samples[i]);
+    if (level > peak) peak = level;
+    if (level >= CLIP_LEVEL) clipped++;
+    sum += samples[i] * samples[i];
+  }
+  return {
+    peak: toDecibels(peak),
+    rms: toDecibels(Math.sqrt(sum / Math.max(1, samples.length))),
+    clipped,
+  };
+};
+
+// { integrated, peak, rms, clipped, channels: [{ peak, rms, clipped }] }, levels in LUFS and dBFS
+export const measureLoudness = (buffer) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => measureLevels(buffer.getChannelData(c)));
+  const meanSquare = channels.reduce((total, channel) => total + fromDecibels(channel.rms) ** 2, 0) / channels.length;
+  return {
+    integrated: integratedLoudness(buffer),
+    peak: Math.max(...channels.map((channel) => channel.peak)),
+    rms: toDecibels(Math.sqrt(meanSquare)),
+    clipped: channels.reduce((total, channel) => total + channel.clipped, 0),
+    channels,
+  };
+};
+
+// Gain in dB that brings the take to `target` LUFS without pushing its peak past `peakCeiling` dBFS.
+// Silence stays as it is.
+export const normalizationGain = ({ integrated, peak }, target, peakCeiling = -1) => {
+  if (!Number.isFinite(integrated)) return 0;
+  return Math.min(target - integrated, peakCeiling - peak);
+};
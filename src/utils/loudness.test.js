@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { measureLevels, measureLoudness, normalizationGain } from './loudness';
+import { createAudioBuffer } from '../test/fakes';
+
+const sineBuffer = ({ amplitude, frequency = 1000, seconds = 3, sampleRate = 48000, channels = 2 }) => {
+  const data = Float32Array.from(
+    { length: seconds * sampleRate },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate),
+  );
+  return createAudioBuffer(Array.from({ length: channels }, () => data), sampleRate);
+};
+
+describe('loudness', () => {
+  it('reads a stereo 1 kHz sine at -20 dBFS as -20 LUFS', () => {
+    const loudness = measureLoudness(sineBuffer({ amplitude: 0.1 }));
+    expect(loudness.integrated).toBeCloseTo(-20, 1);
+    expect(loudness.peak).toBeCloseTo(-20, 2);
+    // A sine's RMS sits 3 dB below its peak
+    expect(loudness.rms).toBeCloseTo(-23.01, 1);
+    expect(loudness.clipped).toBe(0);
+  });
+
+  it('counts one channel as 3 dB quieter and works at other sample rates', () => {
+    const loudness = measureLoudness(sineBuffer({ amplitude: 0.1, channels: 1, sampleRate: 44100 }));
+    expect(loudness.integrated).toBeCloseTo(-23.01, 1);
+  });
+
+  it('gates out silence and flags clipping', () => {
+    const silent = measureLoudness(sineBuffer({ amplitude: 0 }));
+    expect(silent.integrated).toBe(-Infinity);
+    expect(silent.peak).toBe(-Infinity);
+
+    expect(measureLevels(Float32Array.of(0.5, -1, 1, 0.2)).clipped).toBe(2);
+  });
+
+  it('normalizes to the target unless the peak would pass the ceiling', () => {
+    expect(normalizationGain({ integrated: -20, peak: -10 }, -16)).toBe(4);
+    expect(normalizationGain({ integrated: -20, peak: -3 }, -16)).toBe(2);
+    expect(normalizationGain({ integrated: -10, peak: -1 }, -16)).toBe(-6);
+    expect(normalizationGain({ integrated: -Infinity, peak: -Infinity }, -16)).toBe(0);
+  });
+});
@@ -0,0 +1,54 @@
+// --- Markers: [{ id, time, label }] with time in seconds into the take ---
+
+let nextId = 0;
+export const createMarker = (time, label = '') => ({ id: `marker-${Date.now()}-${nextId++}`, time, label });
+
+// Follows trim/cut edits from useWaveformEditor; markers in removed audio are dropped
+export const remapMarkers = (markers, edits = []) => edits.reduce((current, { type, start, end }) => {
+  if (type === 'trim') {
+    return current
+      .filter((marker) => marker.time >= start && marker.time <= end)
+      .map((marker) => ({ ...marker, time: marker.time - start }));
+  }
+  if (type === 'cut') {
+    return current
+      .filter((marker) => marker.time < start || marker.time > end)
+      .map((marker) => (marker.time > end ? { ...marker, time: marker.time - (end - start) } : marker));
+  }
+  return current;
+}, markers);
+
+const CUE_FRAMES = 75; // CD frames per second used by INDEX
+const pad = (value) => String(value).padStart(2, '0');
+const cueTime = (seconds) => {
+  const frames = Math.round(seconds * CUE_FRAMES);
+  const minutes = Math.floor(frames / (60 * CUE_FRAMES));
+  return `${pad(minutes)}:${pad(Math.floor(frames / CUE_FRAMES) % 60)}:${pad(frames % CUE_FRAMES)}`;
+};
+const cueString = (value) => value.replace(/"/g, "'");
+
+// FILE types a cue sheet knows; other containers (WebM, Ogg, M4A) are BINARY, the one
+// type players accept that doesn't claim a format
+const CUE_FILE_TYPES = { wav: 'WAVE', mp3: 'MP3', aif: 'AIFF', aiff: 'AIFF' };
+const cueFileType = (fileName) => CUE_FILE_TYPES[fileName.match(/\.(\w+)$/)?.[1].toLowerCase()] ?? 'BINARY';
+
+// Cue sheet with one track per marker (plus one from 0 if the first marker is later)
+export const markersToCue = (markers, { fileName = 'recording.wav', title = 'Recording' } = {}) => {
+  const sorted = [...markers].sort((a, b) => a.time - b.time);
+  if (sorted.length === 0 || sorted[0].time > 0) sorted.unshift({ time: 0, label: title });
+
+  const lines = [`TITLE "${cueString(title)}"`, `FILE "${cueString(fileName)}" ${cueFileType(fileName)}`];
+  sorted.forEach((marker, i) => {
+    lines.push(
+      `  TRACK ${pad(i + 1)} AUDIO`,
+      `    TITLE "${cueString(marker.label || `Marker ${i + 1}`)}"`,
+      `    INDEX 01 ${cueTime(marker.time)}`,
+    );
+  });
+  return new Blob([`${lines.join('\n')}\n`], { type: 'application/x-cue' });
+};
+
+export const markersToJson = (markers) => new Blob(
+  [JSON.stringify({ markers: markers.map(({ time, label }) => ({ time, label })) }, null, 2)],
+  { type: 'application/json' },
+);
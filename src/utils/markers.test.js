@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { markersToCue, remapMarkers } from './markers';
+import { keepRangesEdits } from './audioEdit';
+
+const cueLines = async (markers, options) => (await markersToCue(markers, options).text()).split('\n');
+
+describe('markers', () => {
+  it('writes one cue track per marker, from 0 when the first marker is later', async () => {
+    const lines = await cueLines([{ time: 61.5, label: 'Chorus "B"' }], { fileName: 'take.wav', title: 'Take' });
+    expect(lines).toEqual([
+      'TITLE "Take"',
+      'FILE "take.wav" WAVE',
+      '  TRACK 01 AUDIO',
+      '    TITLE "Take"',
+      '    INDEX 01 00:00:00',
+      '  TRACK 02 AUDIO',
+      '    TITLE "Chorus \'B\'"',
+      '    INDEX 01 01:01:38',
+      '',
+    ]);
+  });
+
+  it('follows the silence cut around the kept ranges', () => {
+    const ranges = [{ start: 0.75, end: 2.25 }, { start: 3.75, end: 5.25 }];
+    const markers = [1.5, 3, 4.5].map((time, i) => ({ id: i, time, label: '' }));
+
+    const remapped = remapMarkers(markers, keepRangesEdits(ranges, 6));
+    // The one in the middle of the silence goes with it
+    expect(remapped.map((marker) => [marker.id, marker.time])).toEqual([[0, 0.75], [2, 2.25]]);
+  });
+
+  it('names the file type after the audio container, BINARY where cue sheets have none', async () => {
+    const fileLine = async (fileName) => (await cueLines([], { fileName }))[1];
+    expect(await fileLine('take.MP3')).toBe('FILE "take.MP3" MP3');
+    expect(await fileLine('take.aiff')).toBe('FILE "take.aiff" AIFF');
+    expect(await fileLine('take.webm')).toBe('FILE "take.webm" BINARY');
+    expect(await fileLine('take.m4a')).toBe('FILE "take.m4a" BINARY');
+  });
+});
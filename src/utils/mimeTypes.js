@@ -0,0 +1,15 @@
+// --- Mime type helpers ---
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+};
+
+// Strip codec parameters, e.g. 'audio/webm;codecs=opus' -> 'audio/webm'
+export const baseMimeType = (mimeType = '') => mimeType.split(';')[0].trim().toLowerCase();
+
+export const extensionForMimeType = (mimeType) => EXTENSIONS[baseMimeType(mimeType)] || 'bin';
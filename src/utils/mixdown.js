@@ -0,0 +1,51 @@
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  EXPORT_FORMATS,
+  decodeAudioBlob,
+  encodeAudioBuffer,
+} from './audioExport';
+
+// --- Multitrack mixdown: tracks [{ blob, gain, muted, solo }] into one Blob ---
+// Every track starts at 0; overdubs are recorded in sync with the playback of the others.
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// The soloed tracks if there are any, otherwise every track that isn't muted
+export const audibleTracks = (tracks) => {
+  const soloed = tracks.filter((track) => track.solo);
+  return (soloed.length > 0 ? soloed : tracks).filter((track) => !track.muted);
+};
+
+// Volume a track plays at in the mix, 0 when muted or outside the solo
+export const trackVolume = (track, tracks) => (
+  audibleTracks(tracks).includes(track) ? dbToGain(track.gain ?? 0) : 0
+);
+
+// Renders the audible tracks at their gains through an OfflineAudioContext, as long as the longest
+// one, and resolves to { blob, duration }. `format` is 'wav' or 'mp3'; options as for exportRecording.
+export const mixdownTracks = async (tracks, { format = EXPORT_FORMATS.WAV, ...options } = {}) => {
+  const audible = audibleTracks(tracks);
+  if (audible.length === 0) throw new Error('Nothing to mix down: every track is muted.');
+
+  const { sampleRate, mono } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const buffers = await Promise.all(audible.map((track) => decodeAudioBlob(track.blob)));
+  const length = Math.max(...buffers.map((buffer) => buffer.duration));
+  const channelCount = mono ? 1 : Math.min(Math.max(...buffers.map((buffer) => buffer.numberOfChannels)), 2);
+
+  // Sources are resampled and up/downmixed to the context on the way in
+  const ctx = new OfflineAudioContext(channelCount, Math.ceil(length * sampleRate), sampleRate);
+  buffers.forEach((buffer, i) => {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const gain = ctx.createGain();
+    gain.gain.value = dbToGain(audible[i].gain ?? 0);
+    source.connect(gain).connect(ctx.destination);
+    source.start();
+  });
+
+  const mixed = await ctx.startRendering();
+  return {
+    blob: await encodeAudioBuffer(mixed, format === EXPORT_FORMATS.MP3 ? format : EXPORT_FORMATS.WAV, options),
+    duration: mixed.duration,
+  };
+};
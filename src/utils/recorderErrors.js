@@ -0,0 +1,62 @@
+// --- Typed recorder errors ---
+export const RECORDER_ERRORS = {
+  PERMISSION_DENIED: 'permission-denied',
+  NO_DEVICE: 'no-device',
+  DEVICE_BUSY: 'device-busy',
+  DEVICE_LOST: 'device-lost',
+  UNSUPPORTED: 'unsupported',
+  INSECURE_CONTEXT: 'insecure-context',
+  NO_SYSTEM_AUDIO: 'no-system-audio', // The share dialog was closed, or nothing with audio was shared
+  SYSTEM_AUDIO_UNSUPPORTED: 'system-audio-unsupported',
+  UNKNOWN: 'unknown',
+};
+
+export const ERROR_MESSAGES = {
+  [RECORDER_ERRORS.PERMISSION_DENIED]: 'Microphone access was denied. Allow it in your browser settings and try again.',
+  [RECORDER_ERRORS.NO_DEVICE]: 'No microphone was found. Connect one and try again.',
+  [RECORDER_ERRORS.DEVICE_BUSY]: 'The microphone is in use by another application.',
+  [RECORDER_ERRORS.DEVICE_LOST]: 'The microphone was disconnected. The recording was stopped.',
+  [RECORDER_ERRORS.UNSUPPORTED]: 'Recording is not supported in this browser.',
+  [RECORDER_ERRORS.INSECURE_CONTEXT]: 'Recording requires a secure (https) connection.',
+  [RECORDER_ERRORS.NO_SYSTEM_AUDIO]: 'No tab or system audio was shared. Pick a tab or screen and turn on sharing its audio.',
+  [RECORDER_ERRORS.SYSTEM_AUDIO_UNSUPPORTED]: 'This browser can\'t record tab or system audio.',
+  [RECORDER_ERRORS.UNKNOWN]: 'Could not start recording.',
+};
+
+export class RecorderError extends Error {
+  constructor(code, { message, cause } = {}) {
+    super(message || ERROR_MESSAGES[code] || ERROR_MESSAGES[RECORDER_ERRORS.UNKNOWN], { cause });
+    this.name = 'RecorderError';
+    this.code = code;
+  }
+}
+
+// DOMException names from getUserMedia / MediaRecorder
+const CODES_BY_NAME = {
+  NotAllowedError: RECORDER_ERRORS.PERMISSION_DENIED,
+  PermissionDeniedError: RECORDER_ERRORS.PERMISSION_DENIED,
+  SecurityError: RECORDER_ERRORS.PERMISSION_DENIED,
+  NotFoundError: RECORDER_ERRORS.NO_DEVICE,
+  DevicesNotFoundError: RECORDER_ERRORS.NO_DEVICE,
+  OverconstrainedError: RECORDER_ERRORS.NO_DEVICE,
+  NotReadableError: RECORDER_ERRORS.DEVICE_BUSY,
+  TrackStartError: RECORDER_ERRORS.DEVICE_BUSY,
+  AbortError: RECORDER_ERRORS.DEVICE_BUSY,
+  NotSupportedError: RECORDER_ERRORS.UNSUPPORTED,
+};
+
+export const toRecorderError = (err) => {
+  if (err instanceof RecorderError) return err;
+  return new RecorderError(CODES_BY_NAME[err?.name] || RECORDER_ERRORS.UNKNOWN, { cause: err });
+};
+
+// Returns a RecorderError when this environment can't record at all, otherwise null
+export const checkRecordingSupport = () => {
+  if (typeof window !== 'undefined' && window.isSecureContext === false) {
+    return new RecorderError(RECORDER_ERRORS.INSECURE_CONTEXT);
+  }
+  if (typeof MediaRecorder === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+    return new RecorderError(RECORDER_ERRORS.UNSUPPORTED);
+  }
+  return null;
+};
@@ -0,0 +1,174 @@
+// --- IndexedDB persistence for finished recordings and in-progress drafts ---
+const DB_NAME = 'audio-recorder';
+const DB_VERSION = 1;
+
+const RECORDINGS = 'recordings'; // { id, title, blob, duration, mimeType, createdAt }
+const DRAFTS = 'drafts'; // { id, mimeType, startedAt, updatedAt, duration }
+const DRAFT_CHUNKS = 'draftChunks'; // { id (auto), draftId, blob }
+
+let dbPromise = null;
+const listeners = new Set();
+// Drafts being written by this tab; only drafts left behind by other sessions are recoverable
+const activeDraftIds = new Set();
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECORDINGS)) {
+        db.createObjectStore(RECORDINGS, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+      }
+      if (!db.objectStoreNames.contains(DRAFTS)) {
+        db.createObjectStore(DRAFTS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DRAFT_CHUNKS)) {
+        db.createObjectStore(DRAFT_CHUNKS, { keyPath: 'id', autoIncrement: true }).createIndex('draftId', 'draftId');
+      }
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `work(stores)` in one transaction and resolves once it has committed
+const withStores = async (names, mode, work) => {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const stores = names.map((name) => tx.objectStore(name));
+  const result = await work(...stores);
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const createId = () => (
+  globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(16).slice(2)}`
+);
+
+export const isStorageSupported = () => typeof indexedDB !== 'undefined';
+
+// Listen for any write; returns an unsubscribe function
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// --- Recordings ---
+export const listRecordings = async () => {
+  const all = await withStores([RECORDINGS], 'readonly', (store) => promisify(store.getAll()));
+  return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const getRecording = (id) => (
+  withStores([RECORDINGS], 'readonly', (store) => promisify(store.get(id)))
+);
+
+export const saveRecording = async ({ blob, duration = 0, title, createdAt, ...extra }) => {
+  const created = createdAt || new Date().toISOString();
+  const recording = {
+    ...extra,
+    id: createId(),
+    title: title || '', // Untitled takes are named after their date in the library's language
+    blob,
+    duration,
+    mimeType: blob.type,
+    createdAt: created,
+  };
+  await withStores([RECORDINGS], 'readwrite', (store) => promisify(store.put(recording)));
+  notify();
+  return recording;
+};
+
+export const updateRecording = async (id, changes) => {
+  const updated = await withStores([RECORDINGS], 'readwrite', async (store) => {
+    const existing = await promisify(store.get(id));
+    if (!existing) return null;
+    const next = { ...existing, ...changes, id };
+    await promisify(store.put(next));
+    return next;
+  });
+  notify();
+  return updated;
+};
+
+export const deleteRecording = async (id) => {
+  await withStores([RECORDINGS], 'readwrite', (store) => promisify(store.delete(id)));
+  notify();
+};
+
+// --- Drafts (chunks written while recording, for crash recovery) ---
+export const createDraft = async ({ mimeType = '' } = {}) => {
+  const now = new Date().toISOString();
+  const draft = { id: createId(), mimeType, startedAt: now, updatedAt: now, duration: 0 };
+  await withStores([DRAFTS], 'readwrite', (store) => promisify(store.put(draft)));
+  activeDraftIds.add(draft.id);
+  return draft;
+};
+
+export const appendDraftChunk = (draftId, blob, { duration } = {}) => (
+  withStores([DRAFTS, DRAFT_CHUNKS], 'readwrite', async (drafts, chunks) => {
+    const draft = await promisify(drafts.get(draftId));
+    if (!draft) return;
+    await promisify(chunks.add({ draftId, blob }));
+    await promisify(drafts.put({
+      ...draft,
+      mimeType: draft.mimeType || blob.type,
+      updatedAt: new Date().toISOString(),
+      duration: duration ?? draft.duration,
+    }));
+  })
+);
+
+export const listDrafts = async () => {
+  const all = await withStores([DRAFTS], 'readonly', (store) => promisify(store.getAll()));
+  return all.filter((draft) => !activeDraftIds.has(draft.id));
+};
+
+// Reassemble a draft's chunks into a single Blob
+export const loadDraft = (draftId) => (
+  withStores([DRAFTS, DRAFT_CHUNKS], 'readonly', async (drafts, chunks) => {
+    const draft = await promisify(drafts.get(draftId));
+    if (!draft) return null;
+    const parts = await promisify(chunks.index('draftId').getAll(draftId));
+    const blob = new Blob(parts.sort((a, b) => a.id - b.id).map((part) => part.blob), { type: draft.mimeType });
+    return { ...draft, blob };
+  })
+);
+
+export const deleteDraft = async (draftId) => {
+  await withStores([DRAFTS, DRAFT_CHUNKS], 'readwrite', async (drafts, chunks) => {
+    const keys = await promisify(chunks.index('draftId').getAllKeys(draftId));
+    keys.forEach((key) => chunks.delete(key));
+    await promisify(drafts.delete(draftId));
+  });
+  activeDraftIds.delete(draftId);
+  notify();
+};
+
+// Turn a recovered draft into a regular recording
+export const recoverDraft = async (draftId) => {
+  const draft = await loadDraft(draftId);
+  if (!draft) return null;
+  const recording = await saveRecording({
+    blob: draft.blob,
+    duration: draft.duration,
+    createdAt: draft.startedAt,
+    recovered: true,
+  });
+  await deleteDraft(draftId);
+  return recording;
+};
@@ -0,0 +1,73 @@
+// --- Themes: one set of colors for the stylesheet and the WaveSurfer canvases ---
+// The stylesheet reads them as CSS custom properties (--recorder-primary, ...),
+// WaveSurfer gets the plain values since a canvas can't resolve var().
+
+export const DARK_THEME = {
+  primary: '#8CFF05', // Lime-400: accents, live waveform, cursor
+  progress: '#bef264', // Lime-300: played part of the live waveform
+  playback: '#ffffff', // Finished waveform
+  wave: '#4b5563', // Waveforms of secondary players (take stack)
+  background: '#111827', // Page around the card
+  card: '#1F3338',
+  surface: '#21262d', // Buttons, inputs, panels
+  border: '#30363d',
+  controlBorder: '#374151',
+  overlay: 'rgba(31, 41, 55, 0.5)',
+  text: '#f3f4f6',
+  textSecondary: '#9ca3af',
+  textDisabled: '#4b5563',
+  idleBars: '#6b7280', // Striped placeholder behind the idle waveform
+  onPrimary: '#111827', // Text on primary backgrounds
+  recordIcon: '#03aa8e',
+  danger: '#ef4444',
+  dangerHover: '#f87171',
+  onDanger: '#ffffff',
+  warning: '#fbbf24',
+};
+
+export const LIGHT_THEME = {
+  primary: '#4d7c0f',
+  progress: '#84cc16',
+  playback: '#1f2937',
+  wave: '#d1d5db',
+  background: '#f3f4f6',
+  card: '#ffffff',
+  surface: '#f3f4f6',
+  border: '#e5e7eb',
+  controlBorder: '#d1d5db',
+  overlay: 'rgba(229, 231, 235, 0.6)',
+  text: '#111827',
+  textSecondary: '#4b5563',
+  textDisabled: '#9ca3af',
+  idleBars: '#9ca3af',
+  onPrimary: '#ffffff',
+  recordIcon: '#ffffff',
+  danger: '#dc2626',
+  dangerHover: '#ef4444',
+  onDanger: '#ffffff',
+  warning: '#b45309',
+};
+
+export const THEMES = {
+  dark: DARK_THEME,
+  light: LIGHT_THEME,
+};
+
+// `theme` is 'dark', 'light', 'auto' (follows prefers-color-scheme) or an object of
+// colors to override, with an optional `base` preset: { base: 'light', primary: '#e11d48' }
+export const resolveTheme = (theme = 'auto', prefersDark = true) => {
+  const { base = 'auto', ...overrides } = typeof theme === 'string' ? { base: theme } : theme || {};
+  let scheme = base === 'auto' ? (prefersDark ? 'dark' : 'light') : base;
+  if (!THEMES[scheme]) scheme = 'dark';
+  return { scheme, colors: { ...THEMES[scheme], ...overrides } };
+};
+
+const cssVarName = (key) => `--recorder-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+// Style object for the component root: { '--recorder-primary': '#8CFF05', ... }
+export const themeToCssVars = (colors) => Object.fromEntries(
+  Object.entries(colors).map(([key, value]) => [cssVarName(key), value]),
+);
+
+// Translucent version of any CSS color, for regions drawn as DOM elements
+export const fadeColor = (color, opacity) => `color-mix(in srgb, ${color} ${Math.round(opacity * 100)}%, transparent)`;
@@ -0,0 +1,134 @@
+import { extensionForMimeType } from './mimeTypes';
+
+// --- Transcription adapters ---
+// An adapter implements either or both of:
+//   start({ stream, lang, onResult, onError }) => { stop() }
+//     Live captions while recording; a pause stops the session and resume starts
+//     a new one. onResult({ text, isFinal }) is stamped with the recording clock
+//     by useTranscription, and may still fire for a short while after stop().
+//   transcribe(blob, { lang, signal }) => Promise<[{ start, end, text }]>
+//     Runs after record-end (and after edits); its segments replace the live ones.
+
+// Follows trim/cut edits from useWaveformEditor like remapMarkers; a segment keeps
+// whatever part of it is left and is dropped when nothing is
+export const remapSegments = (segments, edits = []) => edits.reduce((current, { type, start, end }) => {
+  let move;
+  if (type === 'trim') move = (time) => Math.min(Math.max(time, start), end) - start;
+  else if (type === 'cut') move = (time) => (time < start ? time : Math.max(time - (end - start), start));
+  else return current;
+  return current
+    .map((segment) => ({ ...segment, start: move(segment.start), end: move(segment.end) }))
+    .filter((segment) => segment.end > segment.start);
+}, segments);
+
+export class TranscriptionError extends Error {
+  constructor(message, { code = 'unknown', cause } = {}) {
+    super(message, { cause });
+    this.name = 'TranscriptionError';
+    this.code = code; // 'unsupported', 'permission-denied', 'network', 'http', 'unknown'
+  }
+}
+
+const getSpeechRecognition = () => (
+  typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null
+);
+
+const SPEECH_ERROR_CODES = {
+  'not-allowed': 'permission-denied',
+  'service-not-allowed': 'permission-denied',
+  network: 'network',
+  'language-not-supported': 'unsupported',
+};
+
+// Web Speech API. It listens to the default microphone on its own, not to the
+// recorder's stream, and is only available in some browsers.
+export const createWebSpeechTranscriber = ({ lang = '' } = {}) => ({
+  name: 'web-speech',
+  isSupported: () => Boolean(getSpeechRecognition()),
+
+  start({ lang: sessionLang, onResult, onError }) {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition) {
+      throw new TranscriptionError('Speech recognition is not supported in this browser.', { code: 'unsupported' });
+    }
+
+    let recognition = null;
+    let listening = false;
+
+    const listen = () => {
+      recognition = new SpeechRecognition();
+      recognition.lang = lang || sessionLang || navigator.language;
+      recognition.continuous = true;
+      recognition.interimResults = true;
+
+      recognition.onresult = (event) => {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          onResult({ text: result[0].transcript.trim(), isFinal: result.isFinal });
+        }
+      };
+      recognition.onerror = (event) => {
+        // Silence and our own stop() are not errors
+        if (event.error === 'no-speech' || event.error === 'aborted') return;
+        listening = false;
+        onError?.(new TranscriptionError(`Speech recognition failed: ${event.error}`, {
+          code: SPEECH_ERROR_CODES[event.error] || 'unknown',
+        }));
+      };
+      // Browsers end the session after a while or on silence; keep going until stopped
+      recognition.onend = () => {
+        if (listening) listen();
+      };
+
+      listening = true;
+      recognition.start();
+    };
+
+    listen();
+
+    return {
+      // stop() rather than abort() so the last utterance is still finalized
+      stop: () => {
+        listening = false;
+        recognition.stop();
+      },
+    };
+  },
+});
+
+// Local or self-hosted engine (e.g. a Whisper server) behind an HTTP endpoint.
+// It receives the recording as multipart `fieldName` and must answer with
+// { segments: [{ start, end, text }] }.
+export const createHttpTranscriber = ({
+  endpoint,
+  headers = {},
+  fieldName = 'audio',
+  lang = '',
+} = {}) => ({
+  name: 'http',
+  isSupported: () => Boolean(endpoint),
+
+  async transcribe(blob, { lang: sessionLang, signal } = {}) {
+    if (!endpoint) {
+      throw new TranscriptionError('No transcription endpoint configured', { code: 'unsupported' });
+    }
+
+    const form = new FormData();
+    form.append(fieldName, blob, `recording.${extensionForMimeType(blob.type)}`);
+    if (lang || sessionLang) form.append('lang', lang || sessionLang);
+
+    let response;
+    try {
+      response = await fetch(endpoint, { method: 'POST', headers, body: form, signal });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new TranscriptionError('Transcription request failed', { code: 'network', cause: err });
+    }
+    if (!response.ok) {
+      throw new TranscriptionError(`Transcription failed with status ${response.status}`, { code: 'http' });
+    }
+
+    const { segments = [] } = await response.json();
+    return segments;
+  },
+});
@@ -0,0 +1,139 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  TranscriptionError,
+  createHttpTranscriber,
+  createWebSpeechTranscriber,
+  remapSegments,
+} from './transcription';
+
+const blob = new Blob(['take'], { type: 'audio/webm' });
+
+class FakeSpeechRecognition {
+  static instances = [];
+
+  constructor() {
+    FakeSpeechRecognition.instances.push(this);
+  }
+
+  start = vi.fn();
+  stop = vi.fn(() => this.onend?.());
+
+  say(transcript, isFinal) {
+    this.onresult({ resultIndex: 0, results: [Object.assign([{ transcript }], { isFinal })] });
+  }
+}
+
+afterEach(() => {
+  FakeSpeechRecognition.instances = [];
+  delete window.SpeechRecognition;
+  vi.unstubAllGlobals();
+});
+
+describe('remapSegments', () => {
+  const segments = [
+    { start: 0.5, end: 1.5, text: 'one' },
+    { start: 2, end: 3, text: 'two' },
+    { start: 4, end: 5, text: 'three' },
+  ];
+
+  it('keeps what is left of each segment around a cut', () => {
+    expect(remapSegments(segments, [{ type: 'cut', start: 1, end: 3.5 }])).toEqual([
+      { start: 0.5, end: 1, text: 'one' },
+      { start: 1.5, end: 2.5, text: 'three' },
+    ]);
+  });
+
+  it('moves trimmed segments to the new start and drops the ones outside', () => {
+    expect(remapSegments(segments, [{ type: 'trim', start: 1, end: 4.5 }])).toEqual([
+      { start: 0, end: 0.5, text: 'one' },
+      { start: 1, end: 2, text: 'two' },
+      { start: 3, end: 3.5, text: 'three' },
+    ]);
+  });
+});
+
+describe('createWebSpeechTranscriber', () => {
+  it('listens in the session language and reports interim and final results', () => {
+    window.SpeechRecognition = FakeSpeechRecognition;
+    const onResult = vi.fn();
+    const session = createWebSpeechTranscriber().start({ lang: 'de', onResult });
+    const [recognition] = FakeSpeechRecognition.instances;
+    expect(recognition).toMatchObject({ lang: 'de', continuous: true, interimResults: true });
+
+    recognition.say(' hallo ', false);
+    recognition.say('hallo welt', true);
+    expect(onResult.mock.calls).toEqual([
+      [{ text: 'hallo', isFinal: false }],
+      [{ text: 'hallo welt', isFinal: true }],
+    ]);
+
+    session.stop();
+    expect(recognition.stop).toHaveBeenCalledTimes(1);
+    expect(FakeSpeechRecognition.instances).toHaveLength(1);
+  });
+
+  it('prefers its own language and keeps listening when the browser ends the session', () => {
+    window.SpeechRecognition = FakeSpeechRecognition;
+    createWebSpeechTranscriber({ lang: 'ar-EG' }).start({ lang: 'de', onResult: vi.fn() });
+
+    FakeSpeechRecognition.instances[0].onend();
+    expect(FakeSpeechRecognition.instances).toHaveLength(2);
+    expect(FakeSpeechRecognition.instances[1]).toMatchObject({ lang: 'ar-EG' });
+    expect(FakeSpeechRecognition.instances[1].start).toHaveBeenCalledTimes(1);
+  });
+
+  it('maps recognition errors and ignores silence', () => {
+    window.SpeechRecognition = FakeSpeechRecognition;
+    const onError = vi.fn();
+    createWebSpeechTranscriber().start({ onResult: vi.fn(), onError });
+    const [recognition] = FakeSpeechRecognition.instances;
+
+    recognition.onerror({ error: 'no-speech' });
+    expect(onError).not.toHaveBeenCalled();
+    recognition.onerror({ error: 'not-allowed' });
+    expect(onError).toHaveBeenCalledWith(expect.any(TranscriptionError));
+    expect(onError.mock.calls[0][0].code).toBe('permission-denied');
+
+    // An error ends listening, so the browser's onend doesn't restart it
+    recognition.onend();
+    expect(FakeSpeechRecognition.instances).toHaveLength(1);
+  });
+
+  it('throws an unsupported error without speech recognition', () => {
+    const transcriber = createWebSpeechTranscriber();
+    expect(transcriber.isSupported()).toBe(false);
+    expect(() => transcriber.start({ onResult: vi.fn() })).toThrow(expect.objectContaining({ code: 'unsupported' }));
+  });
+});
+
+describe('createHttpTranscriber', () => {
+  it('posts the take with the session language and resolves to its segments', async () => {
+    const segments = [{ start: 0, end: 1, text: 'hello' }];
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ segments })));
+    vi.stubGlobal('fetch', fetch);
+    const { signal } = new AbortController();
+
+    const transcriber = createHttpTranscriber({ endpoint: '/transcribe', headers: { Authorization: 'Bearer x' } });
+    await expect(transcriber.transcribe(blob, { lang: 'de', signal })).resolves.toEqual(segments);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/transcribe');
+    expect(init).toMatchObject({ method: 'POST', headers: { Authorization: 'Bearer x' }, signal });
+    expect(init.body.get('audio').name).toBe('recording.webm');
+    expect(init.body.get('lang')).toBe('de');
+  });
+
+  it('reports network and http failures and passes aborts through', async () => {
+    const transcriber = createHttpTranscriber({ endpoint: '/transcribe' });
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 503 })));
+    await expect(transcriber.transcribe(blob)).rejects.toMatchObject({ name: 'TranscriptionError', code: 'http' });
+
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(transcriber.transcribe(blob)).rejects.toMatchObject({ code: 'network' });
+
+    const abort = new DOMException('Aborted', 'AbortError');
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(abort));
+    await expect(transcriber.transcribe(blob)).rejects.toBe(abort);
+  });
+});
@@ -0,0 +1,257 @@
+import { extensionForMimeType } from './mimeTypes';
+
+// --- Configuration Defaults ---
+export const DEFAULT_UPLOAD_OPTIONS = {
+  endpoint: null,
+  method: 'POST',
+  headers: {},
+  fieldName: 'audio',
+  withCredentials: false,
+  // Blobs larger than this are sent as resumable chunks
+  chunkSize: 5 * 1024 * 1024,
+  maxRetries: 3,
+  retryDelay: 1000, // Base delay in ms, doubled on every attempt
+  onUpload: null, // Custom transport: (blob, meta, { onProgress, signal }) => Promise
+};
+
+export class UploadError extends Error {
+  constructor(message, { code = 'network', status = 0, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UploadError';
+    this.code = code; // 'config', 'network', 'http', 'cancelled'
+    this.status = status;
+  }
+}
+
+const isRetryable = (err) => {
+  if (err.code === 'network') return true;
+  if (err.code !== 'http') return false;
+  return err.status >= 500 || err.status === 408 || err.status === 429;
+};
+
+const createUploadId = () => (
+  globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(16).slice(2)}`
+);
+
+// Abortable delay used between retries
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new UploadError('Upload cancelled', { code: 'cancelled' }));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// --- Transport ---
+// XHR rather than fetch so we get upload progress events
+const sendRequest = ({ url, method, headers = {}, body = null, withCredentials, onProgress, signal }) => (
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new UploadError('Upload cancelled', { code: 'cancelled' }));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.withCredentials = withCredentials;
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    if (onProgress) {
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded, e.total);
+      };
+    }
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+    xhr.onload = () => {
+      cleanup();
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr);
+      } else {
+        reject(new UploadError(`Upload failed with status ${xhr.status}`, { code: 'http', status: xhr.status }));
+      }
+    };
+    xhr.onerror = () => {
+      cleanup();
+      reject(new UploadError('Network error during upload'));
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(new UploadError('Upload cancelled', { code: 'cancelled' }));
+    };
+
+    xhr.send(body);
+  })
+);
+
+const parseResponse = (xhr) => {
+  try {
+    return JSON.parse(xhr.responseText);
+  } catch {
+    return xhr.responseText;
+  }
+};
+
+// --- Uploader ---
+export const createUploader = (options = {}) => {
+  const config = { ...DEFAULT_UPLOAD_OPTIONS, ...options };
+  let controller = null;
+  // Chunked session survives cancel/failure so the next attempt can resume
+  let session = null;
+
+  const withRetry = async (task, signal) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await task();
+      } catch (caught) {
+        // Anything else a custom onUpload throws counts as a network error
+        const err = caught instanceof UploadError
+          ? caught
+          : new UploadError(caught?.message || 'Upload failed', { code: 'network', cause: caught });
+        if (signal?.aborted || attempt >= config.maxRetries || !isRetryable(err)) throw err;
+        await wait(config.retryDelay * 2 ** attempt, signal);
+      }
+    }
+  };
+
+  const uploadWhole = (blob, meta, onProgress, signal) => {
+    const form = new FormData();
+    form.append(config.fieldName, blob, meta.fileName);
+    form.append('metadata', JSON.stringify(meta));
+
+    return withRetry(() => sendRequest({
+      url: config.endpoint,
+      method: config.method,
+      headers: config.headers,
+      body: form,
+      withCredentials: config.withCredentials,
+      onProgress: (loaded, total) => onProgress(loaded / total),
+      signal,
+    }), signal);
+  };
+
+  // Ask the server how many bytes of this session it already holds
+  const queryOffset = async (signal) => {
+    try {
+      const xhr = await sendRequest({
+        url: config.endpoint,
+        method: 'HEAD',
+        headers: { ...config.headers, 'X-Upload-Id': session.uploadId },
+        withCredentials: config.withCredentials,
+        signal,
+      });
+      const offset = Number(xhr.getResponseHeader('X-Upload-Offset')) || 0;
+      // Nothing to resume from past the end of the take; start over
+      return offset <= session.blob.size ? offset : 0;
+    } catch (err) {
+      if (err.code === 'cancelled') throw err;
+      return session.offset;
+    }
+  };
+
+  const uploadChunked = async (blob, meta, onProgress, signal) => {
+    const total = blob.size;
+    if (session.offset > 0) {
+      session.offset = await queryOffset(signal);
+    }
+
+    let xhr = null;
+    while (session.offset < total) {
+      const start = session.offset;
+      const end = Math.min(start + config.chunkSize, total);
+
+      xhr = await withRetry(() => sendRequest({
+        url: config.endpoint,
+        method: config.method,
+        headers: {
+          ...config.headers,
+          'Content-Type': blob.type || 'application/octet-stream',
+          'Content-Range': `bytes ${start}-${end - 1}/${total}`,
+          'X-Upload-Id': session.uploadId,
+          'X-File-Name': encodeURIComponent(meta.fileName),
+          'X-Upload-Metadata': encodeURIComponent(JSON.stringify(meta)),
+        },
+        body: blob.slice(start, end),
+        withCredentials: config.withCredentials,
+        onProgress: (loaded) => onProgress((start + loaded) / total),
+        signal,
+      }), signal);
+
+      // Trust the server's count if it reports one, so partial chunks are re-sent
+      const received = xhr.getResponseHeader('X-Upload-Offset');
+      const offset = received !== null ? Number(received) : end;
+      // A count behind the chunk is where the server wants us to resume, but the chunk's
+      // own start again means it took none of it, and re-sending would never end
+      if (!(offset >= 0 && offset <= total) || offset === start) {
+        throw new UploadError(`Upload server did not accept bytes ${start}-${end - 1}`, {
+          code: 'http',
+          status: xhr.status,
+        });
+      }
+      session.offset = offset;
+      onProgress(session.offset / total);
+    }
+    return xhr;
+  };
+
+  const upload = async (blob, meta = {}, { onProgress = () => {} } = {}) => {
+    if (!config.onUpload && !config.endpoint) {
+      throw new UploadError('No upload endpoint or onUpload handler configured', { code: 'config' });
+    }
+
+    // Retries of the same blob keep its id and file name
+    if (!session || session.blob !== blob) {
+      session = {
+        blob,
+        uploadId: createUploadId(),
+        fileName: `recording-${Date.now()}.${extensionForMimeType(blob.type)}`,
+        offset: 0,
+      };
+    }
+
+    const fullMeta = {
+      fileName: session.fileName,
+      mimeType: blob.type,
+      size: blob.size,
+      ...meta,
+      uploadId: session.uploadId,
+    };
+
+    controller = new AbortController();
+    const { signal } = controller;
+
+    try {
+      let result;
+      if (config.onUpload) {
+        result = await withRetry(() => config.onUpload(blob, fullMeta, { onProgress, signal }), signal);
+      } else if (blob.size > config.chunkSize) {
+        result = parseResponse(await uploadChunked(blob, fullMeta, onProgress, signal));
+      } else {
+        result = parseResponse(await uploadWhole(blob, fullMeta, onProgress, signal));
+      }
+      onProgress(1);
+      session = null;
+      return result;
+    } catch (err) {
+      if (signal.aborted && !(err instanceof UploadError && err.code === 'cancelled')) {
+        throw new UploadError('Upload cancelled', { code: 'cancelled', cause: err });
+      }
+      throw err;
+    } finally {
+      controller = null;
+    }
+  };
+
+  const cancel = () => {
+    if (controller) controller.abort();
+  };
+
+  return { upload, cancel };
+};
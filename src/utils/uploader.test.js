@@ -0,0 +1,174 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { UploadError, createUploader } from './uploader';
+
+const blob = new Blob(['take'], { type: 'audio/webm' });
+const bigBlob = new Blob(['0123456789'], { type: 'audio/webm' });
+
+// Answers each request from FakeXHR.server(xhr): { status, headers, body }, 'error',
+// or 'pending' to leave it open until it is aborted
+class FakeXHR {
+  static requests = [];
+  static server = () => ({ status: 200 });
+
+  upload = {};
+  headers = {};
+  responseHeaders = {};
+
+  open(method, url) {
+    Object.assign(this, { method, url });
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  getResponseHeader(name) {
+    return this.responseHeaders[name] ?? null;
+  }
+
+  abort() {
+    this.onabort();
+  }
+
+  send(body) {
+    this.body = body;
+    FakeXHR.requests.push(this);
+    queueMicrotask(() => {
+      const response = FakeXHR.server(this);
+      if (response === 'pending') return;
+      if (response === 'error') {
+        this.onerror();
+        return;
+      }
+      const { status, headers = {}, body: json = {} } = response;
+      Object.assign(this, { status, responseHeaders: headers, responseText: JSON.stringify(json) });
+      this.onload();
+    });
+  }
+}
+
+// Keeps the bytes of each upload id like scripts/mock-upload-server.js
+const chunkServer = () => {
+  const offsets = new Map();
+  return (xhr) => {
+    const id = xhr.headers['X-Upload-Id'];
+    if (xhr.method === 'HEAD') return { status: 200, headers: { 'X-Upload-Offset': String(offsets.get(id) || 0) } };
+
+    const [, start, end, total] = /bytes (\d+)-(\d+)\/(\d+)/.exec(xhr.headers['Content-Range']).map(Number);
+    const offset = start === (offsets.get(id) || 0) ? end + 1 : offsets.get(id) || 0;
+    offsets.set(id, offset);
+    return { status: offset === total ? 201 : 200, headers: { 'X-Upload-Offset': String(offset) }, body: { received: offset } };
+  };
+};
+
+const ranges = () => FakeXHR.requests.map((xhr) => xhr.headers['Content-Range'] ?? xhr.method);
+
+beforeEach(() => {
+  FakeXHR.requests = [];
+  vi.stubGlobal('XMLHttpRequest', FakeXHR);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('uploader', () => {
+  it('retries errors of a custom onUpload as network errors', async () => {
+    const cause = new Error('socket closed');
+    const onUpload = vi.fn(async () => {
+      throw cause;
+    });
+    const uploader = createUploader({ onUpload, maxRetries: 2, retryDelay: 0 });
+
+    const err = await uploader.upload(blob).catch((error) => error);
+    expect(err).toBeInstanceOf(UploadError);
+    expect(err).toMatchObject({ code: 'network', message: 'socket closed', cause });
+    expect(onUpload).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps the upload id and file name when the same take is uploaded again', async () => {
+    const onUpload = vi.fn()
+      .mockRejectedValueOnce(new UploadError('Bad request', { code: 'http', status: 400 }))
+      .mockResolvedValueOnce({ ok: true });
+    const uploader = createUploader({ onUpload, retryDelay: 0 });
+
+    await expect(uploader.upload(blob)).rejects.toMatchObject({ code: 'http' });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+    await expect(uploader.upload(blob)).resolves.toEqual({ ok: true });
+
+    const [[, first], [, second]] = onUpload.mock.calls;
+    expect(first.fileName).toMatch(/^recording-\d+\.webm$/);
+    expect(second).toMatchObject({ fileName: first.fileName, uploadId: first.uploadId });
+  });
+
+  it('sends a big take in chunks and resumes where the server left off', async () => {
+    const server = chunkServer();
+    FakeXHR.server = (xhr) => (xhr.headers['Content-Range'] === 'bytes 4-7/10' && ranges().length === 2 ? 'error' : server(xhr));
+    const onProgress = vi.fn();
+    const uploader = createUploader({ endpoint: '/upload', chunkSize: 4, maxRetries: 0 });
+
+    await expect(uploader.upload(bigBlob)).rejects.toMatchObject({ code: 'network' });
+    await expect(uploader.upload(bigBlob, {}, { onProgress })).resolves.toEqual({ received: 10 });
+
+    expect(ranges()).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'HEAD', 'bytes 4-7/10', 'bytes 8-9/10']);
+    const ids = new Set(FakeXHR.requests.map((xhr) => xhr.headers['X-Upload-Id']));
+    expect(ids.size).toBe(1);
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+  });
+
+  it('rewinds to the offset the server asks for and gives up when it takes nothing', async () => {
+    const offsets = ['4', '2', '2'];
+    FakeXHR.server = () => ({ status: 200, headers: { 'X-Upload-Offset': offsets.shift() } });
+    const uploader = createUploader({ endpoint: '/upload', chunkSize: 4, maxRetries: 0 });
+
+    const err = await uploader.upload(bigBlob).catch((error) => error);
+    expect(err).toBeInstanceOf(UploadError);
+    expect(err).toMatchObject({ code: 'http', status: 200 });
+    expect(ranges()).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 2-5/10']);
+  });
+
+  it('retries server errors with a doubling delay', async () => {
+    vi.useFakeTimers();
+    let failures = 2;
+    FakeXHR.server = () => (failures-- > 0 ? { status: 503 } : { status: 201, body: { ok: true } });
+    const uploader = createUploader({ endpoint: '/upload', retryDelay: 100 });
+
+    const result = uploader.upload(blob);
+    await vi.advanceTimersByTimeAsync(99);
+    expect(FakeXHR.requests).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(FakeXHR.requests).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(FakeXHR.requests).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(FakeXHR.requests).toHaveLength(3);
+  });
+
+  it('tells a cancelled upload apart from a failed one', async () => {
+    FakeXHR.server = () => 'pending';
+    const uploader = createUploader({ endpoint: '/upload', retryDelay: 0 });
+    const pending = uploader.upload(blob);
+    await Promise.resolve();
+    uploader.cancel();
+    await expect(pending).rejects.toMatchObject({ code: 'cancelled' });
+
+    FakeXHR.server = () => ({ status: 404 });
+    await expect(uploader.upload(blob)).rejects.toMatchObject({ code: 'http', status: 404 });
+    // Client errors are not retried
+    expect(FakeXHR.requests).toHaveLength(2);
+  });
+
+  it('cancels while waiting to retry', async () => {
+    FakeXHR.server = () => ({ status: 503 });
+    const uploader = createUploader({ endpoint: '/upload', retryDelay: 60000 });
+    const pending = uploader.upload(blob);
+    await vi.waitFor(() => expect(FakeXHR.requests[0]?.status).toBe(503));
+    uploader.cancel();
+    await expect(pending).rejects.toMatchObject({ code: 'cancelled' });
+    expect(FakeXHR.requests).toHaveLength(1);
+  });
+});
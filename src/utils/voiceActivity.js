@@ -0,0 +1,127 @@
+import { audioBufferToWav, decodeAudioBlob } from './audioExport';
+import { keepRanges, keepRangesEdits } from './audioEdit';
+
+// --- Voice-activity detection (level based) ---
+export const DEFAULT_VAD_OPTIONS = {
+  threshold: -45, // dBFS above which a frame counts as speech
+  minSpeech: 0.1, // Seconds above the threshold before speech starts
+  hangover: 0.3, // Seconds below it before speech ends
+  autoStart: true, // Start recording on the first speech while idle
+  pauseAfter: 1.5, // Seconds of silence before auto-pause, null = never
+  stopAfter: null, // Seconds of silence before auto-stop, null = never
+  trimSilence: false, // Shorten silent gaps in the finished take
+  maxGap: 0.5, // Longest silence (seconds) kept when trimming
+};
+
+const FRAME = 0.02; // Seconds per analysis frame
+const INTERVAL = 20; // ms between live level checks
+
+const rmsDb = (samples, from = 0, to = samples.length) => {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return 10 * Math.log10(sum / Math.max(1, to - from) || 1e-12);
+};
+
+// Turns per-frame levels into speech / silence with minSpeech and hangover debounce
+const createGate = ({ threshold, minSpeech, hangover }) => {
+  let speaking = false;
+  let since = null; // Time the level last crossed to the other side
+
+  return (level, time) => {
+    const above = level >= threshold;
+    if (above === speaking) {
+      since = null;
+      return speaking;
+    }
+    if (since === null) since = time;
+    if (time - since >= (speaking ? hangover : minSpeech)) {
+      speaking = above;
+      since = null;
+    }
+    return speaking;
+  };
+};
+
+// Watches a live stream and calls onChange(isSpeaking) on transitions.
+// The stream's tracks are left alone; close() only tears down the analysis.
+export const createVoiceDetector = (stream, { onChange, ...options } = {}) => {
+  const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const ctx = new AudioContext();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  const source = ctx.createMediaStreamSource(stream);
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const gate = createGate(settings);
+  let speaking = false;
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const next = gate(rmsDb(samples), ctx.currentTime);
+    if (next !== speaking) {
+      speaking = next;
+      onChange?.(speaking);
+    }
+  }, INTERVAL);
+
+  return {
+    close: () => {
+      clearInterval(timer);
+      source.disconnect();
+      ctx.close();
+    },
+  };
+};
+
+// Speech ranges [{ start, end }] (seconds) in a decoded buffer
+export const detectSpeechSegments = (buffer, options = {}) => {
+  const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const samples = buffer.getChannelData(0);
+  const frameLength = Math.max(1, Math.round(FRAME * buffer.sampleRate));
+  const gate = createGate(settings);
+
+  const segments = [];
+  let current = null;
+  for (let from = 0; from < samples.length; from += frameLength) {
+    const time = from / buffer.sampleRate;
+    const speaking = gate(rmsDb(samples, from, Math.min(samples.length, from + frameLength)), time);
+    if (speaking && !current) {
+      // The debounce delays both edges; move them back to where they happened
+      current = { start: Math.max(0, time - settings.minSpeech) };
+    } else if (!speaking && current) {
+      current.end = time - settings.hangover;
+      segments.push(current);
+      current = null;
+    }
+  }
+  if (current) segments.push({ ...current, end: buffer.duration });
+  return segments.filter((segment) => segment.end > segment.start);
+};
+
+// Shortens every silent gap to at most maxGap, keeping half of it on each side of speech
+export const trimSilence = async (blob, options = {}) => {
+  const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const buffer = await decodeAudioBlob(blob);
+  const segments = detectSpeechSegments(buffer, settings);
+  if (segments.length === 0) return { blob, duration: buffer.duration, edits: [] };
+
+  const pad = settings.maxGap / 2;
+  const ranges = [];
+  segments.forEach(({ start, end }) => {
+    const range = { start: Math.max(0, start - pad), end: Math.min(buffer.duration, end + pad) };
+    const last = ranges[ranges.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = range.end;
+    } else {
+      ranges.push(range);
+    }
+  });
+
+  const trimmed = keepRanges(buffer, ranges);
+  return {
+    blob: audioBufferToWav(trimmed),
+    duration: trimmed.duration,
+    edits: keepRangesEdits(ranges, buffer.duration), // For markers dropped while recording
+  };
+};
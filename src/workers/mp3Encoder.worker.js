@@ -0,0 +1,36 @@
+import { Mp3Encoder } from '@breezystack/lamejs';
+
+// Samples per MP3 frame
+const BLOCK_SIZE = 1152;
+
+const floatTo16BitPCM = (samples) => {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return out;
+};
+
+// Receives { channels: Float32Array[], sampleRate, bitRate }, replies with { data: Uint8Array[] } or { error }
+self.onmessage = ({ data: { channels, sampleRate, bitRate } }) => {
+  try {
+    const [left, right] = channels.map(floatTo16BitPCM);
+    const encoder = new Mp3Encoder(channels.length, sampleRate, bitRate);
+    const chunks = [];
+
+    for (let i = 0; i < left.length; i += BLOCK_SIZE) {
+      const frame = right
+        ? encoder.encodeBuffer(left.subarray(i, i + BLOCK_SIZE), right.subarray(i, i + BLOCK_SIZE))
+        : encoder.encodeBuffer(left.subarray(i, i + BLOCK_SIZE));
+      if (frame.length > 0) chunks.push(frame);
+    }
+
+    const tail = encoder.flush();
+    if (tail.length > 0) chunks.push(tail);
+
+    self.postMessage({ data: chunks });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
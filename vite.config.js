@@ -1,7 +1,42 @@
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Packages the consuming app provides
+const external = [
+  'react',
+  'react-dom',
+  'react/jsx-runtime',
+  'lucide-react',
+  /^wavesurfer\.js(\/.*)?$/,
+]
+
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
-})
+  // `npm test` runs Vitest in jsdom with the browser audio fakes from src/test/
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
+  server: {
+    proxy: {
+      // Forward uploads to the local mock server (npm run mock-server)
+      '/api/upload': 'http://localhost:3001',
+    },
+  },
+  // `vite build --mode lib` builds the publishable component library into lib/
+  ...(mode === 'lib' && {
+    publicDir: false,
+    build: {
+      outDir: 'lib',
+      lib: {
+        entry: resolve(import.meta.dirname, 'src/index.js'),
+        formats: ['es', 'cjs'],
+        fileName: (format) => `audio-recorder.${format === 'es' ? 'js' : 'cjs'}`,
+        cssFileName: 'audio-recorder',
+      },
+      rollupOptions: { external },
+    },
+  }),
+}))